@@ -0,0 +1,47 @@
+/**
+ * Copy buttons for the code blocks of article pages.
+ *
+ * Code is highlighted at build time (see scripts/lib/highlight.js); this only
+ * adds a button to each block, so without JavaScript or the Clipboard API the
+ * blocks are simply shown as they are. Labels come from the data-* attributes
+ * of the script tag, in the language of the page.
+ */
+(function () {
+  const RESET_DELAY = 2000;
+  const labels = (document.currentScript && document.currentScript.dataset) || {};
+  const COPY = labels.copy || 'Copy';
+
+  if (!navigator.clipboard) return;
+
+  document.querySelectorAll('pre.code-block').forEach(pre => {
+    const code = pre.querySelector('code');
+    if (!code) return;
+
+    // The button sits in a wrapper so it doesn't scroll with long lines
+    const wrapper = document.createElement('div');
+    wrapper.className = 'code-block-wrapper';
+    pre.parentNode.insertBefore(wrapper, pre);
+    wrapper.appendChild(pre);
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'code-copy';
+    button.textContent = COPY;
+    button.setAttribute('aria-label', labels.copyLabel || 'Copy code to clipboard');
+    wrapper.appendChild(button);
+
+    let timer = null;
+    const showStatus = (text) => {
+      button.textContent = text;
+      clearTimeout(timer);
+      timer = setTimeout(() => { button.textContent = COPY; }, RESET_DELAY);
+    };
+
+    button.addEventListener('click', () => {
+      navigator.clipboard.writeText(code.textContent).then(
+        () => showStatus(labels.copied || 'Copied!'),
+        () => showStatus(labels.copyFailed || 'Copy failed')
+      );
+    });
+  });
+})();
@@ -0,0 +1,224 @@
+/**
+ * Client-side search for the static archive.
+ *
+ * Reads the sharded index written by the build (see scripts/lib/search-index.js)
+ * and only downloads the term shards and snippet text a query actually needs.
+ * Depends on SearchAnalyzer (search-analyzer.js) being loaded first. Status
+ * messages come from the data-* attributes of [data-search-status], and the
+ * index location from data-index-url on [data-search-form].
+ */
+(function () {
+  const MAX_RESULTS = 50;
+  const SNIPPET_RADIUS = 90;
+  const PREFIX_MATCH_FACTOR = 0.5;
+
+  const { stem, words, tokenize } = window.SearchAnalyzer;
+  const cache = new Map();
+
+  const form = document.querySelector('[data-search-form]');
+  const input = document.querySelector('[data-search-input]');
+  const status = document.querySelector('[data-search-status]');
+  const results = document.querySelector('[data-search-results]');
+
+  if (!form || !input || !results) return;
+
+  const indexUrl = form.dataset.indexUrl;
+
+  // "{count} results for “{query}”" with the values filled in
+  function message(name, fallback, values = {}) {
+    const text = (status && status.dataset[name]) || fallback;
+    return text.replace(/\{(\w+)\}/g, (match, key) => key in values ? values[key] : match);
+  }
+
+  function fetchJSON(url) {
+    if (!cache.has(url)) {
+      cache.set(url, fetch(url).then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+        return response.json();
+      }));
+    }
+    return cache.get(url);
+  }
+
+  function escapeHtml(text) {
+    const map = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' };
+    return String(text).replace(/[&<>"']/g, m => map[m]);
+  }
+
+  /**
+   * Collect { docId: score } for one query term. The last term of the query
+   * also matches as a prefix, so results update while the user is typing.
+   */
+  async function matchTerm(meta, term, allowPrefix) {
+    const prefix = term.slice(0, meta.termPrefixLength);
+    const matches = new Map();
+    if (!meta.shards.includes(prefix)) return matches;
+
+    const shard = await fetchJSON(`${indexUrl}/terms/${prefix}.json`);
+    for (const [indexTerm, postings] of Object.entries(shard)) {
+      const exact = indexTerm === term;
+      if (!exact && !(allowPrefix && indexTerm.startsWith(term))) continue;
+
+      // Rarer terms count for more
+      const idf = Math.log(1 + meta.docCount / (postings.length / 2));
+      const factor = exact ? 1 : PREFIX_MATCH_FACTOR;
+      for (let i = 0; i < postings.length; i += 2) {
+        const score = postings[i + 1] * idf * factor;
+        matches.set(postings[i], Math.max(matches.get(postings[i]) || 0, score));
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * Rank documents: all terms must match; if none do, fall back to any term
+   */
+  async function search(query) {
+    const meta = await fetchJSON(`${indexUrl}/meta.json`);
+    const terms = [...new Set(tokenize(query))];
+    if (!terms.length) return { terms, ranked: [] };
+
+    const perTerm = await Promise.all(
+      terms.map((term, i) => matchTerm(meta, term, i === terms.length - 1))
+    );
+
+    const combine = (requireAll) => {
+      const scores = new Map();
+      perTerm.forEach(matches => {
+        for (const [docId, score] of matches) {
+          scores.set(docId, (scores.get(docId) || 0) + score);
+        }
+      });
+      return [...scores.entries()]
+        .filter(([docId]) => !requireAll || perTerm.every(matches => matches.has(docId)))
+        .sort((a, b) => b[1] - a[1]);
+    };
+
+    let ranked = combine(true);
+    if (!ranked.length && terms.length > 1) ranked = combine(false);
+    return { terms, ranked: ranked.slice(0, MAX_RESULTS) };
+  }
+
+  function termMatches(word, terms) {
+    const wordStem = stem(word);
+    return terms.some(term => wordStem === term || word.startsWith(term) || wordStem.startsWith(term));
+  }
+
+  /**
+   * Wrap matching words of text in <mark>, escaping everything else
+   */
+  function highlight(text, terms) {
+    let html = '';
+    let last = 0;
+    for (const w of words(text)) {
+      if (!termMatches(w.word, terms)) continue;
+      html += escapeHtml(text.slice(last, w.start)) + '<mark>' + escapeHtml(text.slice(w.start, w.end)) + '</mark>';
+      last = w.end;
+    }
+    return html + escapeHtml(text.slice(last));
+  }
+
+  /**
+   * Cut a window of body text around the first matching word
+   */
+  function snippet(text, terms) {
+    const hit = words(text).find(w => termMatches(w.word, terms));
+    if (!hit) return '';
+
+    let start = Math.max(0, hit.start - SNIPPET_RADIUS);
+    let end = Math.min(text.length, hit.end + SNIPPET_RADIUS);
+    // Avoid cutting words in half
+    if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+    if (end < text.length) {
+      const space = text.lastIndexOf(' ', end);
+      if (space > hit.end) end = space;
+    }
+
+    return (start > 0 ? '… ' : '') + highlight(text.slice(start, end), terms) + (end < text.length ? ' …' : '');
+  }
+
+  async function loadTexts(meta, docIds) {
+    const shardIds = [...new Set(docIds.map(id => Math.floor(id / meta.textShardSize)))];
+    const shards = await Promise.all(shardIds.map(id => fetchJSON(`${indexUrl}/text/${id}.json`)));
+    const texts = new Map();
+    shardIds.forEach((shardId, i) => {
+      shards[i].forEach((text, offset) => texts.set(shardId * meta.textShardSize + offset, text));
+    });
+    return texts;
+  }
+
+  function renderResult(doc, terms, text) {
+    const tags = doc.g.length
+      ? `<div class="tag-list">${doc.g.map(tag => `<span class="tag-chip">#${escapeHtml(tag)}</span>`).join('')}</div>`
+      : '';
+    const excerpt = snippet(text || '', terms) || highlight(doc.s || '', terms);
+
+    return `<article class="article-card">
+  <h2><a href="${escapeHtml(doc.u)}">${highlight(doc.t, terms)}</a></h2>
+  <div class="article-card-meta">
+    <span>${escapeHtml(doc.a)}</span>
+    <span class="article-meta-separator">·</span>
+    <time datetime="${escapeHtml(doc.d)}">${escapeHtml(doc.f)}</time>
+  </div>
+  <p class="article-card-excerpt">${excerpt}</p>
+  ${tags}
+</article>`;
+  }
+
+  async function run(query) {
+    const trimmed = query.trim();
+    if (!trimmed) {
+      status.textContent = '';
+      results.innerHTML = '';
+      return;
+    }
+
+    status.textContent = message('searching', 'Searching…');
+    try {
+      const [meta, docs] = await Promise.all([
+        fetchJSON(`${indexUrl}/meta.json`),
+        fetchJSON(`${indexUrl}/docs.json`)
+      ]);
+      const { terms, ranked } = await search(trimmed);
+      if (input.value.trim() !== trimmed) return; // A newer query is on its way
+
+      const texts = await loadTexts(meta, ranked.map(([docId]) => docId));
+      const count = `${ranked.length}${ranked.length === MAX_RESULTS ? '+' : ''}`;
+      status.textContent = ranked.length
+        ? message('results', '{count} results for “{query}”', { count, query: trimmed })
+        : message('noResults', 'No results for “{query}”', { query: trimmed });
+      results.innerHTML = ranked
+        .map(([docId]) => renderResult(docs[docId], terms, texts.get(docId)))
+        .join('');
+    } catch (error) {
+      status.textContent = message('unavailable', 'Search is unavailable right now.');
+      console.error(error);
+    }
+  }
+
+  let debounce;
+  input.addEventListener('input', () => {
+    clearTimeout(debounce);
+    debounce = setTimeout(() => {
+      const url = new URL(window.location.href);
+      if (input.value.trim()) {
+        url.searchParams.set('q', input.value.trim());
+      } else {
+        url.searchParams.delete('q');
+      }
+      history.replaceState(null, '', url);
+      run(input.value);
+    }, 200);
+  });
+
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    run(input.value);
+  });
+
+  const initialQuery = new URLSearchParams(window.location.search).get('q');
+  if (initialQuery) {
+    input.value = initialQuery;
+    run(initialQuery);
+  }
+})();
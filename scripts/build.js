@@ -1,72 +1,81 @@
 const fs = require('fs');
 const path = require('path');
-const csv = require('csv-parser');
 const { marked } = require('marked');
-const sanitizeHtml = require('sanitize-html');
+const { htmlToText, writeSearchIndex } = require('./lib/search-index');
+const { absolutizeUrls, toIso, writeFeeds } = require('./lib/feeds');
+const { findPrivateDataLeaks } = require('./lib/authors');
+const { loadSources } = require('./lib/sources');
+const { COMMENT_SANITIZE_OPTIONS, SANITIZE_OPTIONS, renderContent } = require('./lib/article-content');
+const { liquidLabels } = require('./lib/liquid-tags');
+const { addHeadingAnchors } = require('./lib/headings');
+const { groupSeries } = require('./lib/series');
+const { parseTags } = require('./lib/tags');
+const { findRelatedArticles } = require('./lib/related');
+const { mostPopular, popularityFormula, popularityScore } = require('./lib/popularity');
+const { TemplateEngine } = require('./lib/template-engine');
+const { BuildManifest, hashFiles, listFiles } = require('./lib/build-manifest');
+const { CONTENT_SIZES, ImagePipeline, findLocalImages, rewriteImages } = require('./lib/images');
+const { brandAssetsHash, renderArticleCard, renderDefaultCard } = require('./lib/og-cards');
+const { collectRedirects, renderRedirectsFile, renderNginxMap } = require('./lib/redirects');
+const { loadSiteConfig, siteArgument } = require('./lib/site-config');
+const { absoluteUrl, findImageSources, writeSitemaps } = require('./lib/sitemaps');
+const { articleMarkdown, htmlToMarkdown, singleLine } = require('./lib/markdown-export');
+const { breadcrumbList, compact, jsonLdGraph, organization, person, socialProfiles } = require('./lib/structured-data');
+const { API_PATH, apiFiles } = require('./lib/api');
 
 // Configuration
-const SITE_URL = 'https://pt.w3d.community';
-const DATA_DIR = path.join(__dirname, '../data');
+const ROOT_DIR = path.join(__dirname, '..');
+// The archive to build: `npm run build -- --site sites/<name>.json` (see
+// scripts/lib/site-config.js); sites/pt.json by default
+const SITE = loadSiteConfig(siteArgument(process.argv.slice(2)), { rootDir: ROOT_DIR });
+const SITE_URL = SITE.url;
 const TEMPLATES_DIR = path.join(__dirname, '../templates');
-const PUBLIC_DIR = path.join(__dirname, '../public');
-
-// Simple template engine (Handlebars-like)
-class TemplateEngine {
-  constructor() {
-    this.partials = {};
-  }
-
-  loadPartial(name, content) {
-    this.partials[name] = content;
-  }
-
-  render(template, data) {
-    let output = template;
-
-    // Replace partials {{> partialName}}
-    output = output.replace(/\{\{>\s*(\w+)\s*\}\}/g, (match, name) => {
-      return this.partials[name] || '';
-    });
-
-    // Replace conditionals {{#if var}}...{{/if}}
-    output = output.replace(/\{\{#if\s+(\w+)\}\}([\s\S]*?)\{\{\/if\}\}/g, (match, key, content) => {
-      return data[key] ? content : '';
-    });
-
-    // Replace each loops {{#each items}}...{{/each}}
-    output = output.replace(/\{\{#each\s+(\w+)\}\}([\s\S]*?)\{\{\/each\}\}/g, (match, key, content) => {
-      const items = data[key] || [];
-      return items.map(item => this.render(content, { ...data, ...item })).join('');
-    });
-
-    // Replace variables {{var}} and {{{var}}} (unescaped)
-    output = output.replace(/\{\{\{(\w+)\}\}\}/g, (match, key) => {
-      return data[key] !== undefined ? data[key] : '';
-    });
-    output = output.replace(/\{\{(\w+)\}\}/g, (match, key) => {
-      const value = data[key] !== undefined ? data[key] : '';
-      return this.escapeHtml(String(value));
-    });
-
-    return output;
-  }
-
-  escapeHtml(text) {
-    const map = {
-      '&': '&amp;',
-      '<': '&lt;',
-      '>': '&gt;',
-      '"': '&quot;',
-      "'": '&#039;'
-    };
-    return text.replace(/[&<>"']/g, m => map[m]);
-  }
-}
-
-// Utility: Format date
+const PUBLIC_DIR = SITE.outputDir;
+// Stylesheet, icons and client scripts, copied when the site is built elsewhere
+const STATIC_DIR = path.join(ROOT_DIR, 'public');
+const STATIC_ASSETS = ['styles.css', 'favicon.svg', 'logo.png', 'assets/img', 'assets/js'];
+const ARTICLES_PER_PAGE = 30;
+const FEED_ITEM_LIMIT = 50;
+// Build state stays out of the output dir, which is deployed as a whole
+const MANIFEST_PATH = path.join(SITE.cacheDir, `build-manifest-${path.basename(SITE.file, '.json')}.json`);
+const LEGACY_MANIFEST_PATH = path.join(PUBLIC_DIR, '.build-manifest.json');
+const IMAGE_CACHE_PATH = path.join(SITE.cacheDir, `image-variants-${path.basename(SITE.file, '.json')}.json`);
+const LEGACY_IMAGE_CACHE_PATH = path.join(PUBLIC_DIR, 'images/variants/.cache.json');
+// Search index location: under /assets, since any top-level path may be a username
+const SEARCH_INDEX_PATH = '/assets/search-index';
+// Index files once written to /search, which belongs to the Forem user of that name
+const LEGACY_SEARCH_INDEX = ['meta.json', 'docs.json', 'terms', 'text'].map(file => path.join('search', file));
+const DEFAULT_CARD_PATH = '/assets/img/og-default.png';
+// Top-level directories of listing pages, besides the localized SITE.paths
+const LISTING_DIRS = ['t', 'tags', 'page'];
+// Other top-level directories of the output; profiles (/<username>) share this namespace
+const ASSET_DIRS = [API_PATH.split('/')[1], 'assets', 'images'];
+
+// Articles get a table of contents from this many h2–h4 headings and minutes of reading
+const TOC_MIN_HEADINGS = 3;
+const TOC_MIN_READING_TIME = 5;
+
+// Recommendations at the end of each article
+const RELATED_ARTICLES_COUNT = 3;
+
+// "Most popular" pages list the top articles of listings with enough of them.
+// The site config's "popularity" replaces parts of the ranking formula
+// (see scripts/lib/popularity.js), e.g. { "weights": { "comments": 5 }, "gravity": 1 }
+const POPULAR_LIMIT = 30;
+const POPULAR_MIN_ARTICLES = 5;
+
+// `npm run build -- --force` rewrites every page, ignoring the manifest
+const FORCE_BUILD = process.argv.includes('--force');
+
+// UI string of the site's locale (see locales/)
+const t = SITE.t;
+// Texts of the static stand-ins for Liquid embeds, in the site's locale
+const LIQUID_LABELS = liquidLabels(t);
+
+// Utility: Format date in the site's locale
 function formatDate(dateString) {
   const date = new Date(dateString);
-  return date.toLocaleDateString('pt-BR', {
+  return date.toLocaleDateString(SITE.locale, {
     year: 'numeric',
     month: 'long',
     day: 'numeric'
@@ -81,129 +90,288 @@ function generateDescription(html, maxLength = 160) {
 
 // Utility: Calculate reading time
 function calculateReadingTime(html) {
-  const text = html.replace(/<[^>]*>/g, ' ');
-  const words = text.trim().split(/\s+/).length;
-  return Math.ceil(words / 200); // Average reading speed: 200 words/min
+  return Math.ceil(countWords(html) / 200); // Average reading speed: 200 words/min
 }
 
-// Utility: Convert Liquid tags to HTML
-function convertLiquidTags(html) {
-  let converted = html;
+// Utility: Number of words in HTML
+function countWords(html) {
+  const text = html.replace(/<[^>]*>/g, ' ').trim();
+  return text ? text.split(/\s+/).length : 0;
+}
 
-  // Convert YouTube embeds: {% youtube URL %}
-  // Note: URL might be wrapped in <a> tags from CSV parsing
-  converted = converted.replace(/\{%\s*youtube\s+(.+?)\s*%\}/gi, (match, content) => {
-    // Extract URL from content (might be plain URL or wrapped in <a> tag)
-    let url = content.trim();
+// Utility: Article body as HTML (Markdown-only posts are converted)
+function sourceHtml(article) {
+  if (article.bodyHtml || !article.bodyMarkdown) return article.bodyHtml;
+  return marked.parse(article.bodyMarkdown);
+}
 
-    // If content contains an <a> tag, extract the href
-    const hrefMatch = url.match(/href=["']([^"']+)["']/);
-    if (hrefMatch) {
-      url = hrefMatch[1];
-    }
+// Utility: Whether a listing gets a "most popular" page
+function hasPopularPage(articles) {
+  return articles.length >= POPULAR_MIN_ARTICLES && articles.some(article => article.popularity > 0);
+}
 
-    // Extract video ID from various YouTube URL formats
-    let videoId = null;
-
-    // Format: https://youtube.com/watch?v=VIDEO_ID
-    // Format: https://www.youtube.com/watch?v=VIDEO_ID
-    // Format: https://youtu.be/VIDEO_ID
-    // Format: https://youtube.com/VIDEO_ID (direct ID after domain)
-    // Format: https://www.youtube.com/embed/VIDEO_ID
-
-    const patterns = [
-      /(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/)([a-zA-Z0-9_-]+)/,
-      /(?:youtube\.com|www\.youtube\.com)\/([a-zA-Z0-9_-]{11})$/,  // Direct ID after domain
-      /^([a-zA-Z0-9_-]{11})$/ // Just the video ID
-    ];
-
-    for (const pattern of patterns) {
-      const match = url.match(pattern);
-      if (match && match[1]) {
-        videoId = match[1];
-        break;
-      }
-    }
+// Utility: Listing entry (article card) for an article
+function articleListItem(article) {
+  return {
+    title: article.title || t('meta.untitled'),
+    author: article.authorName || article.username,
+    username: article.username,
+    slug: article.slug,
+    description: article.description || generateDescription(sourceHtml(article)),
+    publishedAt: article.publishedAt,
+    publishedDate: formatDate(article.publishedAt),
+    readingTime: article.readingTime || calculateReadingTime(sourceHtml(article)),
+    reactionCount: article.reactionCount,
+    commentCount: article.commentCount,
+    tags: parseTags(article.tags)
+  };
+}
 
-    if (videoId) {
-      return `<div class="video-embed" style="position: relative; padding-bottom: 56.25%; height: 0; overflow: hidden; max-width: 100%; margin: 2rem 0;">
-  <iframe
-    style="position: absolute; top: 0; left: 0; width: 100%; height: 100%;"
-    src="https://www.youtube.com/embed/${videoId}"
-    frameborder="0"
-    allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture"
-    allowfullscreen
-    loading="lazy"
-  ></iframe>
-</div>`;
-    }
+// Utility: Series box of an article page: its position, the parts and previous/next links
+function seriesNavigation(series, article) {
+  const position = series.articles.indexOf(article);
+  const link = (part) => part ? { title: part.title || t('meta.untitled'), url: `/${part.username}/${part.slug}` } : null;
+
+  return {
+    title: series.title,
+    url: `/${series.username}/series/${series.slug}`,
+    position: position + 1,
+    count: series.articles.length,
+    parts: series.articles.map((part, i) => ({ ...link(part), current: i === position })),
+    previous: link(series.articles[position - 1]),
+    next: link(series.articles[position + 1])
+  };
+}
 
-    // If we can't parse the video ID, return a link
-    return `<p><a href="${url}" target="_blank" rel="noopener">Watch on YouTube</a></p>`;
+// Utility: Template data for comment threads, with bodies rendered like article
+// bodies. Only commenters with a profile in the archive are linked.
+function commentThreads(comments, profileUsernames, unknownTags) {
+  return comments.map(comment => {
+    const content = renderContent(comment, COMMENT_SANITIZE_OPTIONS, LIQUID_LABELS);
+    content.unknownTags.forEach(tag => unknownTags.add(tag));
+    const author = comment.author;
+
+    return {
+      idCode: comment.idCode,
+      authorName: author ? author.name : t('comments.anonymous'),
+      authorUrl: author && profileUsernames.has(author.username) ? `/${author.username}` : '',
+      avatarUrl: author ? author.avatarUrl : '',
+      createdAt: comment.createdAt,
+      createdDate: formatDate(comment.createdAt),
+      edited: Boolean(comment.editedAt),
+      bodyHtml: content.html,
+      replies: commentThreads(comment.replies, profileUsernames, unknownTags)
+    };
   });
+}
+
+// Utility: Number of comments in threads, replies included
+function countComments(threads) {
+  return threads.reduce((count, comment) => count + 1 + countComments(comment.replies), 0);
+}
 
-  // Convert other common Liquid tags to simple text or links
-  // {% link URL %} or {% embed URL %}
-  converted = converted.replace(/\{%\s*(link|embed)\s+([^\s%]+)\s*%\}/gi, (match, tag, url) => {
-    return `<p><a href="${url}" target="_blank" rel="noopener">${url}</a></p>`;
+// Utility: schema.org Comment entries for the article JSON-LD, replies nested
+function commentsJsonLd(threads, pageUrl) {
+  return threads.map(comment => ({
+    '@type': 'Comment',
+    url: `${pageUrl}#comment-${comment.idCode}`,
+    dateCreated: toIso(comment.createdAt),
+    text: htmlToText(comment.bodyHtml),
+    author: {
+      '@type': 'Person',
+      name: comment.authorName,
+      ...(comment.authorUrl ? { url: `${SITE_URL}${comment.authorUrl}` } : {})
+    },
+    ...(comment.replies.length > 0 ? { comment: commentsJsonLd(comment.replies, pageUrl) } : {})
+  }));
+}
+
+// The archive's publisher in JSON-LD, with the footer's social links as its profiles
+const PUBLISHER_JSON_LD = organization({
+  name: SITE.name,
+  url: SITE_URL,
+  logo: absoluteUrl(SITE.branding.logo, SITE_URL),
+  sameAs: SITE.footerLinks.map(link => link.url).filter(url => /^https?:\/\//.test(url))
+});
+
+// Utility: schema.org Person for an author, with their GitHub/Twitter accounts.
+// Only migrated (local) avatars are listed: Forem's S3 URLs will go away.
+function authorJsonLd(author, name) {
+  return person({
+    name: name || author.name,
+    username: author.username,
+    url: `${SITE_URL}/${author.username}`,
+    image: author.avatarUrl.startsWith('/') ? absoluteUrl(author.avatarUrl, SITE_URL) : '',
+    sameAs: socialProfiles(author)
   });
+}
+
+// Utility: BreadcrumbList from the homepage down to [{ name, url }] (paths)
+function breadcrumbsJsonLd(items) {
+  return breadcrumbList([{ name: SITE.name, url: '/' }, ...items].map(item => ({
+    name: item.name,
+    url: absoluteUrl(item.url, SITE_URL)
+  })));
+}
+
+// Utility: JSON-LD of a listing page (tags, archive, series...) and its breadcrumbs
+function collectionJsonLd({ name, description, url, author, crumbs }) {
+  return jsonLdGraph([
+    compact({
+      '@type': 'CollectionPage',
+      name,
+      description,
+      url,
+      inLanguage: SITE.locale,
+      author
+    }),
+    crumbs ? breadcrumbsJsonLd(crumbs) : null
+  ]);
+}
 
-  // Remove any remaining Liquid tags
-  converted = converted.replace(/\{%[^%]*%\}/g, '');
+// Utility: Split items into pages and describe each page's URL and neighbours.
+// Page 1 lives at basePath, page N at basePath/page/N.
+function paginate(items, basePath, perPage = ARTICLES_PER_PAGE) {
+  const totalPages = Math.max(1, Math.ceil(items.length / perPage));
+  const pageUrl = (n) => n === 1 ? (basePath || '/') : `${basePath}/page/${n}`;
+  const pages = [];
+
+  for (let n = 1; n <= totalPages; n++) {
+    pages.push({
+      pageNumber: n,
+      totalPages: totalPages,
+      items: items.slice((n - 1) * perPage, n * perPage),
+      path: pageUrl(n),
+      prevPath: n > 1 ? pageUrl(n - 1) : '',
+      nextPath: n < totalPages ? pageUrl(n + 1) : ''
+    });
+  }
+
+  return pages;
+}
 
-  return converted;
+// Utility: Template fields shared by every paginated listing page
+function paginationData(page) {
+  return {
+    pageNumber: page.pageNumber,
+    totalPages: page.totalPages,
+    prevUrl: page.prevPath,
+    nextUrl: page.nextPath,
+    canonicalUrl: page.path === '/' ? SITE_URL : `${SITE_URL}${page.path}`,
+    titleSuffix: page.pageNumber > 1 ? t('pagination.titleSuffix', { page: page.pageNumber }) : '',
+    isPaginated: page.totalPages > 1
+  };
 }
 
-// Load CSV as promise
-function loadCSV(filePath) {
-  return new Promise((resolve, reject) => {
-    const results = [];
-    fs.createReadStream(filePath)
-      .pipe(csv())
-      .on('data', (row) => results.push(row))
-      .on('end', () => resolve(results))
-      .on('error', reject);
+// Utility: Extract { year, month } from a Forem timestamp ("2022-03-23 21:11:26.685195")
+function archivePeriod(dateString) {
+  const match = /^(\d{4})-(\d{2})/.exec(dateString || '');
+  return match ? { year: match[1], month: match[2] } : null;
+}
+
+// Utility: Month name in the site's locale ("03" -> "março")
+function formatMonth(month) {
+  return new Date(Date.UTC(2000, Number(month) - 1, 15)).toLocaleDateString(SITE.locale, {
+    month: 'long',
+    timeZone: 'UTC'
   });
 }
 
+// Utility: Size and modification time of a file, to notice when it changes ('' if missing)
+function fileStamp(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return '';
+  const stat = fs.statSync(filePath);
+  return `${stat.size}:${Math.round(stat.mtimeMs)}`;
+}
+
+// Utility: Move build state that older builds kept in the output dir to its cache location
+function moveLegacyState(legacyPath, statePath) {
+  if (!fs.existsSync(legacyPath)) return;
+  if (!fs.existsSync(statePath)) {
+    fs.mkdirSync(path.dirname(statePath), { recursive: true });
+    fs.copyFileSync(legacyPath, statePath);
+  }
+  fs.rmSync(legacyPath);
+}
+
+// Utility: Top-level directories of the listing pages, localized ones included
+function listingDirs() {
+  return [...LISTING_DIRS, ...Object.values(SITE.paths).map(urlPath => urlPath.split('/').find(Boolean))];
+}
+
+// Utility: File of the page served at urlPath (public/<urlPath>/index.html)
+function pageFile(urlPath) {
+  return path.join(urlPath, 'index.html');
+}
+
+// Utility: Public author for a username, falling back to the article's cached name
+function findAuthor(authors, username, cachedName) {
+  return authors.get(username) || {
+    username: username,
+    name: cachedName || username,
+    avatarUrl: '',
+    githubUsername: '',
+    twitterUsername: '',
+    joinedAt: '',
+    articlesCount: 0
+  };
+}
+
+// Utility: Path of the "most popular" page of a listing ('' for the homepage)
+function popularPath(basePath) {
+  return `${basePath}/${SITE.paths.popular}`;
+}
+
+// Utility: Copy the static assets into the output dir (if it isn't public/),
+// then the site's own branding assets over them (claimed in the manifest, so
+// their pages aren't taken for orphans)
+function copyStaticAssets(manifest) {
+  if (PUBLIC_DIR !== STATIC_DIR) {
+    const generatedCard = path.join(STATIC_DIR, DEFAULT_CARD_PATH);
+    STATIC_ASSETS.forEach(asset => {
+      const source = path.join(STATIC_DIR, asset);
+      if (!fs.existsSync(source)) return;
+      fs.cpSync(source, path.join(PUBLIC_DIR, asset), { recursive: true, filter: file => file !== generatedCard });
+    });
+  }
+  if (SITE.branding.assetsDir) {
+    fs.cpSync(SITE.branding.assetsDir, PUBLIC_DIR, { recursive: true });
+    listFiles(SITE.branding.assetsDir).forEach(file => manifest.keep(file));
+  }
+}
+
 // Main build function
 async function build() {
-  console.log('🚀 Starting build process...\n');
+  console.log(`🚀 Starting build of ${SITE.url}...\n`);
 
   // Step 1: Load data
-  console.log('📊 Loading CSV data...');
-  // Use migrated CSV if it exists, otherwise fall back to original
-  const migratedCSV = path.join(DATA_DIR, 'forem_articles_with_local_images.csv');
-  const originalCSV = path.join(DATA_DIR, 'forem_articles_filtered_by_outdated.csv');
-  const csvPath = fs.existsSync(migratedCSV) ? migratedCSV : originalCSV;
-
-  if (csvPath === migratedCSV) {
-    console.log('   Using migrated CSV with local images');
-  } else {
-    console.log('   Using original CSV (run "npm run migrate-images" first to use local images)');
-  }
+  console.log('📊 Loading content sources...');
+  const { articles, authors, privateValues: privateUserValues, sources } = await loadSources(SITE.sources, { rootDir: ROOT_DIR });
 
-  const articles = await loadCSV(csvPath);
-  const users = await loadCSV(path.join(DATA_DIR, 'forem_users_with_published_articles.csv'));
+  sources.forEach(source => {
+    const replaced = source.replaced > 0 ? `, ${source.replaced} replacing earlier sources` : '';
+    console.log(`   ${source.type}: ${source.articleCount} articles, ${source.authorCount} authors${replaced} (${source.files.join(', ') || 'no files'})`);
+    source.warnings.forEach(warning => console.log(`   ⚠️  ${warning}`));
+  });
 
+  // Authors only carry allowlisted user fields; private values are kept solely
+  // to check the output for leaks at the end of the build
   console.log(`   Loaded ${articles.length} articles`);
-  console.log(`   Loaded ${users.length} users\n`);
+  console.log(`   Loaded ${authors.size} users\n`);
 
   // Step 2: Filter published articles
   console.log('🔍 Filtering published articles...');
-  const publishedArticles = articles.filter(article =>
-    article.published === 't' &&
-    article.archived === 'f' &&
-    !article.deleted_at
-  );
+  const publishedArticles = articles.filter(article => article.published);
 
   console.log(`   Filtered to ${publishedArticles.length} published articles\n`);
 
-  // Step 3: Group articles by user
+  const popularity = popularityFormula(SITE.popularity);
+
+  // Step 3: Group articles by user and series
   console.log('👥 Grouping articles by author...');
   const articlesByUser = {};
   publishedArticles.forEach(article => {
-    const username = article.cached_user_username;
+    const username = article.username;
     if (!username) return;
 
     if (!articlesByUser[username]) {
@@ -213,7 +381,34 @@ async function build() {
   });
 
   const usernames = Object.keys(articlesByUser);
-  console.log(`   Found ${usernames.length} authors with articles\n`);
+  console.log(`   Found ${usernames.length} authors with articles`);
+
+  // A profile at /<username> would overwrite (or be overwritten by) a section of the site
+  const siteDirs = new Set([...listingDirs(), ...ASSET_DIRS].map(dir => dir.toLowerCase()));
+  const clashes = usernames.filter(username => siteDirs.has(username.toLowerCase()));
+  if (clashes.length > 0) {
+    throw new Error(`Usernames clash with top-level site paths: ${clashes.join(', ')}`);
+  }
+
+  // Series (Forem collections) and related articles link article pages to each
+  // other, so they are worked out before any page is rendered
+  const listedArticles = publishedArticles.filter(article => article.username && article.slug);
+  const allSeries = groupSeries(listedArticles);
+  const seriesByArticle = new Map();
+  allSeries.forEach(series => series.articles.forEach(article => seriesByArticle.set(article, series)));
+
+  const articleKey = (article) => `${article.username}/${article.slug}`;
+  const articlesByKey = new Map(listedArticles.map(article => [articleKey(article), article]));
+  const relatedArticles = findRelatedArticles(listedArticles.map(article => ({
+    key: articleKey(article),
+    username: article.username,
+    tags: article.tags,
+    text: `${article.title} ${article.description} ${htmlToText(sourceHtml(article))}`,
+    publishedAt: article.publishedAt,
+    series: article.series
+  })), { limit: RELATED_ARTICLES_COUNT });
+
+  console.log(`   Found ${allSeries.length} series\n`);
 
   // Step 4: Load templates
   console.log('📝 Loading templates...');
@@ -226,120 +421,358 @@ async function build() {
   engine.loadPartial('header', headerPartial);
   engine.loadPartial('footer', footerPartial);
   engine.loadPartial('analytics', analyticsPartial);
+  ['article-card', 'tag-list', 'pagination', 'comment'].forEach(name => {
+    engine.loadPartial(name, fs.readFileSync(path.join(TEMPLATES_DIR, `partials/${name}.html`), 'utf-8'));
+  });
+
+  // Load layouts
+  engine.loadLayout('base', fs.readFileSync(path.join(TEMPLATES_DIR, 'layouts/base.html'), 'utf-8'));
+
+  // Register helpers
+  engine.registerHelper('formatDate', (value) => value ? formatDate(value) : '');
+  // {{t "meta.articles" count=articleCount}}
+  engine.registerHelper('t', (key, options) => t(key, options.hash));
 
   // Load templates
   const articleTemplate = fs.readFileSync(path.join(TEMPLATES_DIR, 'article.html'), 'utf-8');
   const profileTemplate = fs.readFileSync(path.join(TEMPLATES_DIR, 'profile.html'), 'utf-8');
   const indexTemplate = fs.readFileSync(path.join(TEMPLATES_DIR, 'index.html'), 'utf-8');
+  const tagTemplate = fs.readFileSync(path.join(TEMPLATES_DIR, 'tag.html'), 'utf-8');
+  const tagsTemplate = fs.readFileSync(path.join(TEMPLATES_DIR, 'tags.html'), 'utf-8');
+  const archiveTemplate = fs.readFileSync(path.join(TEMPLATES_DIR, 'archive.html'), 'utf-8');
+  const searchTemplate = fs.readFileSync(path.join(TEMPLATES_DIR, 'search.html'), 'utf-8');
+  const seriesTemplate = fs.readFileSync(path.join(TEMPLATES_DIR, 'series.html'), 'utf-8');
+  const popularTemplate = fs.readFileSync(path.join(TEMPLATES_DIR, 'popular.html'), 'utf-8');
+  const redirectTemplate = fs.readFileSync(path.join(TEMPLATES_DIR, 'redirect.html'), 'utf-8');
 
   console.log('   Templates loaded\n');
 
+  // Pages whose inputs (template data, templates and build code) didn't change
+  // since the last build are left alone
+  moveLegacyState(LEGACY_MANIFEST_PATH, MANIFEST_PATH);
+  const ownedDirs = [
+    ...listingDirs(),
+    ...usernames,
+    ...Array.from(authors.values()).flatMap(author => [author.username, ...author.aliases])
+  ];
+  const manifest = new BuildManifest({
+    publicDir: PUBLIC_DIR,
+    manifestPath: MANIFEST_PATH,
+    globalHash: hashFiles([TEMPLATES_DIR, __filename, path.join(__dirname, 'lib'), ...SITE.localeFiles]),
+    ownedDirs,
+    force: FORCE_BUILD
+  });
+
+  // Site-wide fields every template can use as {{site.*}}
+  const siteData = {
+    url: SITE.url,
+    locale: SITE.locale,
+    name: SITE.name,
+    title: SITE.title,
+    tagline: SITE.tagline,
+    branding: { logo: SITE.branding.logo, symbol: SITE.branding.symbol, favicon: SITE.branding.favicon },
+    analytics: SITE.analytics,
+    footerLinks: SITE.footerLinks,
+    paths: SITE.paths
+  };
+  const renderPage = (file, template, data) => {
+    const pageData = { ...data, site: siteData };
+    return manifest.writePage(file, pageData, () => engine.render(template, pageData));
+  };
+
+  // Indexable pages of each sitemap, collected as they are rendered
+  const sitemapEntries = { pages: [], posts: [], users: [], tags: [] };
+
+  if (FORCE_BUILD) {
+    console.log('   --force: rebuilding every page\n');
+  }
+
+  copyStaticAssets(manifest);
+
+  // Resized AVIF/WebP variants of migrated images, cached between builds
+  moveLegacyState(LEGACY_IMAGE_CACHE_PATH, IMAGE_CACHE_PATH);
+  const imagePipeline = new ImagePipeline({ publicDir: PUBLIC_DIR, cachePath: IMAGE_CACHE_PATH });
+
   // Step 5: Generate article pages
   console.log('📄 Generating article pages...');
   let articleCount = 0;
+  const renderedArticles = [];
+  const articleMarkdownBodies = new Map(); // rendered article -> Markdown body, for llms-full.txt
+  const articleSources = new Map(); // rendered article -> { article, author }, for the JSON API
+  const cardStats = { generated: 0, unchanged: 0 };
+  const unknownLiquidTags = new Map(); // tag name -> article paths
+  const profileUsernames = new Set(usernames);
+  let commentTotal = 0;
 
   for (const username of usernames) {
     const userArticles = articlesByUser[username];
 
-    // Create user directory
-    const userDir = path.join(PUBLIC_DIR, username);
-    if (!fs.existsSync(userDir)) {
-      fs.mkdirSync(userDir, { recursive: true });
-    }
-
     // Generate article pages
     for (const article of userArticles) {
       const slug = article.slug;
       if (!slug) continue;
 
-      // Use body_html if available, otherwise parse body_markdown
-      let contentHtml = article.body_html || '';
-      if (!contentHtml && article.body_markdown) {
-        contentHtml = marked.parse(article.body_markdown);
-      }
-
-      // Convert Liquid tags (YouTube embeds, etc.)
-      contentHtml = convertLiquidTags(contentHtml);
-
-      // Sanitize HTML (keep images and iframes for YouTube)
-      contentHtml = sanitizeHtml(contentHtml, {
-        allowedTags: sanitizeHtml.defaults.allowedTags.concat(['img', 'h1', 'h2', 'iframe', 'div']),
-        allowedAttributes: {
-          ...sanitizeHtml.defaults.allowedAttributes,
-          img: ['src', 'alt', 'title', 'width', 'height'],
-          iframe: ['src', 'frameborder', 'allow', 'allowfullscreen', 'loading', 'style', 'width', 'height'],
-          div: ['class', 'style']
-        },
-        allowedSchemes: ['http', 'https', 'data'],
-        allowedIframeHostnames: ['www.youtube.com', 'youtube.com'],
-        allowIframeRelativeUrls: false
+      // Sanitized body with Liquid tags converted and code highlighted (see
+      // scripts/lib/article-content.js; `npm run export-book` uses it too)
+      const content = renderContent(article, SANITIZE_OPTIONS, LIQUID_LABELS);
+      let contentHtml = content.html;
+      content.unknownTags.forEach(tag => {
+        if (!unknownLiquidTags.has(tag)) unknownLiquidTags.set(tag, new Set());
+        unknownLiquidTags.get(tag).add(`/${username}/${slug}`);
       });
 
+      // Markdown twin, converted before anchors and <picture> are added
+      const markdownBody = htmlToMarkdown(contentHtml, SITE_URL);
+
+      // Stable ids and anchor links on h2–h4, for deep links and the table of contents
+      const sections = addHeadingAnchors(contentHtml, { anchorLabel: (text) => t('article.sectionLink', { title: text }) });
+      contentHtml = sections.html;
+
+      // Serve migrated images as <picture> with variants and intrinsic dimensions
+      const featuredImage = article.mainImage;
+      const images = new Map();
+      for (const src of [...findLocalImages(contentHtml), featuredImage]) {
+        const image = await imagePipeline.process(src);
+        if (image) images.set(src, image);
+      }
+      contentHtml = rewriteImages(contentHtml, images);
+
       const description = article.description || generateDescription(contentHtml);
-      const readingTime = article.reading_time || calculateReadingTime(contentHtml);
+      const readingTime = article.readingTime || calculateReadingTime(contentHtml);
+      const tags = parseTags(article.tags);
+      const author = findAuthor(authors, username, article.authorName);
+      const series = seriesByArticle.get(article);
+
+      // Archived comment threads (read-only)
+      const commentTags = new Set();
+      const comments = commentThreads(article.comments, profileUsernames, commentTags);
+      commentTags.forEach(tag => {
+        if (!unknownLiquidTags.has(tag)) unknownLiquidTags.set(tag, new Set());
+        unknownLiquidTags.get(tag).add(`/${username}/${slug}`);
+      });
+      const commentCount = countComments(comments);
+      commentTotal += commentCount;
+      const hasToc = sections.headings.length >= TOC_MIN_HEADINGS && readingTime >= TOC_MIN_READING_TIME;
 
       const articleData = {
-        title: article.title || 'Untitled',
-        author: article.cached_user_name || username,
+        title: article.title || t('meta.untitled'),
+        author: article.authorName || author.name,
+        authorAvatar: author.avatarUrl,
         username: username,
         description: description,
         contentHtml: contentHtml,
-        featuredImage: article.main_image || '',
-        publishedAt: article.published_at || '',
-        updatedAt: article.updated_at || article.published_at || '',
-        publishedDate: formatDate(article.published_at),
+        featuredImage: featuredImage,
+        featuredPicture: images.get(featuredImage) || null,
+        imageSizes: CONTENT_SIZES,
+        hasCode: content.codeBlockCount > 0,
+        hasToc: hasToc,
+        toc: hasToc ? sections.headings : [],
+        publishedAt: article.publishedAt,
+        updatedAt: article.updatedAt || article.publishedAt,
+        publishedDate: formatDate(article.publishedAt),
         readingTime: readingTime,
+        tags: tags,
         slug: slug,
+        series: series ? seriesNavigation(series, article) : null,
+        relatedArticles: relatedArticles.get(articleKey(article)).map(key => articleListItem(articlesByKey.get(key))),
+        comments: comments,
+        // Archived comments when there are any, else Forem's count
+        commentCount: comments.length > 0 ? commentCount : article.commentCount,
+        reactionCount: article.reactionCount,
         canonicalUrl: `${SITE_URL}/${username}/${slug}`,
+        markdownUrl: `/${username}/${slug}.md`,
         authorUrl: `${SITE_URL}/${username}`,
-        siteUrl: SITE_URL
+        ogImage: `${SITE_URL}/${username}/${slug}.png`
       };
 
-      const html = engine.render(articleTemplate, articleData);
-      const filePath = path.join(userDir, `${slug}.html`);
-      fs.writeFileSync(filePath, html);
+      articleData.structuredData = jsonLdGraph([
+        compact({
+          '@type': 'Article',
+          '@id': `${articleData.canonicalUrl}#article`,
+          headline: articleData.title,
+          description: description,
+          image: [articleData.ogImage, featuredImage ? absoluteUrl(featuredImage, SITE_URL) : ''].filter(Boolean),
+          datePublished: toIso(articleData.publishedAt),
+          dateModified: toIso(articleData.updatedAt),
+          inLanguage: SITE.locale,
+          keywords: tags.map(tag => tag.name).join(', '),
+          wordCount: countWords(contentHtml),
+          author: authorJsonLd(author, articleData.author),
+          publisher: { '@id': PUBLISHER_JSON_LD['@id'] },
+          mainEntityOfPage: articleData.canonicalUrl,
+          isPartOf: series ? { '@type': 'CreativeWorkSeries', name: series.title, url: `${SITE_URL}${articleData.series.url}` } : null,
+          commentCount: comments.length > 0 ? commentCount : null,
+          comment: commentsJsonLd(comments, articleData.canonicalUrl)
+        }),
+        breadcrumbsJsonLd([
+          { name: author.name, url: `/${username}` },
+          ...(series ? [{ name: series.title, url: articleData.series.url }] : []),
+          { name: articleData.title, url: `/${username}/${slug}` }
+        ]),
+        PUBLISHER_JSON_LD
+      ]);
+
+      renderPage(path.join(username, `${slug}.html`), articleTemplate, articleData);
+      const markdown = articleMarkdown(articleData, markdownBody, { siteUrl: SITE_URL, locale: SITE.locale });
+      await manifest.writeAsset(path.join(username, `${slug}.md`), { markdown }, () => markdown);
+      articleMarkdownBodies.set(articleData, markdownBody);
+      articleSources.set(articleData, { article, author });
+      sitemapEntries.posts.push({
+        loc: `/${username}/${slug}`,
+        lastmod: articleData.updatedAt,
+        changefreq: 'never',
+        priority: 0.6,
+        images: [...new Set([featuredImage, ...findImageSources(contentHtml)].filter(Boolean))]
+      });
+
+      // Share card next to the page; only migrated (local) avatars can be drawn
+      const avatarFile = author.avatarUrl.startsWith('/') ? path.join(PUBLIC_DIR, author.avatarUrl) : '';
+      const card = {
+        title: articleData.title,
+        author: articleData.author,
+        tags: tags.map(tag => tag.name),
+        siteName: new URL(SITE_URL).host
+      };
+      const cardInputs = { ...card, avatar: author.avatarUrl, avatarStamp: fileStamp(avatarFile), brand: brandAssetsHash(SITE.branding.cardLogo) };
+      const cardStatus = await manifest.writeAsset(path.join(username, `${slug}.png`), cardInputs, () =>
+        renderArticleCard({ ...card, avatarFile, logoFile: SITE.branding.cardLogo })
+      );
+      cardStats[cardStatus === 'unchanged' ? 'unchanged' : 'generated']++;
       articleCount++;
 
+      // Keep the rendered article for search, feeds and other derived outputs
+      renderedArticles.push(articleData);
+
       if (articleCount % 100 === 0) {
         console.log(`   Generated ${articleCount} articles...`);
       }
     }
   }
 
-  console.log(`   ✅ Generated ${articleCount} article pages\n`);
+  imagePipeline.save();
+
+  // Default card for the homepage, profiles, tags and other listing pages
+  const defaultCard = { tagline: SITE.tagline, siteName: new URL(SITE_URL).host };
+  const defaultCardStatus = await manifest.writeAsset(DEFAULT_CARD_PATH, { ...defaultCard, brand: brandAssetsHash(SITE.branding.cardLogo) }, () =>
+    renderDefaultCard({ ...defaultCard, logoFile: SITE.branding.cardLogo })
+  );
+  cardStats[defaultCardStatus === 'unchanged' ? 'unchanged' : 'generated']++;
+
+  const imageStats = imagePipeline.stats;
+  console.log(`   ✅ Generated ${articleCount} article pages`);
+  console.log(`   ✅ Archived ${commentTotal} comments`);
+  console.log(`   ✅ Share cards: ${cardStats.generated} generated, ${cardStats.unchanged} unchanged`);
+  console.log(`   ✅ Images: ${imageStats.processed} processed, ${imageStats.cached} cached, ${imageStats.missing} missing, ${imageStats.failed} failed`);
+  // Tags without a rendering are removed; list them so they can be supported
+  for (const [tag, paths] of unknownLiquidTags) {
+    const examples = Array.from(paths).slice(0, 3).join(', ');
+    console.log(`   ⚠️  Unknown liquid tag {% ${tag} %} removed from ${paths.size} articles (${examples}${paths.size > 3 ? ', ...' : ''})`);
+  }
+  console.log('');
 
-  // Step 6: Generate profile pages
+  // Step 6: Generate profile and series pages
   console.log('👤 Generating profile pages...');
   let profileCount = 0;
 
+  // Series listed on their author's profile, in the order they started
+  const seriesLinks = (username) => allSeries
+    .filter(series => series.username === username)
+    .map(series => ({ title: series.title, url: `/${username}/series/${series.slug}`, count: series.articles.length }));
+
   for (const username of usernames) {
     const userArticles = articlesByUser[username].map(article => ({
-      title: article.title || 'Untitled',
+      title: article.title || t('meta.untitled'),
       slug: article.slug,
       username: username, // Add username to each article
-      description: article.description || generateDescription(article.body_html || ''),
-      publishedAt: article.published_at || '',
-      publishedDate: formatDate(article.published_at),
-      readingTime: article.reading_time || calculateReadingTime(article.body_html || '')
+      description: article.description || generateDescription(sourceHtml(article)),
+      publishedAt: article.publishedAt,
+      publishedDate: formatDate(article.publishedAt),
+      readingTime: article.readingTime || calculateReadingTime(sourceHtml(article)),
+      reactionCount: article.reactionCount,
+      commentCount: article.commentCount,
+      popularity: popularityScore(article, popularity),
+      tags: parseTags(article.tags)
     }));
 
     // Sort by date (newest first)
     userArticles.sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
 
-    const profileData = {
-      username: username,
-      articleCount: userArticles.length,
-      articles: userArticles,
-      canonicalUrl: `${SITE_URL}/${username}`
+    const author = findAuthor(authors, username, articlesByUser[username][0].authorName);
+
+    for (const page of paginate(userArticles, `/${username}`)) {
+      const pagination = paginationData(page);
+      const profileData = {
+        username: username,
+        name: author.name,
+        avatarUrl: author.avatarUrl,
+        githubUsername: author.githubUsername,
+        twitterUsername: author.twitterUsername,
+        joinedAt: author.joinedAt,
+        joinedDate: author.joinedAt ? formatDate(author.joinedAt) : '',
+        // Forem's own count also includes posts that were left out of the archive
+        foremArticleCount: author.articlesCount > userArticles.length ? author.articlesCount : 0,
+        articleCount: userArticles.length,
+        popularUrl: hasPopularPage(userArticles) ? popularPath(`/${username}`) : '',
+        series: page.pageNumber === 1 ? seriesLinks(username) : [],
+        articles: page.items,
+        structuredData: jsonLdGraph([
+          compact({
+            '@type': 'ProfilePage',
+            url: pagination.canonicalUrl,
+            name: t('profile.metaTitle', { name: author.name }),
+            inLanguage: SITE.locale,
+            dateCreated: toIso(author.joinedAt),
+            mainEntity: authorJsonLd(author)
+          }),
+          breadcrumbsJsonLd([{ name: author.name, url: `/${username}` }])
+        ]),
+        ...pagination
+      };
+
+      renderPage(pageFile(page.path), profileTemplate, profileData);
+      sitemapEntries.users.push({
+        loc: page.path,
+        lastmod: userArticles[0].publishedAt,
+        changefreq: 'weekly',
+        priority: page.pageNumber === 1 ? 0.8 : 0.4
+      });
+      if (page.pageNumber === 1) profileCount++;
+    }
+  }
+
+  console.log(`   ✅ Generated ${profileCount} profile pages`);
+
+  for (const series of allSeries) {
+    const author = findAuthor(authors, series.username, series.articles[0].authorName);
+    const seriesData = {
+      title: series.title,
+      username: series.username,
+      author: author.name,
+      partCount: series.articles.length,
+      articles: series.articles.map(articleListItem),
+      canonicalUrl: `${SITE_URL}/${series.username}/series/${series.slug}`
     };
+    seriesData.structuredData = collectionJsonLd({
+      name: series.title,
+      description: t('series.summary', { count: seriesData.partCount }),
+      url: seriesData.canonicalUrl,
+      author: authorJsonLd(author),
+      crumbs: [
+        { name: author.name, url: `/${series.username}` },
+        { name: series.title, url: `/${series.username}/series/${series.slug}` }
+      ]
+    });
 
-    const html = engine.render(profileTemplate, profileData);
-    const filePath = path.join(PUBLIC_DIR, username, 'index.html');
-    fs.writeFileSync(filePath, html);
-    profileCount++;
+    renderPage(pageFile(`/${series.username}/series/${series.slug}`), seriesTemplate, seriesData);
+    sitemapEntries.users.push({
+      loc: `/${series.username}/series/${series.slug}`,
+      lastmod: series.articles[series.articles.length - 1].publishedAt,
+      changefreq: 'monthly',
+      priority: 0.6
+    });
   }
 
-  console.log(`   ✅ Generated ${profileCount} profile pages\n`);
+  console.log(`   ✅ Generated ${allSeries.length} series pages\n`);
 
   // Step 7: Generate homepage
   console.log('🏠 Generating homepage...');
@@ -347,15 +780,20 @@ async function build() {
   const allArticles = [];
   for (const username of usernames) {
     articlesByUser[username].forEach(article => {
+      const tags = parseTags(article.tags);
       allArticles.push({
-        title: article.title || 'Untitled',
-        author: article.cached_user_name || username,
+        title: article.title || t('meta.untitled'),
+        author: article.authorName || username,
         username: username,
         slug: article.slug,
-        description: article.description || generateDescription(article.body_html || ''),
-        publishedAt: article.published_at || '',
-        publishedDate: formatDate(article.published_at),
-        readingTime: article.reading_time || calculateReadingTime(article.body_html || '')
+        description: article.description || generateDescription(sourceHtml(article)),
+        publishedAt: article.publishedAt,
+        publishedDate: formatDate(article.publishedAt),
+        readingTime: article.readingTime || calculateReadingTime(sourceHtml(article)),
+        reactionCount: article.reactionCount,
+        commentCount: article.commentCount,
+        popularity: popularityScore(article, popularity),
+        tags: tags
       });
     });
   }
@@ -363,102 +801,408 @@ async function build() {
   // Sort by date (newest first)
   allArticles.sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
 
-  const indexData = {
-    articleCount: allArticles.length,
-    userCount: usernames.length,
-    articles: allArticles.slice(0, 100), // Show latest 100 on homepage
-    canonicalUrl: SITE_URL
+  // Homepage is page 1 of the full listing; older articles continue at /page/N
+  const indexPages = paginate(allArticles, '');
+  for (const page of indexPages) {
+    const pagination = paginationData(page);
+    const indexData = {
+      articleCount: allArticles.length,
+      userCount: usernames.length,
+      popularUrl: hasPopularPage(allArticles) ? popularPath('') : '',
+      articles: page.items,
+      structuredData: jsonLdGraph([
+        compact({
+          '@type': 'CollectionPage',
+          name: SITE.title,
+          description: t('index.description', { articles: allArticles.length, authors: usernames.length }),
+          url: pagination.canonicalUrl,
+          inLanguage: SITE.locale,
+          publisher: { '@id': PUBLISHER_JSON_LD['@id'] }
+        }),
+        PUBLISHER_JSON_LD
+      ]),
+      ...pagination
+    };
+
+    renderPage(pageFile(page.path), indexTemplate, indexData);
+    sitemapEntries.pages.push({
+      loc: page.path,
+      lastmod: allArticles.length > 0 ? allArticles[0].publishedAt : '',
+      changefreq: page.pageNumber === 1 ? 'daily' : 'weekly',
+      priority: page.pageNumber === 1 ? 1.0 : 0.4
+    });
+  }
+
+  console.log(`   ✅ Generated homepage and ${indexPages.length - 1} listing pages\n`);
+
+  // Step 8: Generate date-based archive pages
+  console.log('🗓️  Generating archive pages...');
+
+  const archiveYears = {};
+  allArticles.forEach(article => {
+    const period = archivePeriod(article.publishedAt);
+    if (!period) return;
+
+    if (!archiveYears[period.year]) {
+      archiveYears[period.year] = { year: period.year, articles: [], months: {} };
+    }
+    const year = archiveYears[period.year];
+    year.articles.push(article);
+    if (!year.months[period.month]) {
+      year.months[period.month] = [];
+    }
+    year.months[period.month].push(article);
+  });
+
+  const sortedYears = Object.keys(archiveYears).sort().reverse();
+  let archivePageCount = 0;
+
+  // Render every page of one archive listing (allArticles order keeps them newest-first)
+  // crumbs: the breadcrumb trail below the homepage, ending with this listing
+  const renderArchive = (basePath, heading, periods, articles, crumbs) => {
+    for (const page of paginate(articles, basePath)) {
+      const pagination = paginationData(page);
+      const archiveData = {
+        heading: heading,
+        articleCount: articles.length,
+        periods: periods,
+        articles: page.items,
+        structuredData: collectionJsonLd({ name: heading, url: pagination.canonicalUrl, crumbs }),
+        ...pagination
+      };
+
+      renderPage(pageFile(page.path), archiveTemplate, archiveData);
+      sitemapEntries.pages.push({
+        loc: page.path,
+        lastmod: articles.length > 0 ? articles[0].publishedAt : '',
+        changefreq: 'monthly',
+        priority: 0.3
+      });
+      archivePageCount++;
+    }
   };
 
-  const indexHtml = engine.render(indexTemplate, indexData);
-  fs.writeFileSync(path.join(PUBLIC_DIR, 'index.html'), indexHtml);
+  const archivePath = SITE.paths.archive;
+  const archiveCrumb = { name: t('archive.heading'), url: archivePath };
+  renderArchive(
+    archivePath,
+    t('archive.heading'),
+    sortedYears.map(year => ({
+      label: year,
+      url: `${archivePath}/${year}`,
+      count: archiveYears[year].articles.length
+    })),
+    [],
+    [archiveCrumb]
+  );
 
-  console.log('   ✅ Generated homepage\n');
+  for (const yearKey of sortedYears) {
+    const year = archiveYears[yearKey];
+    const sortedMonths = Object.keys(year.months).sort().reverse();
+    const yearCrumb = { name: t('archive.year', { year: yearKey }), url: `${archivePath}/${yearKey}` };
+
+    renderArchive(
+      `${archivePath}/${yearKey}`,
+      yearCrumb.name,
+      sortedMonths.map(month => ({
+        label: formatMonth(month),
+        url: `${archivePath}/${yearKey}/${month}`,
+        count: year.months[month].length
+      })),
+      year.articles,
+      [archiveCrumb, yearCrumb]
+    );
+
+    for (const month of sortedMonths) {
+      const monthCrumb = { name: t('archive.month', { month: formatMonth(month), year: yearKey }), url: `${archivePath}/${yearKey}/${month}` };
+      renderArchive(
+        monthCrumb.url,
+        monthCrumb.name,
+        [],
+        year.months[month],
+        [archiveCrumb, yearCrumb, monthCrumb]
+      );
+    }
+  }
 
-  // Step 8: Generate sitemaps
-  console.log('🗺️  Generating sitemaps...');
+  console.log(`   ✅ Generated ${archivePageCount} archive pages\n`);
 
-  // sitemap-posts.xml (articles)
-  let sitemapPosts = '<?xml version="1.0" encoding="UTF-8"?>\n';
-  sitemapPosts += '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n';
+  // Step 9: Generate tag pages
+  console.log('🏷️  Generating tag pages...');
 
-  for (const username of usernames) {
-    for (const article of articlesByUser[username]) {
-      sitemapPosts += '  <url>\n';
-      sitemapPosts += `    <loc>${SITE_URL}/${username}/${article.slug}</loc>\n`;
-      sitemapPosts += `    <lastmod>${article.updated_at || article.published_at}</lastmod>\n`;
-      sitemapPosts += '    <changefreq>never</changefreq>\n';
-      sitemapPosts += '    <priority>0.6</priority>\n';
-      sitemapPosts += '  </url>\n';
+  const articlesByTag = {};
+  allArticles.forEach(article => {
+    article.tags.forEach(tag => {
+      if (!articlesByTag[tag.slug]) {
+        articlesByTag[tag.slug] = { name: tag.name, slug: tag.slug, articles: [] };
+      }
+      articlesByTag[tag.slug].articles.push(article);
+    });
+  });
+
+  // Most used tags first, ties broken alphabetically
+  const allTags = Object.values(articlesByTag).sort((a, b) =>
+    b.articles.length - a.articles.length || a.name.localeCompare(b.name)
+  );
+  let tagPageCount = 0;
+  const tagsCrumb = { name: t('tags.heading'), url: '/tags' };
+
+  for (const tag of allTags) {
+    // allArticles is already sorted newest-first
+    for (const page of paginate(tag.articles, `/t/${tag.slug}`)) {
+      const pagination = paginationData(page);
+      const tagData = {
+        tagName: tag.name,
+        tagSlug: tag.slug,
+        articleCount: tag.articles.length,
+        popularUrl: hasPopularPage(tag.articles) ? popularPath(`/t/${tag.slug}`) : '',
+        articles: page.items,
+        structuredData: collectionJsonLd({
+          name: `#${tag.name}`,
+          description: t('tag.summary', { tag: tag.name, count: tag.articles.length }),
+          url: pagination.canonicalUrl,
+          crumbs: [tagsCrumb, { name: `#${tag.name}`, url: `/t/${tag.slug}` }]
+        }),
+        ...pagination
+      };
+
+      renderPage(pageFile(page.path), tagTemplate, tagData);
+      sitemapEntries.tags.push({
+        loc: page.path,
+        lastmod: tag.articles[0].publishedAt,
+        changefreq: 'weekly',
+        priority: page.pageNumber === 1 ? 0.5 : 0.3
+      });
+      tagPageCount++;
     }
   }
-  sitemapPosts += '</urlset>';
-  fs.writeFileSync(path.join(PUBLIC_DIR, 'sitemap-posts.xml'), sitemapPosts);
 
-  // sitemap-users.xml (profile pages)
-  let sitemapUsers = '<?xml version="1.0" encoding="UTF-8"?>\n';
-  sitemapUsers += '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n';
+  const tagsData = {
+    tagCount: allTags.length,
+    tags: allTags.map(tag => ({ name: tag.name, slug: tag.slug, count: tag.articles.length })),
+    canonicalUrl: `${SITE_URL}/tags`,
+    structuredData: collectionJsonLd({
+      name: t('tags.heading'),
+      description: t('tags.description', { site: SITE.name, count: allTags.length }),
+      url: `${SITE_URL}/tags`,
+      crumbs: [tagsCrumb]
+    })
+  };
+  renderPage(pageFile('/tags'), tagsTemplate, tagsData);
+  sitemapEntries.tags.unshift({ loc: '/tags', changefreq: 'weekly', priority: 0.5 });
+
+  console.log(`   ✅ Generated ${tagPageCount} tag pages for ${allTags.length} tags`);
+  console.log('   ✅ Generated tag directory\n');
+
+  // Step 10: Generate "most popular" pages
+  console.log('🔥 Generating most popular pages...');
+  let popularPageCount = 0;
+
+  const renderPopular = (urlPath, heading, backLink, periods, articles) => {
+    const popularData = {
+      heading: heading,
+      backLink: backLink,
+      periods: periods,
+      articles: mostPopular(articles, article => article.popularity, POPULAR_LIMIT),
+      canonicalUrl: `${SITE_URL}${urlPath}`,
+      // Under the listing it ranks (the homepage's ranking sits right below home)
+      structuredData: collectionJsonLd({
+        name: heading,
+        url: `${SITE_URL}${urlPath}`,
+        crumbs: [
+          ...(backLink.url !== '/' ? [{ name: backLink.label, url: backLink.url }] : []),
+          { name: heading, url: urlPath }
+        ]
+      })
+    };
+
+    renderPage(pageFile(urlPath), popularTemplate, popularData);
+    sitemapEntries.pages.push({ loc: urlPath, changefreq: 'weekly', priority: 0.4 });
+    popularPageCount++;
+  };
+
+  const popularYears = sortedYears.filter(year => hasPopularPage(archiveYears[year].articles));
+  if (hasPopularPage(allArticles)) {
+    renderPopular(
+      popularPath(''),
+      t('nav.popular'),
+      { url: '/', label: t('popular.allArticles') },
+      popularYears.map(year => ({ label: year, url: `${popularPath('')}/${year}` })),
+      allArticles
+    );
+  }
+
+  for (const year of popularYears) {
+    renderPopular(
+      `${popularPath('')}/${year}`,
+      t('popular.year', { year }),
+      { url: `${archivePath}/${year}`, label: t('archive.year', { year }) },
+      popularYears.map(other => ({ label: other, url: `${popularPath('')}/${other}`, current: other === year })),
+      archiveYears[year].articles
+    );
+  }
+
+  for (const tag of allTags) {
+    if (!hasPopularPage(tag.articles)) continue;
+    renderPopular(popularPath(`/t/${tag.slug}`), t('popular.tag', { tag: tag.name }), { url: `/t/${tag.slug}`, label: `#${tag.name}` }, [], tag.articles);
+  }
 
   for (const username of usernames) {
-    sitemapUsers += '  <url>\n';
-    sitemapUsers += `    <loc>${SITE_URL}/${username}/</loc>\n`;
-    sitemapUsers += '    <changefreq>weekly</changefreq>\n';
-    sitemapUsers += '    <priority>0.8</priority>\n';
-    sitemapUsers += '  </url>\n';
+    const userArticles = allArticles.filter(article => article.username === username);
+    if (!hasPopularPage(userArticles)) continue;
+    const author = findAuthor(authors, username, articlesByUser[username][0].authorName);
+    renderPopular(popularPath(`/${username}`), t('popular.author', { name: author.name }), { url: `/${username}`, label: author.name }, [], userArticles);
+  }
+
+  console.log(`   ✅ Generated ${popularPageCount} most popular pages\n`);
+
+  // Step 11: Generate search index and search page
+  console.log('🔎 Generating search index...');
+
+  // Newest first, so equally ranked results favour recent articles (and feeds list latest first)
+  renderedArticles.sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
+
+  const searchDocs = renderedArticles.map(article => ({
+    title: article.title,
+    url: `/${article.username}/${article.slug}`,
+    author: article.author,
+    username: article.username,
+    description: article.description,
+    tags: article.tags.map(tag => tag.name),
+    publishedAt: article.publishedAt,
+    publishedDate: article.publishedDate,
+    text: htmlToText(article.contentHtml)
+  }));
+  const searchIndex = writeSearchIndex(searchDocs, path.join(PUBLIC_DIR, SEARCH_INDEX_PATH));
+  LEGACY_SEARCH_INDEX.forEach(file => fs.rmSync(path.join(PUBLIC_DIR, file), { recursive: true, force: true }));
+  fs.copyFileSync(
+    path.join(__dirname, 'lib/search-analyzer.js'),
+    path.join(PUBLIC_DIR, 'assets/js/search-analyzer.js')
+  );
+  renderPage(pageFile(SITE.paths.search), searchTemplate, {
+    canonicalUrl: `${SITE_URL}${SITE.paths.search}`,
+    searchIndexUrl: SEARCH_INDEX_PATH
+  });
+
+  console.log(`   ✅ Indexed ${searchIndex.docCount} articles into ${searchIndex.shardCount} term shards\n`);
+
+  // Step 12: Generate RSS, Atom and JSON feeds
+  console.log('📡 Generating feeds...');
+
+  const feedOptions = { siteUrl: SITE_URL, publicDir: PUBLIC_DIR, language: SITE.locale };
+  let feedCount = 0;
+  // Feeds are cheap to regenerate; record them so stale author/tag feeds get removed
+  const keepFeed = (files) => files.forEach(file => manifest.keep(file));
+
+  keepFeed(writeFeeds({
+    ...feedOptions,
+    urlPath: '/',
+    title: SITE.title,
+    description: SITE.description
+  }, renderedArticles.slice(0, FEED_ITEM_LIMIT)));
+  feedCount++;
+
+  for (const username of usernames) {
+    const userItems = renderedArticles.filter(article => article.username === username);
+    keepFeed(writeFeeds({
+      ...feedOptions,
+      urlPath: `/${username}`,
+      title: `${userItems[0] ? userItems[0].author : username} - ${SITE.name}`,
+      description: t('feeds.author', { username, site: SITE.name })
+    }, userItems.slice(0, FEED_ITEM_LIMIT)));
+    feedCount++;
+  }
+
+  for (const tag of allTags) {
+    const tagItems = renderedArticles.filter(article => article.tags.some(articleTag => articleTag.slug === tag.slug));
+    keepFeed(writeFeeds({
+      ...feedOptions,
+      urlPath: `/t/${tag.slug}`,
+      title: `#${tag.name} - ${SITE.name}`,
+      description: t('feeds.tag', { tag: tag.name, site: SITE.name })
+    }, tagItems.slice(0, FEED_ITEM_LIMIT)));
+    feedCount++;
+  }
+
+  console.log(`   ✅ Generated ${feedCount} feeds in RSS, Atom and JSON Feed formats\n`);
+
+  // Step 13: Generate sitemaps
+  console.log('🗺️  Generating sitemaps...');
+
+  const sitemaps = writeSitemaps(
+    ['pages', 'posts', 'users', 'tags'].map(name => ({ name, entries: sitemapEntries[name] })),
+    { siteUrl: SITE_URL, publicDir: PUBLIC_DIR }
+  );
+  // Split sitemaps change names as the archive grows; let stale ones be removed
+  sitemaps.files.forEach(file => manifest.keep(file));
+
+  console.log(`   ✅ Generated ${sitemaps.sitemaps.length} sitemaps with ${sitemaps.urlCount} URLs`);
+  console.log('   ✅ Generated sitemap-index.xml and sitemap.xml\n');
+
+  // Step 14: Generate the JSON API
+  console.log('🔌 Generating JSON API...');
+
+  const apiArticles = renderedArticles.map(articleData => {
+    const { article, author } = articleSources.get(articleData);
+    return {
+      id: article.id,
+      collectionId: article.series,
+      title: articleData.title,
+      description: articleData.description,
+      username: articleData.username,
+      slug: articleData.slug,
+      author: author,
+      publishedAt: articleData.publishedAt,
+      updatedAt: articleData.updatedAt,
+      readingTime: articleData.readingTime,
+      tags: articleData.tags,
+      coverImage: articleData.featuredImage,
+      socialImage: articleData.ogImage,
+      commentCount: articleData.commentCount,
+      reactionCount: articleData.reactionCount,
+      bodyHtml: absolutizeUrls(articleData.contentHtml, SITE_URL),
+      bodyMarkdown: articleMarkdownBodies.get(articleData)
+    };
+  });
+  const apiOutput = apiFiles({
+    siteUrl: SITE_URL,
+    articles: apiArticles,
+    authors: usernames.map(username => findAuthor(authors, username, articlesByUser[username][0].authorName)),
+    tags: allTags.map(tag => ({
+      name: tag.name,
+      slug: tag.slug,
+      articles: apiArticles.filter(article => article.tags.some(articleTag => articleTag.slug === tag.slug))
+    }))
+  });
+  for (const { file, data } of apiOutput) {
+    await manifest.writeAsset(file, data, () => JSON.stringify(data));
   }
-  sitemapUsers += '</urlset>';
-  fs.writeFileSync(path.join(PUBLIC_DIR, 'sitemap-users.xml'), sitemapUsers);
-
-  // sitemap-index.xml (main sitemap index)
-  let sitemapIndex = '<?xml version="1.0" encoding="UTF-8"?>\n';
-  sitemapIndex += '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n';
-  sitemapIndex += '  <sitemap>\n';
-  sitemapIndex += `    <loc>${SITE_URL}/sitemap-posts.xml</loc>\n`;
-  sitemapIndex += '  </sitemap>\n';
-  sitemapIndex += '  <sitemap>\n';
-  sitemapIndex += `    <loc>${SITE_URL}/sitemap-users.xml</loc>\n`;
-  sitemapIndex += '  </sitemap>\n';
-  sitemapIndex += '</sitemapindex>';
-  fs.writeFileSync(path.join(PUBLIC_DIR, 'sitemap-index.xml'), sitemapIndex);
-
-  // Keep the original sitemap.xml for homepage
-  let sitemap = '<?xml version="1.0" encoding="UTF-8"?>\n';
-  sitemap += '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n';
-  sitemap += '  <url>\n';
-  sitemap += `    <loc>${SITE_URL}/</loc>\n`;
-  sitemap += '    <changefreq>daily</changefreq>\n';
-  sitemap += '    <priority>1.0</priority>\n';
-  sitemap += '  </url>\n';
-  sitemap += '</urlset>';
-  fs.writeFileSync(path.join(PUBLIC_DIR, 'sitemap.xml'), sitemap);
-
-  console.log('   ✅ Generated sitemap-posts.xml');
-  console.log('   ✅ Generated sitemap-users.xml');
-  console.log('   ✅ Generated sitemap-index.xml');
-  console.log('   ✅ Generated sitemap.xml\n');
-
-  // Step 9: Generate llms.txt
-  async function generateLlmsTxt(articles, users) {
-    // Count tags
-    const tagCounts = {};
+
+  console.log(`   ✅ Generated ${apiOutput.length} files under ${API_PATH} (articles, users, tags and their JSON Schemas)\n`);
+
+  // Step 15: Generate llms.txt and llms-full.txt from the rendered (published) articles
+  const llmsLanguage = new Intl.DisplayNames(['en'], { type: 'language' }).of(SITE.locale.split('-')[0]);
+
+  function generateLlmsTxt(articles) {
+    // Count tags (by slug, so "web3" and "Web3" are one topic)
+    const tagCounts = new Map();
     articles.forEach(article => {
-      if (article.cached_tag_list) {
-        const tags = article.cached_tag_list.split(',').map(t => t.trim());
-        tags.forEach(tag => {
-          tagCounts[tag] = (tagCounts[tag] || 0) + 1;
-        });
-      }
+      article.tags.forEach(tag => {
+        const entry = tagCounts.get(tag.slug) || { tag, count: 0 };
+        entry.count++;
+        tagCounts.set(tag.slug, entry);
+      });
     });
 
     // Get top 15 topics
-    const topTopics = Object.entries(tagCounts)
-      .sort((a, b) => b[1] - a[1])
+    const topTopics = Array.from(tagCounts.values())
+      .sort((a, b) => b.count - a.count)
       .slice(0, 15);
 
     // Count articles by author
     const authorCounts = {};
     articles.forEach(article => {
-      const username = article.cached_user_username;
+      const username = article.username;
       if (username) {
         authorCounts[username] = (authorCounts[username] || 0) + 1;
       }
@@ -469,18 +1213,19 @@ async function build() {
       .sort((a, b) => b[1] - a[1])
       .slice(0, 10);
 
-    // Get latest 20 articles
-    const latestArticles = articles
-      .sort((a, b) => new Date(b.published_at) - new Date(a.published_at))
+    // Get latest 20 articles (without reordering the caller's list)
+    const latestArticles = [...articles]
+      .sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt))
       .slice(0, 20);
 
     // Build llms.txt
-    let llmsTxt = `# WEB3DEV Portuguese Archive\n\n`;
-    llmsTxt += `> A comprehensive archive of ${articles.length} Web3 and blockchain articles in Portuguese, covering topics from smart contract development to decentralized finance.\n\n`;
-    llmsTxt += `This archive preserves high-quality educational content from the WEB3DEV community, featuring tutorials, guides, and technical articles about blockchain technology, Ethereum, Solana, and Web3 development.\n\n`;
+    let llmsTxt = `# ${SITE.title}\n\n`;
+    llmsTxt += `> A comprehensive archive of ${articles.length} Web3 and blockchain articles in ${llmsLanguage}, covering topics from smart contract development to decentralized finance.\n\n`;
+    llmsTxt += `This archive preserves high-quality educational content from the ${SITE.name} community, featuring tutorials, guides, and technical articles about blockchain technology, Ethereum, Solana, and Web3 development.\n\n`;
+    llmsTxt += `Every article is also available as Markdown with front matter: add \`.md\` to its URL (${SITE_URL}/<username>/<slug>.md).\n\n`;
 
     llmsTxt += `## Popular Topics\n\n`;
-    topTopics.forEach(([tag, count]) => {
+    topTopics.forEach(({ tag, count }) => {
       const descriptions = {
         'Blockchain': 'blockchain fundamentals, architecture, and applications',
         'Solidity': 'smart contract programming and development',
@@ -498,8 +1243,8 @@ async function build() {
         'Token': 'tokenomics and token standards',
         'EVM': 'Ethereum Virtual Machine'
       };
-      const desc = descriptions[tag] || tag.toLowerCase();
-      llmsTxt += `- [${tag}](${SITE_URL}): ${count} articles covering ${desc}\n`;
+      const desc = descriptions[tag.name] || tag.name.toLowerCase();
+      llmsTxt += `- [${tag.name}](${SITE_URL}/t/${tag.slug}): ${count} articles covering ${desc}\n`;
     });
 
     llmsTxt += `\n## Top Authors\n\n`;
@@ -509,15 +1254,37 @@ async function build() {
 
     llmsTxt += `\n## Latest Articles\n\n`;
     latestArticles.forEach(article => {
-      const url = `${SITE_URL}/${article.cached_user_username}/${article.slug}`;
-      const desc = article.description ? article.description.substring(0, 100) : article.title;
-      llmsTxt += `- [${article.title}](${url}): ${desc}\n`;
+      const desc = singleLine(article.description ? article.description.substring(0, 100) : article.title);
+      llmsTxt += `- [${singleLine(article.title)}](${article.canonicalUrl}): ${desc}\n`;
     });
 
+    llmsTxt += `\n## Optional\n\n`;
+    llmsTxt += `- [Full archive](${SITE_URL}/llms-full.txt): all ${articles.length} articles as Markdown, newest first\n`;
+
     fs.writeFileSync(path.join(PUBLIC_DIR, 'llms.txt'), llmsTxt);
   }
 
-  // Step 10: Generate robots.txt
+  // Every article's Markdown body under its title and source details
+  function generateLlmsFullTxt(articles) {
+    let llmsFull = `# ${SITE.title}\n\n`;
+    llmsFull += `> ${articles.length} Web3 and blockchain articles in ${llmsLanguage} from the ${SITE.name} community, newest first. Each article starts with a level-one heading.\n`;
+
+    articles.forEach(article => {
+      const details = [
+        `Source: ${article.canonicalUrl}`,
+        `Author: ${article.author} (@${article.username})`,
+        `Published: ${toIso(article.publishedAt)}`
+      ];
+      if (article.tags.length > 0) details.push(`Tags: ${article.tags.map(tag => tag.name).join(', ')}`);
+      if (article.series) details.push(`Series: ${article.series.title} (part ${article.series.position} of ${article.series.count})`);
+
+      llmsFull += `\n---\n\n# ${singleLine(article.title)}\n\n${details.join('\n')}\n\n${articleMarkdownBodies.get(article)}\n`;
+    });
+
+    fs.writeFileSync(path.join(PUBLIC_DIR, 'llms-full.txt'), llmsFull);
+  }
+
+  // Step 16: Generate robots.txt
   console.log('🤖 Generating robots.txt...');
 
   const robotsTxt = `# Allow all crawlers
@@ -545,8 +1312,6 @@ Allow: /
 
 # Sitemaps
 Sitemap: ${SITE_URL}/sitemap-index.xml
-Sitemap: ${SITE_URL}/sitemap-posts.xml
-Sitemap: ${SITE_URL}/sitemap-users.xml
 `;
 
   fs.writeFileSync(path.join(PUBLIC_DIR, 'robots.txt'), robotsTxt);
@@ -555,18 +1320,85 @@ Sitemap: ${SITE_URL}/sitemap-users.xml
 
   // Generate llms.txt
   console.log('🤖 Generating llms.txt...');
-  await generateLlmsTxt(articles, users);
-  console.log('   ✅ Generated llms.txt\n');
+  generateLlmsTxt(renderedArticles);
+  generateLlmsFullTxt(renderedArticles);
+  console.log(`   ✅ Generated llms.txt and llms-full.txt (${renderedArticles.length} articles)\n`);
+
+  // Step 17: Generate redirects from legacy Forem URLs
+  console.log('↪️  Generating legacy redirects...');
+
+  // Real pages are never replaced (public/a/b.html and public/a/b/index.html both serve /a/b)
+  const reservedPaths = new Set(['/']);
+  manifest.files().forEach(file => reservedPaths.add(`/${file.replace(/(^|\/)index\.html$|\.html$/, '')}`));
+  const { redirects, conflicts } = collectRedirects({
+    articles: publishedArticles
+      .filter(article => article.username && article.slug)
+      .map(article => ({
+        username: article.username,
+        slug: article.slug,
+        oldSlugs: article.oldSlugs
+      })),
+    authors: usernames.map(username => ({
+      username,
+      aliases: authors.has(username) ? authors.get(username).aliases : []
+    })),
+    tags: allTags,
+    reservedPaths
+  });
+
+  for (const redirect of redirects) {
+    renderPage(redirect.file, redirectTemplate, {
+      target: redirect.to,
+      targetUrl: `${SITE_URL}${redirect.to}`
+    });
+  }
+  fs.writeFileSync(path.join(PUBLIC_DIR, '_redirects'), renderRedirectsFile(redirects));
+  fs.writeFileSync(path.join(PUBLIC_DIR, 'redirects.map'), renderNginxMap(redirects));
+
+  console.log(`   ✅ Generated ${redirects.length} redirect pages, _redirects and redirects.map`);
+  if (conflicts > 0) {
+    console.log(`   ⚠️  Skipped ${conflicts} ambiguous legacy paths`);
+  }
+  console.log('');
+
+  // Step 18: Remove pages that no longer correspond to published content
+  console.log('🧹 Removing orphaned files...');
+  const removedFiles = manifest.removeOrphans();
+  removedFiles.slice(0, 20).forEach(file => console.log(`   - ${file}`));
+  if (removedFiles.length > 20) {
+    console.log(`   ... and ${removedFiles.length - 20} more`);
+  }
+  manifest.save();
+  console.log(`   ✅ Removed ${removedFiles.length} orphaned files\n`);
+
+  // Make sure no account data from the users export made it into the output
+  console.log('🔒 Checking output for private user data...');
+  const leaks = findPrivateDataLeaks(PUBLIC_DIR, privateUserValues);
+  if (leaks.length > 0) {
+    const details = leaks.slice(0, 20).map(leak => `   - ${leak.file}: ${leak.column}`).join('\n');
+    throw new Error(`Private user data found in ${leaks.length} generated file(s):\n${details}`);
+  }
+  console.log('   ✅ No private user data in output\n');
 
   // Summary
   console.log('✨ Build complete!\n');
   console.log('📊 Summary:');
-  console.log(`   - ${articleCount} article pages`);
+  console.log(`   - ${articleCount} article pages + Markdown versions`);
   console.log(`   - ${profileCount} profile pages`);
-  console.log(`   - 1 homepage`);
-  console.log(`   - sitemap.xml with ${articleCount + profileCount + 1} URLs`);
+  console.log(`   - ${allSeries.length} series pages`);
+  console.log(`   - 1 homepage + ${indexPages.length - 1} listing pages`);
+  console.log(`   - ${archivePageCount} archive pages`);
+  console.log(`   - search page + index of ${searchIndex.docCount} articles`);
+  console.log(`   - ${feedCount} feeds (RSS, Atom, JSON Feed)`);
+  console.log(`   - ${tagPageCount} tag pages + tag directory`);
+  console.log(`   - ${popularPageCount} most popular pages`);
+  console.log(`   - ${sitemaps.sitemaps.length} sitemaps with ${sitemaps.urlCount} URLs`);
   console.log(`   - robots.txt`);
-  console.log(`   - llms.txt\n`);
+  console.log(`   - llms.txt and llms-full.txt`);
+  console.log(`   - JSON API (${apiOutput.length} files under ${API_PATH})`);
+  console.log(`   - ${redirects.length} legacy redirects\n`);
+  const { added, changed, unchanged, removed } = manifest.stats;
+  console.log(`📦 Pages: ${added} added, ${changed} changed, ${unchanged} unchanged, ${removed} removed\n`);
   console.log(`🌐 Run 'npm run serve' to test locally`);
 }
 
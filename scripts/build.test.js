@@ -0,0 +1,202 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseDocument, DomUtils } = require('htmlparser2');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures/forem');
+const articles = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'articles.json'), 'utf-8'));
+
+let tempDir;
+let outputDir;
+
+/**
+ * Write a site config for the fixture sources into dir
+ */
+function writeConfig(dir, options = {}) {
+  const configFile = path.join(dir, 'site.json');
+  fs.writeFileSync(configFile, JSON.stringify({
+    url: 'https://example.com',
+    locale: 'en',
+    name: 'Fixture',
+    tagline: 'Fixture archive',
+    outputDir: path.join(dir, 'public'),
+    cacheDir: path.join(dir, 'cache'),
+    imageManifest: path.join(dir, 'image-manifest.json'),
+    sources: [{
+      type: 'forem-json',
+      articles: path.join(FIXTURES_DIR, 'articles.json'),
+      users: path.join(FIXTURES_DIR, 'users.json')
+    }],
+    ...options
+  }));
+  return configFile;
+}
+
+function build(configFile) {
+  return execFileSync(process.execPath, [path.join(__dirname, 'build.js'), '--site', configFile], {
+    stdio: 'pipe',
+    timeout: 120000
+  });
+}
+
+// Builds the fixture archive (titles and names with \, newlines, quotes,
+// </script> and &) once, into a temporary directory
+test.before(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'build-'));
+  outputDir = path.join(tempDir, 'public');
+  build(writeConfig(tempDir));
+});
+
+test.after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+function htmlFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) return htmlFiles(file);
+    return entry.name.endsWith('.html') ? [file] : [];
+  });
+}
+
+/**
+ * Contents of the JSON-LD <script>s of a page, as a browser splits them
+ */
+function jsonLdBlocks(file) {
+  const document = parseDocument(fs.readFileSync(file, 'utf-8'));
+  return DomUtils.findAll(
+    element => element.name === 'script' && element.attribs.type === 'application/ld+json',
+    document.children
+  ).map(script => DomUtils.textContent(script));
+}
+
+test('every JSON-LD block of every page is valid JSON', () => {
+  let blocks = 0;
+  for (const file of htmlFiles(outputDir)) {
+    for (const block of jsonLdBlocks(file)) {
+      assert.doesNotThrow(() => JSON.parse(block), `${path.relative(outputDir, file)}: ${block.slice(0, 200)}`);
+      blocks++;
+    }
+  }
+  assert.ok(blocks > 0);
+});
+
+test('article JSON-LD keeps titles and author names as they are', () => {
+  for (const article of articles) {
+    const file = path.join(outputDir, article.cached_user_username, `${article.slug}.html`);
+    const [block, ...rest] = jsonLdBlocks(file);
+    assert.deepEqual(rest, []);
+
+    const graph = JSON.parse(block)['@graph'];
+    const node = graph.find(item => item['@type'] === 'Article');
+    assert.equal(node.headline, article.title);
+    assert.equal(node.author.name, article.cached_user_name);
+
+    const crumbs = graph.find(item => item['@type'] === 'BreadcrumbList').itemListElement;
+    assert.equal(crumbs[crumbs.length - 1].name, article.title);
+  }
+});
+
+test('listing pages with tricky names have valid JSON-LD', () => {
+  for (const page of ['index.html', 'ana/index.html', 'ana/series/7/index.html', 't/c-c/index.html']) {
+    const blocks = jsonLdBlocks(path.join(outputDir, page));
+    assert.ok(blocks.length > 0, page);
+    blocks.forEach(block => JSON.parse(block));
+  }
+});
+
+test('the search page points at an index outside the username namespace', () => {
+  const html = fs.readFileSync(path.join(outputDir, 'find/index.html'), 'utf-8');
+  const indexUrl = /data-index-url="([^"]+)"/.exec(html)[1];
+  assert.equal(indexUrl, '/assets/search-index');
+
+  const meta = JSON.parse(fs.readFileSync(path.join(outputDir, indexUrl, 'meta.json'), 'utf-8'));
+  assert.equal(meta.docCount, articles.length);
+  assert.ok(!fs.existsSync(path.join(outputDir, 'search')));
+});
+
+test('the build manifest is kept out of the output directory', () => {
+  assert.ok(fs.existsSync(path.join(tempDir, 'cache/build-manifest-site.json')));
+  assert.ok(!fs.existsSync(path.join(outputDir, '.build-manifest.json')));
+});
+
+test('the build fails when a username takes the path of a site section', () => {
+  const dir = path.join(tempDir, 'clash');
+  fs.mkdirSync(dir);
+  const configFile = writeConfig(dir, { paths: { search: '/ana' } });
+  assert.throws(() => build(configFile), error => {
+    assert.match(error.stderr.toString(), /Usernames clash with top-level site paths: ana/);
+    return true;
+  });
+});
+
+/**
+ * Errors of value against the subset of JSON Schema the API schemas use
+ * (type, const, required, properties, items, minimum, $ref and the uri and
+ * date-time formats). `schemas` are the API schemas by file name; `file` is
+ * the one that `schema` comes from, to resolve "#..." references.
+ */
+function schemaErrors(value, schema, { schemas, file }, at = '') {
+  if (schema.$ref) {
+    const [refFile, pointer = ''] = schema.$ref.split('#');
+    const target = pointer.split('/').filter(Boolean).reduce((node, key) => node[key], schemas[refFile || file]);
+    return schemaErrors(value, target, { schemas, file: refFile || file }, at);
+  }
+
+  const errors = [];
+  const typeOf = (v) => v === null ? 'null' : Array.isArray(v) ? 'array' : Number.isInteger(v) ? 'integer' : typeof v;
+  if ('const' in schema && value !== schema.const) errors.push(`${at}: expected ${JSON.stringify(schema.const)}`);
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    const type = typeOf(value);
+    if (!types.includes(type) && !(type === 'integer' && types.includes('number'))) {
+      return [`${at}: expected ${types.join(' or ')}, got ${type}`];
+    }
+  }
+  if (typeof value === 'number' && 'minimum' in schema && value < schema.minimum) errors.push(`${at}: below ${schema.minimum}`);
+  if (typeof value === 'string' && schema.format === 'uri' && !/^https?:\/\/\S+$/.test(value)) errors.push(`${at}: not a URI`);
+  if (typeof value === 'string' && schema.format === 'date-time' && Number.isNaN(Date.parse(value))) errors.push(`${at}: not a date-time`);
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).filter(key => !(key in value)).forEach(key => errors.push(`${at}/${key}: missing`));
+    Object.entries(schema.properties || {}).forEach(([key, property]) => {
+      if (key in value) errors.push(...schemaErrors(value[key], property, { schemas, file }, `${at}/${key}`));
+    });
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...schemaErrors(item, schema.items, { schemas, file }, `${at}/${i}`)));
+  }
+  return errors;
+}
+
+// Schema of each kind of file under api/v1 (schemas/ and index.json describe the API itself)
+const API_FILE_SCHEMAS = [
+  [/^articles\/(index|page\/\d+)\.json$/, 'articles-page.json'],
+  [/^articles\/[^/]+\/[^/]+\.json$/, 'article.json'],
+  [/^users\/[^/]+\.json$/, 'user.json'],
+  [/^tags\/[^/]+\.json$/, 'tag.json']
+];
+
+test('every API resource matches its JSON Schema', () => {
+  const apiDir = path.join(outputDir, 'api/v1');
+  const schemas = {};
+  for (const name of fs.readdirSync(path.join(apiDir, 'schemas'))) {
+    schemas[name] = JSON.parse(fs.readFileSync(path.join(apiDir, 'schemas', name), 'utf-8'));
+  }
+
+  const files = fs.readdirSync(apiDir, { recursive: true })
+    .map(file => file.split(path.sep).join('/'))
+    .filter(file => file.endsWith('.json') && !file.startsWith('schemas/') && file !== 'index.json');
+  const checked = new Set();
+  for (const file of files) {
+    const match = API_FILE_SCHEMAS.find(([pattern]) => pattern.test(file));
+    assert.ok(match, `${file} has no schema`);
+    const data = JSON.parse(fs.readFileSync(path.join(apiDir, file), 'utf-8'));
+    assert.deepEqual(schemaErrors(data, schemas[match[1]], { schemas, file: match[1] }), [], file);
+    checked.add(match[1]);
+  }
+  assert.deepEqual(Array.from(checked).sort(), ['article.json', 'articles-page.json', 'tag.json', 'user.json']);
+});
@@ -0,0 +1,312 @@
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { pathToFileURL } = require('url');
+const { loadSources } = require('./lib/sources');
+const { groupSeries } = require('./lib/series');
+const { SANITIZE_OPTIONS, renderContent } = require('./lib/article-content');
+const { liquidLabels } = require('./lib/liquid-tags');
+const { absolutizeUrls } = require('./lib/feeds');
+const { isLocalImage } = require('./lib/images');
+const { bookContent, selectArticles } = require('./lib/books');
+const { IMAGE_TYPES, bookIdentifier, renderEpub } = require('./lib/epub');
+const { renderBookCover } = require('./lib/og-cards');
+const { parseTags, slugifyTag } = require('./lib/tags');
+const { TemplateEngine } = require('./lib/template-engine');
+const { loadSiteConfig, siteArgument } = require('./lib/site-config');
+
+// Export archive articles as an EPUB 3 book and a print edition (HTML, and a
+// PDF printed from it with headless Chrome/Chromium):
+//
+//   npm run export-book -- --author=<username> [--tag=<tag>]
+//   npm run export-book -- --tag=<tag>
+//   npm run export-book -- --series=<username>/<series-slug>
+//   npm run export-book -- --articles=<username>/<slug>,<username>/<slug>
+//
+// Options: --title="..." (else one from the selection), --format=epub,html,pdf
+// (default epub,html), --out=<dir> (default exports/), --site <config>.
+// Images come from the site's public/images/, so run migrate-images first.
+
+// Configuration
+const ROOT_DIR = path.join(__dirname, '..');
+const SITE = loadSiteConfig(siteArgument(process.argv.slice(2)), { rootDir: ROOT_DIR });
+const SITE_URL = SITE.url;
+const PUBLIC_DIR = SITE.outputDir;
+const BOOK_TEMPLATES_DIR = path.join(__dirname, '../templates/book');
+const DEFAULT_OUT_DIR = path.join(ROOT_DIR, 'exports');
+const FORMATS = ['epub', 'html', 'pdf'];
+const DEFAULT_FORMATS = ['epub', 'html'];
+const MAX_SUBJECTS = 10;
+// Browsers tried for --format=pdf when CHROME_PATH isn't set
+const CHROME_COMMANDS = ['chromium', 'chromium-browser', 'google-chrome', 'google-chrome-stable'];
+// The print edition is read by a browser, which also shows AVIF
+const PRINT_IMAGE_TYPES = { ...IMAGE_TYPES, '.avif': 'image/avif' };
+
+const t = SITE.t;
+const LIQUID_LABELS = liquidLabels(t);
+
+/**
+ * Parse --author=, --tag=, --series=, --articles=, --title=, --format= and
+ * --out= (--site is read with the config)
+ */
+function parseArgs(argv) {
+  const options = { selection: {}, title: '', formats: DEFAULT_FORMATS, outDir: DEFAULT_OUT_DIR };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--site') {
+      i++;
+      continue;
+    }
+    const match = /^--([\w-]+)=(.*)$/.exec(arg);
+    if (!match) throw new Error(`Unknown argument: ${arg}`);
+    const [, name, value] = match;
+
+    if (name === 'site') {
+      continue;
+    } else if (name === 'author' || name === 'tag' || name === 'series') {
+      options.selection[name] = value.replace(/^@/, '');
+    } else if (name === 'articles') {
+      options.selection.articles = value.split(',').map(item => item.trim()).filter(Boolean);
+    } else if (name === 'title') {
+      options.title = value.trim();
+    } else if (name === 'format') {
+      options.formats = value.split(',').map(format => format.trim().toLowerCase());
+      const unknown = options.formats.filter(format => !FORMATS.includes(format));
+      if (unknown.length > 0) throw new Error(`Unknown format ${unknown.join(', ')} (expected: ${FORMATS.join(', ')})`);
+    } else if (name === 'out') {
+      options.outDir = path.resolve(value);
+    } else {
+      throw new Error(`Unknown or invalid option: ${arg}`);
+    }
+  }
+
+  const { series, articles, author, tag } = options.selection;
+  if ([series, articles, author || tag].filter(Boolean).length > 1) {
+    throw new Error('--series, --articles and --author/--tag can\'t be combined');
+  }
+  return options;
+}
+
+// Utility: Format date in the site's locale
+function formatDate(dateString) {
+  return new Date(dateString).toLocaleDateString(SITE.locale, { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+// Utility: File of a migrated image (/images/...) in the output dir, or '' if it isn't one
+function localImageFile(src) {
+  if (!isLocalImage(src)) return '';
+  let relative;
+  try {
+    relative = decodeURIComponent(src.split(/[?#]/)[0]);
+  } catch (err) {
+    return '';
+  }
+  const file = path.join(PUBLIC_DIR, relative);
+  return file.startsWith(path.join(PUBLIC_DIR, 'images') + path.sep) && fs.existsSync(file) ? file : '';
+}
+
+// Utility: Title of a book from its selection (--title wins)
+function bookTitle(options, articles, series, authors) {
+  if (options.title) return options.title;
+  const { author, tag } = options.selection;
+  if (series) return series.title;
+
+  const name = author ? (authors.get(author) || {}).name || articles[0].authorName || author : '';
+  const tagSlug = tag ? slugifyTag(tag.replace(/^#/, '')) : '';
+  const tagName = tag
+    ? parseTags(articles.flatMap(article => article.tags)).find(candidate => candidate.slug === tagSlug).name
+    : '';
+  if (name && tagName) return t('book.authorTagTitle', { name, tag: tagName });
+  if (name) return t('book.authorTitle', { name });
+  if (tagName) return t('book.tagTitle', { tag: tagName });
+  return t('book.collectionTitle', { site: SITE.name });
+}
+
+// Utility: Headless Chrome/Chromium command for PDFs
+function findChrome() {
+  const commands = process.env.CHROME_PATH ? [process.env.CHROME_PATH] : CHROME_COMMANDS;
+  const chrome = commands.find(command => spawnSync(command, ['--version'], { stdio: 'ignore' }).status === 0);
+  if (!chrome) {
+    throw new Error(`PDF export needs Chrome or Chromium: set CHROME_PATH or install one of ${CHROME_COMMANDS.join(', ')}`);
+  }
+  return chrome;
+}
+
+// Utility: Print an HTML file to PDF
+function printPdf(chrome, htmlFile, pdfFile) {
+  const args = ['--headless', '--disable-gpu', '--no-pdf-header-footer', `--print-to-pdf=${pdfFile}`, pathToFileURL(htmlFile).href];
+  // Chrome refuses to run sandboxed as root (e.g. in CI containers)
+  if (process.getuid && process.getuid() === 0) args.unshift('--no-sandbox');
+  const result = spawnSync(chrome, args, { encoding: 'utf-8', timeout: 5 * 60 * 1000 });
+  if (result.status !== 0 || !fs.existsSync(pdfFile)) {
+    throw new Error(`${chrome} could not print ${htmlFile}: ${(result.stderr || result.error || '').toString().trim()}`);
+  }
+}
+
+// Main export function
+async function exportBook() {
+  const options = parseArgs(process.argv.slice(2));
+  const chrome = options.formats.includes('pdf') ? findChrome() : null;
+  console.log(`📚 Exporting a book from ${SITE.url}...\n`);
+
+  // Step 1: Load the published articles, like the build does
+  console.log('📊 Loading content sources...');
+  const { articles, authors } = await loadSources(SITE.sources, { rootDir: ROOT_DIR });
+  const listedArticles = articles.filter(article => article.published && article.username && article.slug);
+  const allSeries = groupSeries(listedArticles);
+  const seriesByArticle = new Map();
+  allSeries.forEach(series => series.articles.forEach(article => seriesByArticle.set(article, series)));
+  console.log(`   Loaded ${listedArticles.length} published articles\n`);
+
+  // Step 2: Pick the articles
+  const selected = selectArticles(listedArticles, allSeries, options.selection);
+  const selectedSeries = options.selection.series ? seriesByArticle.get(selected[0]) : null;
+  const title = bookTitle(options, selected, selectedSeries, authors);
+  const slug = slugifyTag(title) || 'book';
+  console.log(`📖 "${title}": ${selected.length} articles\n`);
+
+  // Step 3: Render the chapters from the same sanitized HTML as the article pages
+  console.log('📝 Rendering chapters...');
+  const engine = new TemplateEngine();
+  engine.registerHelper('t', (key, helperOptions) => t(key, helperOptions.hash));
+  const chapterTemplate = fs.readFileSync(path.join(BOOK_TEMPLATES_DIR, 'chapter.html'), 'utf-8');
+  engine.loadPartial('book-chapter', chapterTemplate);
+
+  const chapters = selected.map((article, i) => {
+    const content = renderContent(article, SANITIZE_OPTIONS, LIQUID_LABELS);
+    content.unknownTags.forEach(tag => console.log(`   ⚠️  Unknown liquid tag {% ${tag} %} removed from /${article.username}/${article.slug}`));
+    const author = authors.get(article.username);
+    const series = seriesByArticle.get(article);
+    return {
+      id: `chapter-${i + 1}`,
+      title: article.title || t('meta.untitled'),
+      author: author ? author.name : article.authorName || article.username,
+      publishedAt: article.publishedAt,
+      publishedDate: formatDate(article.publishedAt),
+      updatedAt: article.updatedAt || article.publishedAt,
+      url: `${SITE_URL}/${article.username}/${article.slug}`,
+      tags: article.tags,
+      series: series ? { title: series.title, position: series.articles.indexOf(article) + 1, count: series.articles.length } : null,
+      html: content.html
+    };
+  });
+
+  const missingImages = new Set();
+  const contentOptions = (resolveImage) => ({
+    resolveImage,
+    imageLabel: (alt) => t('book.image', { alt }),
+    embedLabel: (url) => t('book.video', { url })
+  });
+
+  // EPUB: local images are packed into the book; remote ones can't be
+  const epubImages = new Map(); // href -> file
+  const resolveEpubImage = (src) => {
+    const file = localImageFile(src);
+    if (!file) {
+      if (isLocalImage(src)) missingImages.add(src);
+      return '';
+    }
+    if (!IMAGE_TYPES[path.extname(file).toLowerCase()]) return '';
+    const href = path.relative(PUBLIC_DIR, file).split(path.sep).join('/');
+    epubImages.set(href, file);
+    return `../${href}`;
+  };
+
+  // Print edition: one self-contained file, local images inlined
+  const resolvePrintImage = (src) => {
+    const file = localImageFile(src);
+    const type = file && PRINT_IMAGE_TYPES[path.extname(file).toLowerCase()];
+    if (type) return `data:${type};base64,${fs.readFileSync(file).toString('base64')}`;
+    return /^https?:\/\//i.test(src) ? src : '';
+  };
+
+  // Links to other pages of the archive can't be relative outside the site
+  const chapterContent = (chapter, resolveImage, idPrefix) =>
+    absolutizeUrls(bookContent(chapter.html, { ...contentOptions(resolveImage), idPrefix }), SITE_URL);
+  const renderChapter = (chapter, resolveImage) => engine.render(chapterTemplate, {
+    ...chapter,
+    contentHtml: chapterContent(chapter, resolveImage)
+  });
+
+  // Book metadata
+  const creators = [...new Set(chapters.map(chapter => chapter.author))];
+  const tagCounts = new Map();
+  chapters.forEach(chapter => parseTags(chapter.tags).forEach(tag => {
+    const entry = tagCounts.get(tag.slug) || { name: tag.name, count: 0 };
+    entry.count++;
+    tagCounts.set(tag.slug, entry);
+  }));
+  const subjects = Array.from(tagCounts.values()).sort((a, b) => b.count - a.count).slice(0, MAX_SUBJECTS).map(tag => tag.name);
+  const latest = (field) => chapters.map(chapter => chapter[field]).sort((a, b) => new Date(b) - new Date(a))[0];
+  const subtitle = t('book.subtitle', { count: chapters.length, site: SITE.name });
+  const stylesheet = fs.readFileSync(path.join(BOOK_TEMPLATES_DIR, 'book.css'), 'utf-8');
+  const cover = await renderBookCover({ title, subtitle, siteName: new URL(SITE_URL).host, logoFile: SITE.branding.cardLogo });
+  console.log(`   ✅ Rendered ${chapters.length} chapters\n`);
+
+  // Step 4: Write the formats
+  console.log('💾 Writing files...');
+  fs.mkdirSync(options.outDir, { recursive: true });
+  const written = [];
+
+  if (options.formats.includes('epub')) {
+    const epubChapters = chapters.map(chapter => ({ title: chapter.title, html: renderChapter(chapter, resolveEpubImage) }));
+    const epub = await renderEpub({
+      id: bookIdentifier(`${SITE_URL}\n${chapters.map(chapter => chapter.url).join('\n')}`),
+      title,
+      language: SITE.locale,
+      creators,
+      publisher: SITE.name,
+      description: subtitle,
+      subjects,
+      source: SITE_URL,
+      date: latest('publishedAt'),
+      modified: latest('updatedAt'),
+      tocTitle: t('book.contents'),
+      coverTitle: t('book.cover'),
+      stylesheet,
+      cover,
+      chapters: epubChapters,
+      images: Array.from(epubImages, ([href, file]) => ({ href, data: fs.readFileSync(file) }))
+    });
+    const epubFile = path.join(options.outDir, `${slug}.epub`);
+    fs.writeFileSync(epubFile, epub);
+    written.push(`${epubFile} (${epubImages.size} images)`);
+  }
+
+  if (options.formats.includes('html') || options.formats.includes('pdf')) {
+    const printTemplate = fs.readFileSync(path.join(BOOK_TEMPLATES_DIR, 'print.html'), 'utf-8');
+    const html = engine.render(printTemplate, {
+      title,
+      language: SITE.locale,
+      creators: creators.join(', '),
+      description: subtitle,
+      stylesheet,
+      coverSrc: `data:image/png;base64,${cover.toString('base64')}`,
+      // All chapters share one page: their ids get the chapter's as a prefix
+      chapters: chapters.map(chapter => ({ ...chapter, contentHtml: chapterContent(chapter, resolvePrintImage, chapter.id) }))
+    });
+    const htmlFile = path.join(options.outDir, `${slug}.html`);
+    fs.writeFileSync(htmlFile, html);
+    if (options.formats.includes('html')) written.push(htmlFile);
+
+    if (options.formats.includes('pdf')) {
+      const pdfFile = path.join(options.outDir, `${slug}.pdf`);
+      printPdf(chrome, htmlFile, pdfFile);
+      written.push(pdfFile);
+      if (!options.formats.includes('html')) fs.unlinkSync(htmlFile);
+    }
+  }
+
+  written.forEach(file => console.log(`   ✅ ${file}`));
+  if (missingImages.size > 0) {
+    console.log(`   ⚠️  ${missingImages.size} images not found in ${path.relative(process.cwd(), PUBLIC_DIR)}/images (run migrate-images first)`);
+  }
+  console.log('\n✨ Export complete!');
+}
+
+// Run export
+exportBook().catch(error => {
+  console.error('❌ Export failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,346 @@
+const { parseTimestamp, toIso } = require('./feeds');
+const { absoluteUrl } = require('./sitemaps');
+
+// Read-only JSON API for other sites and bots. Resources follow the Forem
+// public API (https://developers.forem.com/api/v1) so clients of dev.to-style
+// APIs can switch by changing the URLs; what the archive doesn't have (website,
+// summary, tag colours...) is left out rather than faked.
+const API_VERSION = 'v1';
+const API_PATH = `/api/${API_VERSION}`;
+// Forem's default per_page
+const PER_PAGE = 30;
+const JSON_SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+// Forem ids are integers; other sources (e.g. Markdown files) have none
+function foremId(value) {
+  return /^\d+$/.test(String(value || '')) ? Number(value) : null;
+}
+
+function englishDateParts(value) {
+  const date = parseTimestamp(value);
+  if (!date) return null;
+  return {
+    month: date.toLocaleDateString('en-US', { month: 'short', timeZone: 'UTC' }),
+    day: date.getUTCDate(),
+    year: date.getUTCFullYear()
+  };
+}
+
+// Forem's readable_publish_date ("Mar 23 '22"); the year is always shown,
+// since archived articles are rarely from the current year
+function readablePublishDate(value) {
+  const date = englishDateParts(value);
+  return date ? `${date.month} ${date.day} '${String(date.year).slice(2)}` : '';
+}
+
+// Forem's user joined_at ("Mar 23, 2022")
+function joinedDate(value) {
+  const date = englishDateParts(value);
+  return date ? `${date.month} ${date.day}, ${date.year}` : null;
+}
+
+// Only migrated (local) avatars are listed, as in the JSON-LD: Forem's S3
+// URLs will go away, and clients would cache them from every article
+function profileImage(author, siteUrl) {
+  return author.avatarUrl && author.avatarUrl.startsWith('/') ? absoluteUrl(author.avatarUrl, siteUrl) : null;
+}
+
+function apiUrl(siteUrl, file) {
+  return `${siteUrl}${API_PATH}/${file}`;
+}
+
+/**
+ * The `user` object of an article (Forem shape). `author` is the public author
+ * model (see toAuthor in ./authors.js).
+ */
+function articleUser(author, siteUrl) {
+  const image = profileImage(author, siteUrl);
+  return {
+    name: author.name,
+    username: author.username,
+    twitter_username: author.twitterUsername || null,
+    github_username: author.githubUsername || null,
+    user_id: foremId(author.id),
+    profile_image: image,
+    profile_image_90: image
+  };
+}
+
+/**
+ * An article as listed by /api/articles.
+ *
+ * article: { id, collectionId, title, description, username, slug, author,
+ *            publishedAt, updatedAt, readingTime, tags: [{ name, slug }],
+ *            coverImage, socialImage, commentCount, reactionCount }
+ */
+function articleSummary(article, siteUrl) {
+  const articlePath = `/${article.username}/${article.slug}`;
+  const url = `${siteUrl}${articlePath}`;
+  const tagNames = article.tags.map(tag => tag.name);
+  const edited = article.updatedAt && article.updatedAt !== article.publishedAt;
+
+  return {
+    type_of: 'article',
+    id: foremId(article.id),
+    title: article.title,
+    description: article.description,
+    readable_publish_date: readablePublishDate(article.publishedAt),
+    slug: article.slug,
+    path: articlePath,
+    url,
+    comments_count: article.commentCount,
+    public_reactions_count: article.reactionCount,
+    positive_reactions_count: article.reactionCount,
+    collection_id: foremId(article.collectionId),
+    published_timestamp: toIso(article.publishedAt),
+    cover_image: article.coverImage ? absoluteUrl(article.coverImage, siteUrl) : null,
+    social_image: absoluteUrl(article.socialImage, siteUrl),
+    canonical_url: url,
+    edited_at: edited ? toIso(article.updatedAt) : null,
+    published_at: toIso(article.publishedAt),
+    reading_time_minutes: article.readingTime,
+    tag_list: tagNames,
+    tags: tagNames.join(', '),
+    user: articleUser(article.author, siteUrl)
+  };
+}
+
+/**
+ * A single article, as /api/articles/{username}/{slug} returns it: like the
+ * listing, but with tag_list as a string and tags as an array (Forem swaps
+ * them), plus the body. `bodyHtml` is the page's HTML with absolute URLs,
+ * `bodyMarkdown` its Markdown version.
+ */
+function articleResource(article, siteUrl) {
+  const { user, ...summary } = articleSummary(article, siteUrl);
+  return {
+    ...summary,
+    tag_list: summary.tags,
+    tags: summary.tag_list,
+    body_html: article.bodyHtml,
+    body_markdown: article.bodyMarkdown,
+    user
+  };
+}
+
+/**
+ * A user (Forem shape, public fields only) with their articles, newest first
+ */
+function userResource(author, summaries, siteUrl) {
+  return {
+    type_of: 'user',
+    id: foremId(author.id),
+    username: author.username,
+    name: author.name,
+    twitter_username: author.twitterUsername || null,
+    github_username: author.githubUsername || null,
+    joined_at: joinedDate(author.joinedAt),
+    profile_image: profileImage(author, siteUrl),
+    url: `${siteUrl}/${author.username}`,
+    articles_count: summaries.length,
+    articles: summaries
+  };
+}
+
+/**
+ * A tag with its articles, newest first. Forem has no such endpoint (it
+ * filters /api/articles?tag=), so this is the tag list entry plus articles.
+ */
+function tagResource(tag, summaries, siteUrl) {
+  return {
+    name: tag.name,
+    slug: tag.slug,
+    url: `${siteUrl}/t/${tag.slug}`,
+    articles_count: summaries.length,
+    articles: summaries
+  };
+}
+
+/**
+ * Pages of the article listing: articles/index.json, then
+ * articles/page/2.json... (Forem pages with ?page=; a static site can't)
+ */
+function articlePages(summaries, siteUrl, perPage = PER_PAGE) {
+  const totalPages = Math.max(1, Math.ceil(summaries.length / perPage));
+  const pageFile = (page) => page === 1 ? 'articles/index.json' : `articles/page/${page}.json`;
+  const pages = [];
+
+  for (let page = 1; page <= totalPages; page++) {
+    pages.push({
+      file: pageFile(page),
+      data: {
+        page,
+        per_page: perPage,
+        total_pages: totalPages,
+        total_count: summaries.length,
+        prev_page: page > 1 ? apiUrl(siteUrl, pageFile(page - 1)) : null,
+        next_page: page < totalPages ? apiUrl(siteUrl, pageFile(page + 1)) : null,
+        articles: summaries.slice((page - 1) * perPage, page * perPage)
+      }
+    });
+  }
+  return pages;
+}
+
+// JSON Schema helpers
+const string = (description) => ({ type: 'string', ...(description ? { description } : {}) });
+const nullable = (type, description) => ({ type: [type, 'null'], ...(description ? { description } : {}) });
+const dateTime = (description) => ({ type: 'string', format: 'date-time', ...(description ? { description } : {}) });
+const uri = (description) => ({ type: 'string', format: 'uri', ...(description ? { description } : {}) });
+const count = { type: 'integer', minimum: 0 };
+
+function objectSchema(properties) {
+  return { type: 'object', required: Object.keys(properties), properties };
+}
+
+/**
+ * JSON Schema of every resource, keyed by file name under schemas/. Schemas
+ * refer to each other by relative $ref, resolved against their $id.
+ */
+function apiSchemas(siteUrl) {
+  const schema = (name, title, description, body) => ({
+    $schema: JSON_SCHEMA_DIALECT,
+    $id: apiUrl(siteUrl, `schemas/${name}`),
+    title,
+    description,
+    ...body
+  });
+
+  const summaryProperties = {
+    type_of: { const: 'article' },
+    id: nullable('integer', 'Forem article id; null for articles that were not imported from Forem'),
+    title: string(),
+    description: string(),
+    readable_publish_date: string('Publication date as "Mar 23 \'22"'),
+    slug: string(),
+    path: string('Page path, /{username}/{slug}'),
+    url: uri('Article page'),
+    comments_count: count,
+    public_reactions_count: count,
+    positive_reactions_count: { ...count, description: 'Same as public_reactions_count (older Forem clients read this one)' },
+    collection_id: nullable('integer', 'Forem series (collection) id'),
+    published_timestamp: dateTime(),
+    cover_image: { ...nullable('string'), format: 'uri' },
+    social_image: uri('Share card (1200×630 PNG)'),
+    canonical_url: uri(),
+    edited_at: { ...nullable('string'), format: 'date-time' },
+    published_at: dateTime(),
+    reading_time_minutes: count,
+    tag_list: { type: 'array', items: string(), description: 'Tag names' },
+    tags: string('Tag names, comma-separated'),
+    user: { $ref: '#/$defs/user' }
+  };
+  const userDefinition = objectSchema({
+    name: string(),
+    username: string(),
+    twitter_username: nullable('string'),
+    github_username: nullable('string'),
+    user_id: nullable('integer', 'Forem user id'),
+    profile_image: { ...nullable('string'), format: 'uri', description: 'null until the avatar is migrated to the archive' },
+    profile_image_90: { ...nullable('string'), format: 'uri', description: 'Same image as profile_image' }
+  });
+
+  const { user, ...articleProperties } = summaryProperties;
+
+  return {
+    'article-summary.json': schema('article-summary.json', 'Article (listing)',
+      'An article as listed in articles/index.json and on users and tags (Forem /api/articles)', {
+        ...objectSchema(summaryProperties),
+        $defs: { user: userDefinition }
+      }),
+    'article.json': schema('article.json', 'Article',
+      'A single article, articles/{username}/{slug}.json (Forem /api/articles/{username}/{slug})',
+      objectSchema({
+        ...articleProperties,
+        tag_list: string('Tag names, comma-separated'),
+        tags: { type: 'array', items: string(), description: 'Tag names' },
+        body_html: string('Sanitized article HTML with absolute URLs'),
+        body_markdown: string('Markdown version of body_html'),
+        user: { $ref: 'article-summary.json#/$defs/user' }
+      })),
+    'articles-page.json': schema('articles-page.json', 'Article listing page',
+      'A page of all articles, newest first: articles/index.json, articles/page/{n}.json',
+      objectSchema({
+        page: { type: 'integer', minimum: 1 },
+        per_page: { type: 'integer', minimum: 1 },
+        total_pages: { type: 'integer', minimum: 1 },
+        total_count: count,
+        prev_page: { ...nullable('string'), format: 'uri' },
+        next_page: { ...nullable('string'), format: 'uri' },
+        articles: { type: 'array', items: { $ref: 'article-summary.json' } }
+      })),
+    'user.json': schema('user.json', 'User',
+      'An author, users/{username}.json (Forem /api/users/{id}, public fields only), with their articles',
+      objectSchema({
+        type_of: { const: 'user' },
+        id: nullable('integer', 'Forem user id'),
+        username: string(),
+        name: string(),
+        twitter_username: nullable('string'),
+        github_username: nullable('string'),
+        joined_at: nullable('string', 'Join date as "Mar 23, 2022"'),
+        profile_image: { ...nullable('string'), format: 'uri', description: 'null until the avatar is migrated to the archive' },
+        url: uri('Profile page'),
+        articles_count: count,
+        articles: { type: 'array', items: { $ref: 'article-summary.json' }, description: 'Newest first' }
+      })),
+    'tag.json': schema('tag.json', 'Tag',
+      'A tag, tags/{slug}.json, with its articles',
+      objectSchema({
+        name: string(),
+        slug: string(),
+        url: uri('Tag page'),
+        articles_count: count,
+        articles: { type: 'array', items: { $ref: 'article-summary.json' }, description: 'Newest first' }
+      }))
+  };
+}
+
+/**
+ * Every file of the API, relative to the public directory: [{ file, data }].
+ *
+ * articles: the rendered articles, newest first (see articleSummary), each
+ *           with bodyHtml and bodyMarkdown
+ * authors:  [author], one per username with articles
+ * tags:     [{ name, slug, articles }] where articles are entries of `articles`
+ */
+function apiFiles({ siteUrl, articles, authors, tags, perPage = PER_PAGE }) {
+  const summaries = new Map(articles.map(article => [article, articleSummary(article, siteUrl)]));
+  const files = [];
+  const add = (file, data) => files.push({ file: `${API_PATH.slice(1)}/${file}`, data });
+
+  articlePages(Array.from(summaries.values()), siteUrl, perPage).forEach(page => add(page.file, page.data));
+  articles.forEach(article => add(`articles/${article.username}/${article.slug}.json`, articleResource(article, siteUrl)));
+
+  authors.forEach(author => {
+    const userArticles = articles.filter(article => article.username === author.username).map(article => summaries.get(article));
+    add(`users/${author.username}.json`, userResource(author, userArticles, siteUrl));
+  });
+  tags.forEach(tag => add(`tags/${tag.slug}.json`, tagResource(tag, tag.articles.map(article => summaries.get(article)), siteUrl)));
+
+  const schemas = apiSchemas(siteUrl);
+  Object.entries(schemas).forEach(([name, schema]) => add(`schemas/${name}`, schema));
+
+  // Entry point: where each resource lives and its schema
+  const endpoint = (urlTemplate, schemaName) => ({ url: apiUrl(siteUrl, urlTemplate), schema: apiUrl(siteUrl, `schemas/${schemaName}`) });
+  add('index.json', {
+    version: API_VERSION,
+    site: siteUrl,
+    resources: {
+      articles: endpoint('articles/index.json', 'articles-page.json'),
+      article: endpoint('articles/{username}/{slug}.json', 'article.json'),
+      user: endpoint('users/{username}.json', 'user.json'),
+      tag: endpoint('tags/{slug}.json', 'tag.json')
+    }
+  });
+
+  return files;
+}
+
+module.exports = {
+  API_PATH,
+  apiFiles,
+  apiSchemas,
+  articleResource,
+  articleSummary
+};
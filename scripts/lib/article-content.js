@@ -0,0 +1,76 @@
+const { marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+const { SANITIZE_ALLOWLIST, convertLiquidTags } = require('./liquid-tags');
+const { highlightCodeBlocks } = require('./highlight');
+
+// Article HTML allowlist: images, iframes for YouTube/Vimeo and the liquid tag renderings
+const SANITIZE_OPTIONS = {
+  allowedTags: sanitizeHtml.defaults.allowedTags.concat(['img', 'h1', 'h2', 'iframe', 'div'], SANITIZE_ALLOWLIST.tags),
+  allowedAttributes: {
+    ...sanitizeHtml.defaults.allowedAttributes,
+    ...SANITIZE_ALLOWLIST.attributes,
+    a: [...sanitizeHtml.defaults.allowedAttributes.a, ...SANITIZE_ALLOWLIST.attributes.a],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    iframe: ['src', 'frameborder', 'allow', 'allowfullscreen', 'loading', 'style', 'width', 'height'],
+    div: ['class', 'style'],
+    // Language classes, read by the highlighter
+    pre: ['class'],
+    code: ['class'],
+    // Forem's section ids, kept as extra targets by addHeadingAnchors
+    h2: ['id'],
+    h3: ['id'],
+    h4: ['id']
+  },
+  allowedSchemes: ['http', 'https', 'data'],
+  allowedIframeHostnames: SANITIZE_ALLOWLIST.iframeHostnames,
+  allowIframeRelativeUrls: false
+};
+
+// Comments get the same allowlist, minus heading ids (they would clash with the
+// article's), inline styles and data: URLs, and their links are marked as
+// user-generated
+const withoutStyle = (attributes) => attributes.filter(attribute => attribute !== 'style');
+const COMMENT_SANITIZE_OPTIONS = {
+  ...SANITIZE_OPTIONS,
+  allowedAttributes: {
+    ...SANITIZE_OPTIONS.allowedAttributes,
+    a: [...SANITIZE_OPTIONS.allowedAttributes.a, 'rel'],
+    iframe: withoutStyle(SANITIZE_OPTIONS.allowedAttributes.iframe),
+    div: withoutStyle(SANITIZE_OPTIONS.allowedAttributes.div),
+    h2: [],
+    h3: [],
+    h4: []
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { rel: 'nofollow ugc' })
+  }
+};
+
+/**
+ * Sanitized, highlighted HTML of an article or comment body: Liquid tags
+ * (embeds, math, details...) are converted, then the HTML body is used if
+ * there is one, else the Markdown is parsed. Heading anchors and responsive
+ * images are left to the page that shows it.
+ *
+ * liquidLabels are the texts of embed renderings, in English by default
+ * (see liquidLabels in ./liquid-tags).
+ *
+ * Returns { html, codeBlockCount, unknownTags (Liquid tag names that were removed) }
+ */
+function renderContent({ bodyHtml, bodyMarkdown }, sanitizeOptions = SANITIZE_OPTIONS, liquidLabels) {
+  const liquid = bodyHtml
+    ? convertLiquidTags(bodyHtml, 'html', liquidLabels)
+    : convertLiquidTags(bodyMarkdown, 'markdown', liquidLabels);
+  const html = sanitizeHtml(bodyHtml ? liquid.html : marked.parse(liquid.html), sanitizeOptions);
+
+  // Highlight code blocks at build time (no client-side highlighter)
+  const code = highlightCodeBlocks(html);
+  return { html: code.html, codeBlockCount: code.blockCount, unknownTags: liquid.unknownTags };
+}
+
+module.exports = {
+  COMMENT_SANITIZE_OPTIONS,
+  SANITIZE_OPTIONS,
+  renderContent
+};
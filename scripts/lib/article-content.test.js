@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { COMMENT_SANITIZE_OPTIONS, renderContent } = require('./article-content');
+
+const comment = (bodyHtml) => renderContent({ bodyHtml }, COMMENT_SANITIZE_OPTIONS).html;
+
+test('comments keep http(s) and mailto links only', () => {
+  const html = comment('<a href="mailto:ana@example.com">mail</a> <a href="data:text/html,x">data</a> ' +
+    '<a href="javascript:alert(1)">js</a> <img src="data:image/png;base64,AAAA" alt="pixel">');
+  assert.match(html, /href="mailto:ana@example\.com"/);
+  assert.doesNotMatch(html, /data:|javascript:/);
+});
+
+test('comments lose inline styles, embeds included', () => {
+  const html = comment('<div style="position: fixed; inset: 0">overlay</div>{% youtube dQw4w9WgXcQ %}');
+  assert.doesNotMatch(html, /style=/);
+  assert.match(html, /<div class="video-embed">\s*<iframe[^>]+src="https:\/\/www\.youtube\.com\/embed\/dQw4w9WgXcQ"/);
+});
+
+test('articles keep the styles of their embeds', () => {
+  const { html } = renderContent({ bodyHtml: '{% youtube dQw4w9WgXcQ %}' });
+  assert.match(html, /<div class="video-embed" style="/);
+});
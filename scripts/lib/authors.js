@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+
+const FOREM_UPLOADS_URL = 'https://web3dev-forem-production.s3.amazonaws.com/uploads';
+
+// The only users CSV columns allowed to reach generated output. The CSV also
+// holds emails, password hashes, sign-in IPs and tokens: never add those here.
+const PUBLIC_USER_FIELDS = [
+  'id',
+  'username',
+  'name',
+  'profile_image',
+  'github_username',
+  'twitter_username',
+  'created_at',
+  'articles_count',
+  // Former usernames: they were public profile URLs and are needed for redirects
+  'old_username',
+  'old_old_username',
+  'forem_username'
+];
+
+// File types the leak check scans (images and fonts can't carry CSV values)
+const SCANNED_EXTENSIONS = new Set(['.html', '.xml', '.json', '.txt', '.md', '.js', '.webmanifest']);
+
+/**
+ * Copy only the allowlisted columns of a users CSV row
+ */
+function pickPublicFields(row) {
+  const picked = {};
+  PUBLIC_USER_FIELDS.forEach(field => {
+    picked[field] = (row[field] || '').trim();
+  });
+  return picked;
+}
+
+/**
+ * Resolve a Forem profile_image value. Forem stores just the uploaded file
+ * name; after migration the column holds a local /images/ path instead.
+ */
+function profileImageUrl(row) {
+  const image = (row.profile_image || '').trim();
+  if (!image) return '';
+  if (/^https?:\/\//.test(image) || image.startsWith('/')) return image;
+  return `${FOREM_UPLOADS_URL}/user/profile_image/${row.id}/${image}`;
+}
+
+/**
+ * Former usernames of a user that differ from the current one
+ */
+function usernameAliases(user) {
+  const current = user.username.toLowerCase();
+  const aliases = [user.old_username, user.old_old_username, user.forem_username]
+    .filter(alias => alias && alias.toLowerCase() !== current);
+  return Array.from(new Set(aliases));
+}
+
+/**
+ * Build the public author model from a users CSV row
+ */
+function toAuthor(row) {
+  const user = pickPublicFields(row);
+  return {
+    id: user.id,
+    username: user.username,
+    name: user.name || user.username,
+    avatarUrl: profileImageUrl(user),
+    githubUsername: user.github_username,
+    twitterUsername: user.twitter_username.replace(/^@/, ''),
+    joinedAt: user.created_at,
+    articlesCount: Number(user.articles_count) || 0,
+    aliases: usernameAliases(user)
+  };
+}
+
+/**
+ * Collect the values of every non-allowlisted column that could identify
+ * or compromise an account: { value -> column }. Booleans, numbers, dates
+ * and short values are skipped since they appear everywhere by chance (IPv4
+ * addresses are kept), as are values that equal a public field
+ * (e.g. facebook_username == username).
+ */
+function collectPrivateValues(rows) {
+  const publicValues = new Set();
+  rows.forEach(row => {
+    PUBLIC_USER_FIELDS.forEach(field => {
+      if (row[field]) publicValues.add(row[field].trim().toLowerCase());
+    });
+  });
+
+  const privateValues = new Map();
+  rows.forEach(row => {
+    for (const [column, raw] of Object.entries(row)) {
+      if (PUBLIC_USER_FIELDS.includes(column)) continue;
+
+      const value = (raw || '').trim();
+      if (value.length < 6 || /\s/.test(value)) continue;
+      if (/^[\d.:+-]+$/.test(value) && !/^\d{1,3}(\.\d{1,3}){3}$/.test(value)) continue;
+      if (publicValues.has(value.toLowerCase())) continue;
+
+      privateValues.set(value, column);
+    }
+  });
+  return privateValues;
+}
+
+function listFiles(dir) {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...listFiles(fullPath));
+    } else if (SCANNED_EXTENSIONS.has(path.extname(entry.name).toLowerCase())) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * Scan generated files for private user values. Values never contain
+ * whitespace, so each file is split into tokens and looked up in the map,
+ * trying URL/attribute fragments as well ("mailto:x@y.com" -> "x@y.com").
+ *
+ * Returns [{ file, column }]; the values themselves are never reported.
+ */
+function findPrivateDataLeaks(publicDir, privateValues) {
+  const leaks = [];
+  if (privateValues.size === 0) return leaks;
+
+  for (const file of listFiles(publicDir)) {
+    const content = fs.readFileSync(file, 'utf-8');
+    const found = new Set();
+
+    for (const token of content.split(/[\s"'<>()[\]{},;`]+/)) {
+      if (token.length < 6) continue;
+      const candidates = [token, token.replace(/[.!?:]+$/, ''), ...token.split(/[:/?&=#]+/)];
+      for (const candidate of candidates) {
+        const column = privateValues.get(candidate);
+        if (column) found.add(column);
+      }
+    }
+
+    found.forEach(column => leaks.push({ file: path.relative(publicDir, file), column }));
+  }
+
+  return leaks;
+}
+
+module.exports = {
+  PUBLIC_USER_FIELDS,
+  pickPublicFields,
+  profileImageUrl,
+  toAuthor,
+  collectPrivateValues,
+  findPrivateDataLeaks
+};
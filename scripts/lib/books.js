@@ -0,0 +1,114 @@
+const { parseDocument, DomUtils } = require('htmlparser2');
+const { Element, Text } = require('domhandler');
+const { slugifyTag } = require('./tags');
+
+// "username/slug" from "username/slug", "/username/slug" or a full article URL
+function articlePath(value) {
+  return value.trim().replace(/^https?:\/\/[^/]+/i, '').replace(/^\/+|\/+$/g, '');
+}
+
+function byDate(a, b) {
+  return new Date(a.publishedAt) - new Date(b.publishedAt);
+}
+
+/**
+ * Articles of a book, in reading order. `articles` are the published
+ * articles with a page, `allSeries` their series (see ./series).
+ *
+ * selection: { author, tag }      an author's articles, a tag's, or both
+ *                                 (an author's articles with the tag); oldest first
+ *            { series }           "username/series-slug" (or its URL); in series order
+ *            { articles }         ["username/slug", ...] (or URLs); in the given order
+ *
+ * Throws when the selection names something that doesn't exist or matches nothing.
+ */
+function selectArticles(articles, allSeries, selection) {
+  if (selection.series) {
+    const wanted = articlePath(selection.series).replace(/\/series\//, '/');
+    const series = allSeries.find(candidate => `${candidate.username}/${candidate.slug}` === wanted);
+    if (!series) throw new Error(`No series "${selection.series}" (expected username/series-slug)`);
+    return series.articles;
+  }
+
+  if (selection.articles) {
+    const byPath = new Map(articles.map(article => [`${article.username}/${article.slug}`, article]));
+    return selection.articles.map(value => {
+      const article = byPath.get(articlePath(value));
+      if (!article) throw new Error(`No published article "${value}" (expected username/slug)`);
+      return article;
+    });
+  }
+
+  if (!selection.author && !selection.tag) {
+    throw new Error('Choose the articles: --author, --tag, --series or --articles');
+  }
+  const tagSlug = selection.tag ? slugifyTag(selection.tag.replace(/^#/, '')) : '';
+  const selected = articles.filter(article =>
+    (!selection.author || article.username === selection.author) &&
+    (!tagSlug || article.tags.some(tag => slugifyTag(tag) === tagSlug))
+  );
+  if (selected.length === 0) {
+    throw new Error(`No published articles match ${[selection.author && `author "${selection.author}"`, selection.tag && `tag "${selection.tag}"`].filter(Boolean).join(' and ')}`);
+  }
+  return selected.sort(byDate);
+}
+
+function replaceNode(node, replacement) {
+  if (replacement) {
+    DomUtils.replaceElement(node, replacement);
+  } else {
+    DomUtils.removeElement(node);
+  }
+}
+
+/**
+ * Article HTML (from renderContent in ./article-content) adapted for a book:
+ *
+ * - each <img> src goes through resolveImage(src), which returns the book's
+ *   src, or '' for images the book can't hold (those become imageLabel(alt),
+ *   or nothing without alt text)
+ * - videos can't play on paper, so iframes become a link (embedLabel(url))
+ * - inline styles are dropped; they size embeds for the browser
+ * - with idPrefix (chapters sharing one file), ids, anchor names and #links
+ *   become "<idPrefix>-<id>" so they stay unique across chapters
+ */
+function bookContent(html, { resolveImage, imageLabel, embedLabel, idPrefix }) {
+  const document = parseDocument(html);
+
+  DomUtils.findAll(element => element.name === 'img', document.children).forEach(img => {
+    const src = resolveImage(img.attribs.src || '');
+    if (src) {
+      img.attribs.src = src;
+      return;
+    }
+    const alt = (img.attribs.alt || '').trim();
+    replaceNode(img, alt ? new Text(imageLabel(alt)) : null);
+  });
+
+  DomUtils.findAll(element => element.name === 'iframe', document.children).forEach(iframe => {
+    const url = iframe.attribs.src;
+    const link = url ? new Element('a', { href: url }, [new Text(embedLabel(url))]) : null;
+    replaceNode(iframe, link ? new Element('p', { class: 'book-embed' }, [link]) : null);
+  });
+
+  DomUtils.findAll(element => 'style' in element.attribs, document.children).forEach(element => {
+    delete element.attribs.style;
+  });
+
+  if (idPrefix) {
+    DomUtils.findAll(element => 'id' in element.attribs, document.children).forEach(element => {
+      element.attribs.id = `${idPrefix}-${element.attribs.id}`;
+    });
+    DomUtils.findAll(element => element.name === 'a', document.children).forEach(link => {
+      if (link.attribs.name) link.attribs.name = `${idPrefix}-${link.attribs.name}`;
+      if (/^#./.test(link.attribs.href || '')) link.attribs.href = `#${idPrefix}-${link.attribs.href.slice(1)}`;
+    });
+  }
+
+  return DomUtils.getOuterHTML(document, { encodeEntities: 'utf8' });
+}
+
+module.exports = {
+  bookContent,
+  selectArticles
+};
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bookContent } = require('./books');
+
+const OPTIONS = {
+  resolveImage: src => src,
+  imageLabel: alt => `[${alt}]`,
+  embedLabel: url => `Video: ${url}`
+};
+
+test('ids, anchor names and #links get the chapter prefix', () => {
+  const html = '<h2 id="intro"><a href="#intro">Intro</a></h2><a name="old-forem-anchor"></a>' +
+    '<p><a href="#old-forem-anchor">top</a> <a href="/ana/post">post</a> <a href="#">empty</a></p>';
+  assert.equal(
+    bookContent(html, { ...OPTIONS, idPrefix: 'chapter-3' }),
+    '<h2 id="chapter-3-intro"><a href="#chapter-3-intro">Intro</a></h2><a name="chapter-3-old-forem-anchor"></a>' +
+    '<p><a href="#chapter-3-old-forem-anchor">top</a> <a href="/ana/post">post</a> <a href="#">empty</a></p>'
+  );
+});
+
+test('ids are left alone without a prefix', () => {
+  const html = '<h2 id="intro"><a href="#intro">Intro</a></h2>';
+  assert.equal(bookContent(html, OPTIONS), html);
+});
@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * SHA-256 of a list of strings or JSON-serializable values
+ */
+function hashInputs(...inputs) {
+  const hash = crypto.createHash('sha256');
+  inputs.forEach(input => {
+    hash.update(typeof input === 'string' ? input : JSON.stringify(input === undefined ? null : input));
+    hash.update('\0');
+  });
+  return hash.digest('hex');
+}
+
+/**
+ * Hash the contents of files and directories (recursively, in a stable order)
+ */
+function hashFiles(paths) {
+  const hash = crypto.createHash('sha256');
+
+  // Hash names relative to each root so the result doesn't depend on the checkout location
+  const visit = (target, name) => {
+    if (!fs.existsSync(target)) return;
+    if (fs.statSync(target).isDirectory()) {
+      fs.readdirSync(target).sort().forEach(entry => visit(path.join(target, entry), `${name}/${entry}`));
+      return;
+    }
+    hash.update(name).update('\0').update(fs.readFileSync(target)).update('\0');
+  };
+
+  paths.forEach(target => visit(target, path.basename(target)));
+  return hash.digest('hex');
+}
+
+/**
+ * Tracks which generated files changed since the previous build.
+ *
+ * Every page is recorded with a hash of its inputs (its template data plus
+ * `globalHash`, which covers templates, partials and build code). Unchanged
+ * pages are not re-rendered, and files the previous build wrote that this
+ * build didn't produce are deleted as orphans. The manifest is build state:
+ * keep it outside publicDir, which gets deployed.
+ *
+ * `ownedDirs` are the top-level directories of publicDir the build generates
+ * (profiles, listings...): without a manifest, they are the only place where
+ * stale pages are looked for.
+ */
+class BuildManifest {
+  constructor({ publicDir, manifestPath, globalHash, ownedDirs = [], force = false }) {
+    this.publicDir = publicDir;
+    this.ownedDirs = new Set(ownedDirs);
+    this.manifestPath = manifestPath;
+    this.globalHash = globalHash;
+    this.force = force;
+    const previous = this.loadPrevious();
+    // Without a manifest, nothing tells earlier builds' files from hand-made ones
+    this.firstBuild = previous === null;
+    this.previous = previous || {};
+    this.current = {};
+    this.stats = { added: 0, changed: 0, unchanged: 0, removed: 0 };
+  }
+
+  loadPrevious() {
+    try {
+      const manifest = JSON.parse(fs.readFileSync(this.manifestPath, 'utf-8'));
+      return manifest.version === MANIFEST_VERSION ? manifest.files : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Write a page unless its inputs are unchanged and the file is still on disk
+   * (with `force`, every existing page counts as changed and is rewritten).
+   * `file` is relative to the public directory; `render` returns the content.
+   * Returns 'added', 'changed' or 'unchanged'.
+   */
+  writePage(file, inputs, render) {
+    const { status, fullPath } = this.track(file, inputs);
+    this.stats[status]++;
+
+    if (status !== 'unchanged') {
+      fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+      fs.writeFileSync(fullPath, render());
+    }
+    return status;
+  }
+
+  /**
+   * Like writePage for generated binary assets (e.g. social cards): `render`
+   * may be async. Assets are not counted in the page stats.
+   */
+  async writeAsset(file, inputs, render) {
+    const { status, fullPath } = this.track(file, inputs);
+
+    if (status !== 'unchanged') {
+      const content = await render();
+      fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+      fs.writeFileSync(fullPath, content);
+    }
+    return status;
+  }
+
+  /**
+   * Record a file's input hash and compare it with the previous build
+   */
+  track(file, inputs) {
+    const key = toKey(file);
+    const hash = hashInputs(this.globalHash, inputs);
+    const fullPath = path.join(this.publicDir, key);
+    this.current[key] = hash;
+
+    let status;
+    if (!fs.existsSync(fullPath) || !this.previous[key]) {
+      status = 'added';
+    } else if (this.force || this.previous[key] !== hash) {
+      status = 'changed';
+    } else {
+      status = 'unchanged';
+    }
+    return { status, fullPath };
+  }
+
+  /**
+   * Record a file written outside writePage (feeds, etc.) so it is not
+   * treated as an orphan. It is always rewritten, so it isn't counted.
+   */
+  keep(file) {
+    this.current[toKey(file)] = null;
+  }
+
+  /**
+   * Files produced by this build so far, relative to the public directory
+   */
+  files() {
+    return Object.keys(this.current);
+  }
+
+  /**
+   * Delete files from the previous build that this build did not produce,
+   * along with directories left empty. On a first build, HTML pages under
+   * ownedDirs that this build did not produce count as orphans, so pages of
+   * unpublished articles don't outlive a lost manifest while hand-placed
+   * files elsewhere are left alone. Returns the removed paths.
+   */
+  removeOrphans() {
+    const removed = [];
+    const candidates = this.firstBuild
+      ? listFiles(this.publicDir).filter(key => key.endsWith('.html') && this.isOwned(key))
+      : Object.keys(this.previous);
+
+    for (const key of candidates) {
+      if (key in this.current) continue;
+
+      const fullPath = path.join(this.publicDir, key);
+      if (!fs.existsSync(fullPath)) continue;
+      fs.rmSync(fullPath, { force: true });
+      removed.push(key);
+      this.removeEmptyDirs(path.dirname(fullPath));
+    }
+
+    this.stats.removed = removed.length;
+    return removed;
+  }
+
+  /**
+   * Whether a file lies inside one of the directories the build owns
+   */
+  isOwned(key) {
+    const slash = key.indexOf('/');
+    return slash > 0 && this.ownedDirs.has(key.slice(0, slash));
+  }
+
+  removeEmptyDirs(dir) {
+    const root = path.resolve(this.publicDir);
+    let current = path.resolve(dir);
+    while (current.startsWith(root + path.sep) && fs.readdirSync(current).length === 0) {
+      fs.rmdirSync(current);
+      current = path.dirname(current);
+    }
+  }
+
+  save() {
+    const manifest = { version: MANIFEST_VERSION, files: this.current };
+    fs.mkdirSync(path.dirname(this.manifestPath), { recursive: true });
+    fs.writeFileSync(this.manifestPath, JSON.stringify(manifest));
+  }
+}
+
+// Manifest keys are POSIX paths relative to the public directory
+function toKey(file) {
+  return file.split(path.sep).join('/').replace(/^\/+/, '');
+}
+
+/**
+ * Files under dir, as manifest keys
+ */
+function listFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { recursive: true })
+    .filter(file => fs.statSync(path.join(dir, file)).isFile())
+    .map(toKey);
+}
+
+module.exports = {
+  BuildManifest,
+  hashInputs,
+  hashFiles,
+  listFiles
+};
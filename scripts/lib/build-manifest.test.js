@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BuildManifest } = require('./build-manifest');
+
+let tempDir;
+
+test.before(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'build-manifest-'));
+});
+
+test.after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+function setup(name, files) {
+  const publicDir = path.join(tempDir, name, 'public');
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(publicDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(publicDir, file), content);
+  }
+  const manifestPath = path.join(tempDir, name, 'cache/manifest.json');
+  return {
+    publicDir,
+    manifestPath,
+    build: () => new BuildManifest({ publicDir, manifestPath, globalHash: 'test' })
+  };
+}
+
+const exists = (publicDir, file) => fs.existsSync(path.join(publicDir, file));
+
+test('pages are only rewritten when their inputs change', () => {
+  const { build } = setup('incremental', {});
+  const first = build();
+  assert.equal(first.writePage('a.html', { title: 'A' }, () => 'A'), 'added');
+  first.save();
+
+  const second = build();
+  assert.equal(second.writePage('a.html', { title: 'A' }, () => 'A'), 'unchanged');
+  assert.equal(second.writePage('a.html', { title: 'B' }, () => 'B'), 'changed');
+});
+
+test('pages of the previous build that weren\'t produced again are removed', () => {
+  const { publicDir, build } = setup('orphans', {});
+  const first = build();
+  first.writePage('ana/old.html', {}, () => 'old');
+  first.writePage('ana/kept.html', {}, () => 'kept');
+  first.save();
+  fs.writeFileSync(path.join(publicDir, 'hand-made.html'), 'mine');
+
+  const second = build();
+  second.writePage('ana/kept.html', {}, () => 'kept');
+  assert.deepEqual(second.removeOrphans(), ['ana/old.html']);
+  assert.ok(exists(publicDir, 'hand-made.html'));
+});
+
+test('a first build removes HTML it did not produce from the directories it owns, and nothing else', () => {
+  const { publicDir, manifestPath } = setup('first', {
+    'ana/unpublished.html': 'stale',
+    'ana/index.html': 'stale',
+    't/old-tag/index.html': 'stale',
+    'styles.css': 'body {}',
+    'images/a.png': 'png',
+    'google1234.html': 'verification',
+    'extras/hand-made.html': 'mine'
+  });
+  const manifest = new BuildManifest({ publicDir, manifestPath, globalHash: 'test', ownedDirs: ['ana', 't', 'images'] });
+  manifest.writePage('ana/index.html', {}, () => 'profile');
+
+  assert.deepEqual(manifest.removeOrphans().sort(), ['ana/unpublished.html', 't/old-tag/index.html']);
+  assert.ok(exists(publicDir, 'ana/index.html'));
+  assert.ok(exists(publicDir, 'styles.css'));
+  assert.ok(exists(publicDir, 'images/a.png'));
+  assert.ok(exists(publicDir, 'google1234.html'));
+  assert.ok(exists(publicDir, 'extras/hand-made.html'));
+});
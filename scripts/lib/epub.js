@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const JSZip = require('jszip');
+const { parseDocument, DomUtils } = require('htmlparser2');
+const { escapeXml, toIso } = require('./feeds');
+
+const MATHML_NAMESPACE = 'http://www.w3.org/1998/Math/MathML';
+
+// Image types EPUB 3 readers must support (core media types)
+const IMAGE_TYPES = {
+  '.gif': 'image/gif',
+  '.jpeg': 'image/jpeg',
+  '.jpg': 'image/jpeg',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp'
+};
+
+/**
+ * Serialize an HTML fragment as XHTML (closed void elements, quoted
+ * attributes, numeric entities), as EPUB content documents must be XML
+ */
+function toXhtml(html) {
+  const document = parseDocument(html);
+  DomUtils.findAll(element => element.name === 'math', document.children).forEach(math => {
+    math.attribs.xmlns = MATHML_NAMESPACE;
+  });
+  return DomUtils.getOuterHTML(document, { xmlMode: true });
+}
+
+/**
+ * Stable urn:uuid for a book, from a string that identifies its contents
+ */
+function bookIdentifier(seed) {
+  const hex = crypto.createHash('sha1').update(seed).digest('hex');
+  const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+  return `urn:uuid:${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+// dcterms:modified takes UTC seconds without fractions
+function epubDate(value) {
+  const iso = toIso(value) || new Date().toISOString();
+  return iso.replace(/\.\d+Z$/, 'Z');
+}
+
+function xhtmlDocument({ title, language, stylesheet, body, epubNamespace = false }) {
+  const namespaces = epubNamespace ? ' xmlns:epub="http://www.idpf.org/2007/ops"' : '';
+  return '<?xml version="1.0" encoding="UTF-8"?>\n<!DOCTYPE html>\n' +
+    `<html xmlns="http://www.w3.org/1999/xhtml"${namespaces} lang="${escapeXml(language)}" xml:lang="${escapeXml(language)}">\n` +
+    `<head>\n<meta charset="UTF-8"/>\n<title>${escapeXml(title)}</title>\n` +
+    `<link rel="stylesheet" type="text/css" href="${stylesheet}"/>\n</head>\n` +
+    `<body>\n${body}\n</body>\n</html>\n`;
+}
+
+function renderNav(book, chapters) {
+  const items = chapters
+    .map(chapter => `<li><a href="${chapter.href}">${escapeXml(chapter.title)}</a></li>`)
+    .join('\n');
+  const body = `<nav epub:type="toc" id="toc" class="toc">\n<h1>${escapeXml(book.tocTitle)}</h1>\n<ol>\n${items}\n</ol>\n</nav>\n` +
+    '<nav epub:type="landmarks" id="landmarks" hidden="hidden">\n<ol>\n' +
+    `<li><a epub:type="cover" href="cover.xhtml">${escapeXml(book.coverTitle)}</a></li>\n` +
+    `<li><a epub:type="toc" href="nav.xhtml">${escapeXml(book.tocTitle)}</a></li>\n` +
+    `<li><a epub:type="bodymatter" href="${chapters[0].href}">${escapeXml(chapters[0].title)}</a></li>\n` +
+    '</ol>\n</nav>';
+  return xhtmlDocument({ title: book.title, language: book.language, stylesheet: 'styles/book.css', body, epubNamespace: true });
+}
+
+function renderPackage(book, chapters, images) {
+  const metadata = [
+    `<dc:identifier id="book-id">${escapeXml(book.id)}</dc:identifier>`,
+    `<dc:title>${escapeXml(book.title)}</dc:title>`,
+    `<dc:language>${escapeXml(book.language)}</dc:language>`,
+    ...book.creators.map((creator, i) =>
+      `<dc:creator id="creator-${i + 1}">${escapeXml(creator)}</dc:creator>\n    ` +
+      `<meta refines="#creator-${i + 1}" property="role" scheme="marc:relators">aut</meta>`
+    ),
+    book.publisher ? `<dc:publisher>${escapeXml(book.publisher)}</dc:publisher>` : '',
+    book.description ? `<dc:description>${escapeXml(book.description)}</dc:description>` : '',
+    ...(book.subjects || []).map(subject => `<dc:subject>${escapeXml(subject)}</dc:subject>`),
+    book.source ? `<dc:source>${escapeXml(book.source)}</dc:source>` : '',
+    book.date ? `<dc:date>${epubDate(book.date)}</dc:date>` : '',
+    `<meta property="dcterms:modified">${epubDate(book.modified)}</meta>`,
+    // EPUB 2 readers find the cover through this
+    '<meta name="cover" content="cover-image"/>'
+  ].filter(Boolean);
+
+  const manifest = [
+    '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+    '<item id="cover" href="cover.xhtml" media-type="application/xhtml+xml"/>',
+    '<item id="cover-image" href="images/cover.png" media-type="image/png" properties="cover-image"/>',
+    '<item id="style" href="styles/book.css" media-type="text/css"/>',
+    ...chapters.map(chapter => {
+      const properties = chapter.hasMath ? ' properties="mathml"' : '';
+      return `<item id="${chapter.id}" href="${chapter.href}" media-type="application/xhtml+xml"${properties}/>`;
+    }),
+    ...images.map((image, i) => `<item id="image-${i + 1}" href="${escapeXml(image.href)}" media-type="${image.mediaType}"/>`)
+  ];
+
+  const spine = [
+    '<itemref idref="cover" linear="no"/>',
+    '<itemref idref="nav"/>',
+    ...chapters.map(chapter => `<itemref idref="${chapter.id}"/>`)
+  ];
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${escapeXml(book.language)}">\n` +
+    `  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">\n    ${metadata.join('\n    ')}\n  </metadata>\n` +
+    `  <manifest>\n    ${manifest.join('\n    ')}\n  </manifest>\n` +
+    `  <spine>\n    ${spine.join('\n    ')}\n  </spine>\n` +
+    '</package>\n';
+}
+
+/**
+ * Package a book as EPUB 3.
+ *
+ * book: {
+ *   id (see bookIdentifier), title, language, creators: [names], publisher,
+ *   description, subjects: [names], source (URL), date, modified,
+ *   tocTitle, coverTitle, stylesheet (CSS text), cover (PNG buffer),
+ *   chapters: [{ title, html }]   body HTML; images are referenced as ../images/<file>
+ *   images:   [{ href: 'images/<file>', data }]
+ * }
+ *
+ * Returns the EPUB file as a buffer.
+ */
+async function renderEpub(book) {
+  const zip = new JSZip();
+  // The mimetype entry comes first and uncompressed, so readers can sniff it
+  zip.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+  zip.file('META-INF/container.xml', '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">\n' +
+    '  <rootfiles>\n    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>\n  </rootfiles>\n' +
+    '</container>\n');
+
+  const chapters = book.chapters.map((chapter, i) => {
+    const id = `chapter-${String(i + 1).padStart(3, '0')}`;
+    const body = toXhtml(chapter.html);
+    zip.file(`OEBPS/chapters/${id}.xhtml`, xhtmlDocument({
+      title: chapter.title,
+      language: book.language,
+      stylesheet: '../styles/book.css',
+      body
+    }));
+    return { id, href: `chapters/${id}.xhtml`, title: chapter.title, hasMath: /<math\b/.test(body) };
+  });
+
+  const images = book.images.map(image => {
+    const extension = image.href.slice(image.href.lastIndexOf('.')).toLowerCase();
+    zip.file(`OEBPS/${image.href}`, image.data);
+    return { href: image.href, mediaType: IMAGE_TYPES[extension] };
+  });
+
+  zip.file('OEBPS/images/cover.png', book.cover);
+  zip.file('OEBPS/cover.xhtml', xhtmlDocument({
+    title: book.title,
+    language: book.language,
+    stylesheet: 'styles/book.css',
+    body: `<section class="cover"><img src="images/cover.png" alt="${escapeXml(book.title)}"/></section>`
+  }));
+  zip.file('OEBPS/styles/book.css', book.stylesheet);
+  zip.file('OEBPS/nav.xhtml', renderNav(book, chapters));
+  zip.file('OEBPS/content.opf', renderPackage(book, chapters, images));
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE', mimeType: 'application/epub+zip' });
+}
+
+module.exports = {
+  IMAGE_TYPES,
+  bookIdentifier,
+  renderEpub,
+  toXhtml
+};
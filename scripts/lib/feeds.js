@@ -0,0 +1,255 @@
+const fs = require('fs');
+const path = require('path');
+
+const IMAGE_TYPES = {
+  '.avif': 'image/avif',
+  '.gif': 'image/gif',
+  '.jpeg': 'image/jpeg',
+  '.jpg': 'image/jpeg',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp'
+};
+
+/**
+ * Parse a Forem timestamp ("2022-03-23 21:11:26.685195"). Forem stores UTC
+ * without an offset, so don't let Date fall back to the local timezone.
+ */
+function parseTimestamp(value) {
+  if (!value) return null;
+  let iso = String(value).trim().replace(' ', 'T');
+  if (!/(Z|[+-]\d{2}:?\d{2})$/.test(iso)) iso += 'Z';
+  const date = new Date(iso);
+  return isNaN(date) ? null : date;
+}
+
+/**
+ * RFC 822 date for RSS ("Wed, 23 Mar 2022 21:11:26 GMT")
+ */
+function toRfc822(value) {
+  const date = parseTimestamp(value);
+  return date ? date.toUTCString() : '';
+}
+
+/**
+ * ISO 8601 / RFC 3339 date for Atom and JSON Feed
+ */
+function toIso(value) {
+  const date = parseTimestamp(value);
+  return date ? date.toISOString() : '';
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Feed readers show content outside the site, so root-relative links and
+ * images must point back to it
+ */
+function absolutizeUrls(html, siteUrl) {
+  return html
+    .replace(/(\s(?:src|href)=["'])\/(?!\/)/g, `$1${siteUrl}/`)
+    .replace(/(\ssrcset=["'])([^"']*)/g, (match, attribute, srcset) =>
+      attribute + srcset.replace(/(^|,\s*)\/(?!\/)/g, `$1${siteUrl}/`)
+    );
+}
+
+/**
+ * Describe an item's main image as an enclosure, with its size when the
+ * image has been migrated into public/
+ */
+function imageEnclosure(image, siteUrl, publicDir) {
+  if (!image) return null;
+
+  const isLocal = image.startsWith('/');
+  const pathname = isLocal ? image : new URL(image, siteUrl).pathname;
+  const type = IMAGE_TYPES[path.extname(pathname).toLowerCase()] || 'image/jpeg';
+  let length = 0;
+
+  if (isLocal) {
+    try {
+      length = fs.statSync(path.join(publicDir, image)).size;
+    } catch (err) {
+      // Missing local file: still announce the image, with unknown length
+    }
+  }
+
+  return { url: isLocal ? `${siteUrl}${image}` : image, type, length };
+}
+
+function renderRss(feed, items) {
+  let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+  xml += '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:media="http://search.yahoo.com/mrss/">\n';
+  xml += '  <channel>\n';
+  xml += `    <title>${escapeXml(feed.title)}</title>\n`;
+  xml += `    <link>${escapeXml(feed.homeUrl)}</link>\n`;
+  xml += `    <description>${escapeXml(feed.description)}</description>\n`;
+  xml += `    <language>${feed.language}</language>\n`;
+  xml += `    <lastBuildDate>${toRfc822(feed.updated)}</lastBuildDate>\n`;
+  xml += `    <atom:link href="${escapeXml(feed.urls.rss)}" rel="self" type="application/rss+xml"/>\n`;
+
+  for (const item of items) {
+    xml += '    <item>\n';
+    xml += `      <title>${escapeXml(item.title)}</title>\n`;
+    xml += `      <link>${escapeXml(item.url)}</link>\n`;
+    xml += `      <guid isPermaLink="true">${escapeXml(item.url)}</guid>\n`;
+    xml += `      <pubDate>${toRfc822(item.publishedAt)}</pubDate>\n`;
+    xml += `      <dc:creator>${escapeXml(item.author)}</dc:creator>\n`;
+    item.tags.forEach(tag => {
+      xml += `      <category>${escapeXml(tag)}</category>\n`;
+    });
+    xml += `      <description>${escapeXml(item.summary)}</description>\n`;
+    xml += `      <content:encoded>${escapeXml(item.contentHtml)}</content:encoded>\n`;
+    if (item.enclosure) {
+      const { url, type, length } = item.enclosure;
+      xml += `      <enclosure url="${escapeXml(url)}" length="${length}" type="${type}"/>\n`;
+      xml += `      <media:content url="${escapeXml(url)}" medium="image" type="${type}"/>\n`;
+    }
+    xml += '    </item>\n';
+  }
+
+  xml += '  </channel>\n';
+  xml += '</rss>\n';
+  return xml;
+}
+
+function renderAtom(feed, items) {
+  let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+  xml += `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${feed.language}">\n`;
+  xml += `  <id>${escapeXml(feed.homeUrl)}</id>\n`;
+  xml += `  <title>${escapeXml(feed.title)}</title>\n`;
+  xml += `  <subtitle>${escapeXml(feed.description)}</subtitle>\n`;
+  xml += `  <link rel="alternate" type="text/html" href="${escapeXml(feed.homeUrl)}"/>\n`;
+  xml += `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.urls.atom)}"/>\n`;
+  xml += `  <updated>${toIso(feed.updated)}</updated>\n`;
+
+  for (const item of items) {
+    xml += '  <entry>\n';
+    xml += `    <id>${escapeXml(item.url)}</id>\n`;
+    xml += `    <title>${escapeXml(item.title)}</title>\n`;
+    xml += `    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>\n`;
+    if (item.enclosure) {
+      const { url, type, length } = item.enclosure;
+      xml += `    <link rel="enclosure" type="${type}" length="${length}" href="${escapeXml(url)}"/>\n`;
+    }
+    xml += `    <published>${toIso(item.publishedAt)}</published>\n`;
+    xml += `    <updated>${toIso(item.updatedAt)}</updated>\n`;
+    xml += '    <author>\n';
+    xml += `      <name>${escapeXml(item.author)}</name>\n`;
+    xml += `      <uri>${escapeXml(item.authorUrl)}</uri>\n`;
+    xml += '    </author>\n';
+    item.tags.forEach(tag => {
+      xml += `    <category term="${escapeXml(tag)}"/>\n`;
+    });
+    xml += `    <summary>${escapeXml(item.summary)}</summary>\n`;
+    xml += `    <content type="html">${escapeXml(item.contentHtml)}</content>\n`;
+    xml += '  </entry>\n';
+  }
+
+  xml += '</feed>\n';
+  return xml;
+}
+
+function renderJsonFeed(feed, items) {
+  const jsonFeed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.urls.json,
+    description: feed.description,
+    language: feed.language,
+    items: items.map(item => {
+      const entry = {
+        id: item.url,
+        url: item.url,
+        title: item.title,
+        content_html: item.contentHtml,
+        summary: item.summary,
+        date_published: toIso(item.publishedAt),
+        date_modified: toIso(item.updatedAt),
+        authors: [{ name: item.author, url: item.authorUrl }],
+        tags: item.tags
+      };
+      if (item.enclosure) {
+        entry.image = item.enclosure.url;
+        entry.attachments = [{
+          url: item.enclosure.url,
+          mime_type: item.enclosure.type,
+          size_in_bytes: item.enclosure.length || undefined
+        }];
+      }
+      return entry;
+    })
+  };
+  return JSON.stringify(jsonFeed, null, 2);
+}
+
+/**
+ * Write feed.xml (RSS 2.0), atom.xml and feed.json for one set of articles.
+ *
+ * feed:  { urlPath, title, description, siteUrl, publicDir, language }
+ * items: rendered articles, newest first
+ *
+ * Returns the written files, relative to publicDir.
+ */
+function writeFeeds(feed, items) {
+  const { siteUrl, publicDir } = feed;
+  const dir = path.join(publicDir, feed.urlPath);
+  const base = `${siteUrl}${feed.urlPath === '/' ? '' : feed.urlPath}`;
+
+  const latest = items.reduce((max, item) => {
+    const date = parseTimestamp(item.updatedAt || item.publishedAt);
+    return date && (!max || date > max) ? date : max;
+  }, null);
+
+  const feedInfo = {
+    ...feed,
+    homeUrl: base,
+    updated: (latest || new Date()).toISOString(),
+    urls: {
+      rss: `${base}/feed.xml`,
+      atom: `${base}/atom.xml`,
+      json: `${base}/feed.json`
+    }
+  };
+
+  const feedItems = items.map(item => ({
+    title: item.title,
+    url: item.canonicalUrl,
+    author: item.author,
+    authorUrl: item.authorUrl,
+    summary: item.description,
+    contentHtml: absolutizeUrls(item.contentHtml, siteUrl),
+    publishedAt: item.publishedAt,
+    updatedAt: item.updatedAt || item.publishedAt,
+    tags: item.tags.map(tag => tag.name),
+    enclosure: imageEnclosure(item.featuredImage, siteUrl, publicDir)
+  }));
+
+  const files = {
+    'feed.xml': renderRss(feedInfo, feedItems),
+    'atom.xml': renderAtom(feedInfo, feedItems),
+    'feed.json': renderJsonFeed(feedInfo, feedItems)
+  };
+
+  fs.mkdirSync(dir, { recursive: true });
+  return Object.entries(files).map(([name, content]) => {
+    fs.writeFileSync(path.join(dir, name), content);
+    return path.join(feed.urlPath, name);
+  });
+}
+
+module.exports = {
+  absolutizeUrls,
+  parseTimestamp,
+  toRfc822,
+  toIso,
+  escapeXml,
+  writeFeeds
+};
@@ -0,0 +1,89 @@
+// Page ids used by the templates; headings never take them
+const RESERVED_IDS = new Set(['main-content', 'toc', 'toc-title', 'related-title', 'comments', 'comments-title']);
+
+function decodeEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+}
+
+function escapeAttribute(text) {
+  return text.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+/**
+ * Heading text to an id, folding accents so Portuguese titles stay readable:
+ * "Configuração do ambiente" -> "configuracao-do-ambiente"
+ */
+function slugifyHeading(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'secao';
+}
+
+/**
+ * Give every h2–h4 of sanitized article HTML a stable id and an anchor link.
+ * Repeated headings get -2, -3... in document order. Anchors the heading
+ * already had (Forem's id="..." or <a name="...">) are kept as extra targets,
+ * so old links to sections still land on them. `anchorLabel` gives the
+ * accessible name of an anchor link from the heading text.
+ *
+ * Returns { html, headings: [{ id, text, level }] }
+ */
+function addHeadingAnchors(html, { anchorLabel = (text) => `Link to section: ${text}` } = {}) {
+  const used = new Set(RESERVED_IDS);
+  const headings = [];
+
+  // New ids first, so a legacy anchor never takes an id a heading needs
+  const matches = Array.from(html.matchAll(/<h([2-4])\b([^>]*)>([\s\S]*?)<\/h\1>/gi));
+  const ids = matches.map(match => {
+    const text = decodeEntities(match[3].replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim();
+    const base = slugifyHeading(text);
+    let id = base;
+    for (let n = 2; used.has(id); n++) id = `${base}-${n}`;
+    used.add(id);
+    headings.push({ id, text, level: Number(match[1]) });
+    return id;
+  });
+
+  let i = 0;
+  const result = html.replace(/<h([2-4])\b([^>]*)>([\s\S]*?)<\/h\1>/gi, (match, level, attributes, content) => {
+    const id = ids[i];
+    const { text } = headings[i++];
+
+    const legacyIds = [];
+    const oldId = /\bid="([^"]*)"/.exec(attributes);
+    if (oldId) legacyIds.push(oldId[1]);
+    // Forem's empty <a name="..." href="#..."> anchors
+    const inner = content.replace(/<a\b[^>]*\b(?:name|id)="([^"]*)"[^>]*>\s*<\/a>/gi, (anchor, name) => {
+      legacyIds.push(name);
+      return '';
+    }).trim();
+
+    const extraTargets = legacyIds
+      .filter(legacyId => legacyId && !used.has(legacyId))
+      .map(legacyId => {
+        used.add(legacyId);
+        return `<span id="${escapeAttribute(legacyId)}" aria-hidden="true"></span>`;
+      })
+      .join('');
+
+    return `<h${level} id="${id}">${extraTargets}${inner}` +
+      `<a class="heading-anchor" href="#${id}" aria-label="${escapeAttribute(anchorLabel(text))}"></a></h${level}>`;
+  });
+
+  return { html: result, headings };
+}
+
+module.exports = {
+  addHeadingAnchors,
+  slugifyHeading
+};
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { addHeadingAnchors, slugifyHeading } = require('./headings');
+
+const ids = (html) => addHeadingAnchors(html).headings.map(heading => heading.id);
+
+test('heading ids fold accents and fall back when nothing is left', () => {
+  assert.equal(slugifyHeading('Configuração do ambiente'), 'configuracao-do-ambiente');
+  assert.equal(slugifyHeading('  Setup & run! '), 'setup-run');
+  assert.equal(slugifyHeading('!!!'), 'secao');
+});
+
+test('repeated headings and page ids get numbered', () => {
+  assert.deepEqual(
+    ids('<h2>Intro</h2><h3>Intro</h3><h4>Intro</h4><h2>Comments</h2><h2>TOC</h2>'),
+    ['intro', 'intro-2', 'intro-3', 'comments-2', 'toc-2']
+  );
+});
+
+test('only h2–h4 get anchors, with an accessible label', () => {
+  const { html, headings } = addHeadingAnchors('<h1>Title</h1><h2>Setup &amp; run</h2><h5>Note</h5>', {
+    anchorLabel: text => `Link: ${text}`
+  });
+  assert.deepEqual(headings, [{ id: 'setup-run', text: 'Setup & run', level: 2 }]);
+  assert.equal(html, '<h1>Title</h1><h2 id="setup-run">Setup &amp; run' +
+    '<a class="heading-anchor" href="#setup-run" aria-label="Link: Setup &amp; run"></a></h2><h5>Note</h5>');
+});
+
+test('Forem ids and <a name> anchors are kept as extra targets', () => {
+  const { html } = addHeadingAnchors(
+    '<h2 id="forem-setup">Setup</h2><h2><a name="old-anchor" href="#old-anchor"></a>Run</h2>'
+  );
+  assert.match(html, /<h2 id="setup"><span id="forem-setup" aria-hidden="true"><\/span>Setup<a /);
+  assert.match(html, /<h2 id="run"><span id="old-anchor" aria-hidden="true"><\/span>Run<a /);
+  assert.doesNotMatch(html, /name="old-anchor"/);
+});
+
+test('a legacy anchor never takes an id a heading or the page needs', () => {
+  const { html } = addHeadingAnchors('<h2 id="run">Setup</h2><h2 id="comments">Run</h2><h2>Setup</h2>');
+  assert.deepEqual(Array.from(html.matchAll(/\bid="([^"]+)"/g), match => match[1]), ['setup', 'run', 'setup-2']);
+});
@@ -0,0 +1,203 @@
+const hljs = require('highlight.js/lib/core');
+const { solidity } = require('highlightjs-solidity');
+
+// Blocks with at least this many lines get line numbers
+const LINE_NUMBERS_MIN_LINES = 10;
+
+/**
+ * Move (Aptos/Sui smart contracts)
+ */
+function move(hljs) {
+  return {
+    name: 'Move',
+    keywords: {
+      keyword: 'module script fun public entry native inline struct enum has copy drop store key use friend ' +
+        'const let mut return if else while loop break continue abort acquires as match spec schema ' +
+        'invariant ensures requires aborts_if assert assume pragma phantom',
+      type: 'u8 u16 u32 u64 u128 u256 bool address signer vector',
+      literal: 'true false'
+    },
+    contains: [
+      hljs.C_LINE_COMMENT_MODE,
+      hljs.C_BLOCK_COMMENT_MODE,
+      { scope: 'string', begin: /[bx]?"/, end: /"/, contains: [hljs.BACKSLASH_ESCAPE] },
+      { scope: 'number', match: /\b(0x[0-9a-fA-F_]+|\d[\d_]*)(u8|u16|u32|u64|u128|u256)?\b/ },
+      { scope: 'symbol', match: /@(0x[0-9a-fA-F]+|[A-Za-z_]\w*)/ },
+      { scope: 'meta', begin: /#\[/, end: /\]/ },
+      { match: [/\bfun/, /\s+/, /[A-Za-z_]\w*/], scope: { 1: 'keyword', 3: 'title.function' } },
+      { match: [/\b(?:struct|module)/, /\s+/, /[A-Za-z_][\w:]*/], scope: { 1: 'keyword', 3: 'title.class' } }
+    ]
+  };
+}
+
+/**
+ * Cairo 1 (Starknet contracts), a Rust-like language
+ */
+function cairo(hljs) {
+  return {
+    name: 'Cairo',
+    keywords: {
+      keyword: 'fn let mut const mod use struct enum trait impl of match if else loop while for in return ' +
+        'break continue ref self Self pub extern type nopanic implicits as assert super',
+      type: 'felt252 u8 u16 u32 u64 u128 u256 usize i8 i16 i32 i64 i128 bool ByteArray ' +
+        'ContractAddress ClassHash Array Span Option Result Felt252Dict',
+      literal: 'true false Some None Ok Err'
+    },
+    contains: [
+      hljs.C_LINE_COMMENT_MODE,
+      { scope: 'string', begin: /'/, end: /'/, contains: [hljs.BACKSLASH_ESCAPE] },
+      { scope: 'string', begin: /"/, end: /"/, contains: [hljs.BACKSLASH_ESCAPE] },
+      { scope: 'number', match: /\b(0x[0-9a-fA-F_]+|0b[01_]+|\d[\d_]*)(_?(felt252|u8|u16|u32|u64|u128|u256|usize))?\b/ },
+      { scope: 'meta', begin: /#\[/, end: /\]/ },
+      { scope: 'built_in', match: /\b[a-z_]\w*!/ },
+      { match: [/\bfn/, /\s+/, /[A-Za-z_]\w*/], scope: { 1: 'keyword', 3: 'title.function' } },
+      { match: [/\b(?:struct|enum|trait|mod)/, /\s+/, /[A-Za-z_]\w*/], scope: { 1: 'keyword', 3: 'title.class' } }
+    ]
+  };
+}
+
+/**
+ * Vyper: Python syntax with contract types and built-ins
+ */
+function vyper(hljs) {
+  const language = require('highlight.js/lib/languages/python')(hljs);
+  return {
+    ...language,
+    name: 'Vyper',
+    aliases: ['vy'],
+    keywords: {
+      ...language.keywords,
+      keyword: [...language.keywords.keyword, 'event', 'interface', 'implements', 'indexed', 'public', 'constant', 'immutable', 'log'],
+      type: [...language.keywords.type, 'address', 'bool', 'bytes32', 'Bytes', 'String', 'HashMap', 'DynArray',
+        'decimal', 'int128', 'int256', 'uint8', 'uint256'],
+      built_in: [...language.keywords.built_in, 'msg', 'block', 'tx', 'chain', 'self', 'empty', 'convert',
+        'raw_call', 'send', 'selfdestruct', 'keccak256', 'sha256', 'ecrecover', 'extract32', 'concat', 'slice']
+    }
+  };
+}
+
+hljs.registerLanguage('javascript', require('highlight.js/lib/languages/javascript'));
+hljs.registerLanguage('typescript', require('highlight.js/lib/languages/typescript'));
+hljs.registerLanguage('python', require('highlight.js/lib/languages/python'));
+hljs.registerLanguage('bash', require('highlight.js/lib/languages/bash'));
+hljs.registerLanguage('rust', require('highlight.js/lib/languages/rust'));
+hljs.registerLanguage('go', require('highlight.js/lib/languages/go'));
+hljs.registerLanguage('json', require('highlight.js/lib/languages/json'));
+hljs.registerLanguage('yaml', require('highlight.js/lib/languages/yaml'));
+hljs.registerLanguage('xml', require('highlight.js/lib/languages/xml'));
+hljs.registerLanguage('css', require('highlight.js/lib/languages/css'));
+hljs.registerLanguage('sql', require('highlight.js/lib/languages/sql'));
+hljs.registerLanguage('diff', require('highlight.js/lib/languages/diff'));
+hljs.registerLanguage('solidity', solidity);
+hljs.registerLanguage('move', move);
+hljs.registerLanguage('cairo', cairo);
+hljs.registerLanguage('vyper', vyper);
+
+// Names seen in Markdown fences and Forem's Rouge classes that highlight.js doesn't know
+hljs.registerAliases(['shell', 'sh', 'zsh', 'console', 'terminal', 'shellsession'], { languageName: 'bash' });
+hljs.registerAliases(['jsx', 'node', 'nodejs'], { languageName: 'javascript' });
+hljs.registerAliases(['tsx'], { languageName: 'typescript' });
+hljs.registerAliases(['html', 'svg'], { languageName: 'xml' });
+hljs.registerAliases(['yml'], { languageName: 'yaml' });
+
+// Registered name of each language, to map aliases ("sol", "sh") back to it
+const LANGUAGE_NAMES = new Map(hljs.listLanguages().map(name => [hljs.getLanguage(name), name]));
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Language named by a block's classes: "language-sol" or "lang-sol" from
+ * Markdown fences, "highlight solidity" from Forem. Returns the registered
+ * language name, or '' when there is none (or it isn't supported).
+ */
+function detectLanguage(classes) {
+  for (const name of classes.split(/\s+/)) {
+    const candidate = name.replace(/^(language|lang)-/, '').toLowerCase();
+    if (!candidate || ['highlight', 'js-code-highlight', 'hljs'].includes(candidate)) continue;
+    const language = hljs.getLanguage(candidate);
+    if (language) return LANGUAGE_NAMES.get(language);
+  }
+  return '';
+}
+
+/**
+ * Split highlighted HTML into lines, closing and reopening the spans that
+ * cross line breaks (multi-line comments and strings)
+ */
+function splitLines(html) {
+  const lines = [];
+  const open = [];
+  let current = '';
+
+  for (const token of html.split(/(<span[^>]*>|<\/span>|\n)/)) {
+    if (token === '\n') {
+      lines.push(current + '</span>'.repeat(open.length));
+      current = open.join('');
+    } else if (token.startsWith('<span')) {
+      open.push(token);
+      current += token;
+    } else if (token === '</span>') {
+      open.pop();
+      current += token;
+    } else {
+      current += token;
+    }
+  }
+  lines.push(current);
+  return lines;
+}
+
+/**
+ * Highlight one code block. `classes` are the <pre> and <code> classes,
+ * `code` its HTML content (any existing markup, like Forem's Rouge spans,
+ * is dropped).
+ */
+function renderCodeBlock(classes, code) {
+  const text = decodeEntities(code.replace(/<[^>]*>/g, '')).replace(/\n$/, '');
+  const language = detectLanguage(classes);
+  const highlighted = language ? hljs.highlight(text, { language, ignoreIllegals: true }).value : escapeHtml(text);
+
+  const lines = splitLines(highlighted);
+  const numbered = lines.length >= LINE_NUMBERS_MIN_LINES;
+  const body = numbered ? lines.map(line => `<span class="code-line">${line}</span>`).join('\n') : highlighted;
+
+  const preClass = numbered ? 'code-block line-numbers' : 'code-block';
+  const languageAttribute = language ? ` data-language="${language}"` : '';
+  const codeClass = language ? `hljs language-${language}` : 'hljs';
+  return `<pre class="${preClass}"${languageAttribute}><code class="${codeClass}">${body}</code></pre>`;
+}
+
+/**
+ * Highlight every <pre> code block in sanitized article HTML.
+ * Returns { html, blockCount }.
+ */
+function highlightCodeBlocks(html) {
+  let blockCount = 0;
+  const result = html.replace(/<pre\b([^>]*)>\s*(?:<code\b([^>]*)>([\s\S]*?)<\/code>|([\s\S]*?))\s*<\/pre>/gi,
+    (match, preAttributes, codeAttributes, code, bare) => {
+      const classes = [preAttributes, codeAttributes || '']
+        .map(attributes => (/class="([^"]*)"/.exec(attributes) || [])[1] || '')
+        .join(' ');
+      blockCount++;
+      return renderCodeBlock(classes, code !== undefined ? code : bare);
+    });
+  return { html: result, blockCount };
+}
+
+module.exports = {
+  highlightCodeBlocks
+};
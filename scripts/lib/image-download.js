@@ -0,0 +1,269 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+const MANIFEST_VERSION = 1;
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+const MAX_REDIRECTS = 5;
+
+/**
+ * Identify an image from its first bytes. Returns { ext, mime } or null.
+ * The URL extension and Content-Type header are not trusted: S3 serves
+ * PNGs named .jpg and HTML error pages with status 200.
+ */
+function detectImageType(buffer) {
+  const startsWith = (bytes, offset = 0) => bytes.every((byte, i) => buffer[offset + i] === byte);
+  const ascii = (start, end) => buffer.subarray(start, end).toString('latin1');
+
+  if (startsWith([0xff, 0xd8, 0xff])) return { ext: '.jpg', mime: 'image/jpeg' };
+  if (startsWith([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return { ext: '.png', mime: 'image/png' };
+  if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') return { ext: '.gif', mime: 'image/gif' };
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return { ext: '.webp', mime: 'image/webp' };
+  if (ascii(4, 8) === 'ftyp' && ['avif', 'avis'].includes(ascii(8, 12))) return { ext: '.avif', mime: 'image/avif' };
+  if (startsWith([0x00, 0x00, 0x01, 0x00])) return { ext: '.ico', mime: 'image/x-icon' };
+  if (ascii(0, 2) === 'BM') return { ext: '.bmp', mime: 'image/bmp' };
+
+  // SVG is text: look for the root element near the start, after any XML prolog/comments
+  const head = buffer.subarray(0, 1024).toString('utf-8').replace(/^﻿/, '').trimStart();
+  if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE svg[^>]*>\s*)?<svg[\s>]/i.test(head)) {
+    return { ext: '.svg', mime: 'image/svg+xml' };
+  }
+  return null;
+}
+
+class HttpError extends Error {
+  constructor(statusCode, message = `HTTP ${statusCode}`) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * GET a URL into a Buffer, following up to MAX_REDIRECTS redirects
+ * (301/302/303/307/308, relative Location headers included)
+ */
+function fetchBuffer(url, { timeout = 30000, redirects = 0 } = {}) {
+  return new Promise((resolve, reject) => {
+    const protocol = url.startsWith('https:') ? https : http;
+
+    const request = protocol.get(url, { timeout }, (response) => {
+      if (REDIRECT_STATUSES.has(response.statusCode) && response.headers.location) {
+        response.resume();
+        if (redirects >= MAX_REDIRECTS) {
+          // A redirect loop won't resolve itself: reported like a 4xx, so it isn't retried
+          return reject(new HttpError(response.statusCode, 'Too many redirects'));
+        }
+        const next = new URL(response.headers.location, url).toString();
+        return fetchBuffer(next, { timeout, redirects: redirects + 1 }).then(resolve, reject);
+      }
+
+      if (response.statusCode !== 200) {
+        response.resume();
+        return reject(new HttpError(response.statusCode));
+      }
+
+      const chunks = [];
+      response.on('data', (chunk) => chunks.push(chunk));
+      response.on('end', () => resolve(Buffer.concat(chunks)));
+      response.on('error', reject);
+    });
+
+    request.on('timeout', () => request.destroy(new Error('Download timeout')));
+    request.on('error', reject);
+  });
+}
+
+// 4xx responses (other than 408/429) won't change on retry, and neither will
+// URLs that http.get rejects (data: URIs, relative paths, malformed URLs)
+function isRetryable(err) {
+  if (err instanceof HttpError) {
+    return err.statusCode >= 500 || err.statusCode === 408 || err.statusCode === 429;
+  }
+  return !(err instanceof TypeError) && err.code !== 'ERR_INVALID_URL';
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * fetchBuffer with retries and exponential backoff (base, 2×base, 4×base...
+ * plus jitter). Resolves { buffer, attempts }; rejects with `attempts` set
+ * on the error.
+ */
+async function fetchWithRetry(url, { maxAttempts = 4, baseDelay = 1000, timeout } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const buffer = await fetchBuffer(url, { timeout });
+      return { buffer, attempts: attempt };
+    } catch (err) {
+      if (attempt >= maxAttempts || !isRetryable(err)) {
+        err.attempts = attempt;
+        throw err;
+      }
+      const delay = baseDelay * 2 ** (attempt - 1);
+      await sleep(delay + Math.random() * delay * 0.25);
+    }
+  }
+}
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Persistent record of every image URL the migration has seen:
+ *   { url: { localPath, sha256, mime, size, status, attempts, error, updatedAt } }
+ * status is 'downloaded' or 'failed'. Saved atomically, so an interrupted
+ * run can resume from the last save.
+ */
+class ImageManifest {
+  constructor(manifestPath) {
+    this.manifestPath = manifestPath;
+    this.entries = {};
+
+    if (fs.existsSync(manifestPath)) {
+      const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+      if (manifest.version === MANIFEST_VERSION) this.entries = manifest.images;
+    }
+  }
+
+  get(url) {
+    return this.entries[url];
+  }
+
+  set(url, entry) {
+    this.entries[url] = { ...entry, updatedAt: new Date().toISOString() };
+  }
+
+  save() {
+    const tempPath = `${this.manifestPath}.tmp`;
+    fs.mkdirSync(path.dirname(this.manifestPath), { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify({ version: MANIFEST_VERSION, images: this.entries }, null, 1));
+    fs.renameSync(tempPath, this.manifestPath);
+  }
+}
+
+/**
+ * Filename used before the manifest existed: md5 of the URL plus its extension
+ */
+function legacyFilename(url) {
+  const hash = crypto.createHash('md5').update(url).digest('hex').substring(0, 12);
+  let ext = '.jpg';
+  try {
+    ext = path.extname(new URL(url).pathname) || '.jpg';
+  } catch (err) {
+    // Not a valid URL; keep the default
+  }
+  return `${hash}${ext}`;
+}
+
+/**
+ * Downloads image URLs into `imageDir` and records them in an ImageManifest.
+ * With `retryFailed`, only URLs that failed before are tried (again);
+ * otherwise URLs already in the manifest are skipped. `fetchOptions` go to
+ * fetchWithRetry.
+ */
+class ImageDownloader {
+  constructor({ imageDir, manifest, retryFailed = false, fetchOptions = {}, log = console }) {
+    this.imageDir = imageDir;
+    this.manifest = manifest;
+    this.retryFailed = retryFailed;
+    this.fetchOptions = fetchOptions;
+    this.log = log;
+  }
+
+  /**
+   * Store image bytes under a content-addressed name (sha256 + sniffed
+   * extension), so the same image under several URLs is saved once.
+   * Returns the manifest entry, or throws if the bytes aren't an image.
+   */
+  storeImage(buffer) {
+    const type = detectImageType(buffer);
+    if (!type) {
+      throw new Error('Response is not a recognized image');
+    }
+
+    const hash = sha256(buffer);
+    const filename = `${hash.substring(0, 12)}${type.ext}`;
+    const outputPath = path.join(this.imageDir, filename);
+    const deduplicated = fs.existsSync(outputPath);
+
+    if (!deduplicated) {
+      // Write then rename, so an interrupted run never leaves a truncated image
+      fs.mkdirSync(this.imageDir, { recursive: true });
+      fs.writeFileSync(`${outputPath}.tmp`, buffer);
+      fs.renameSync(`${outputPath}.tmp`, outputPath);
+    }
+
+    return {
+      entry: { localPath: `/images/${filename}`, sha256: hash, mime: type.mime, size: buffer.length, status: 'downloaded' },
+      deduplicated
+    };
+  }
+
+  /**
+   * Bring one URL up to date in the manifest. Returns what happened:
+   * 'skipped', 'adopted', 'downloaded', 'deduplicated' or 'failed'.
+   */
+  async process(url) {
+    const manifest = this.manifest;
+    const previous = manifest.get(url);
+
+    if (previous && previous.status === 'downloaded' && fs.existsSync(path.join(this.imageDir, path.basename(previous.localPath)))) {
+      return 'skipped';
+    }
+    if (previous && previous.status === 'failed' && !this.retryFailed) {
+      return 'skipped';
+    }
+    if (!previous && this.retryFailed) {
+      return 'skipped';
+    }
+
+    const attempts = previous ? previous.attempts : 0;
+
+    // Adopt a file downloaded by an older version of the migration
+    const legacyPath = path.join(this.imageDir, legacyFilename(url));
+    if (!previous && fs.existsSync(legacyPath)) {
+      try {
+        const { entry } = this.storeImage(fs.readFileSync(legacyPath));
+        if (path.basename(entry.localPath) !== path.basename(legacyPath)) fs.unlinkSync(legacyPath);
+        manifest.set(url, { ...entry, attempts });
+        this.log.log(`✓ Adopted: ${path.basename(legacyPath)} -> ${path.basename(entry.localPath)}`);
+        return 'adopted';
+      } catch (err) {
+        // Not an image after all; download it again below
+      }
+    }
+
+    let fetched;
+    try {
+      this.log.log(`⬇ Downloading: ${url.substring(0, 70)}...`);
+      fetched = await fetchWithRetry(url, this.fetchOptions);
+      const { entry, deduplicated } = this.storeImage(fetched.buffer);
+      manifest.set(url, { ...entry, attempts: attempts + fetched.attempts });
+      this.log.log(`✓ ${deduplicated ? 'Duplicate of' : 'Saved'}: ${path.basename(entry.localPath)} (${Math.round(entry.size / 1024)}KB)`);
+      return deduplicated ? 'deduplicated' : 'downloaded';
+    } catch (err) {
+      this.log.error(`✗ Failed: ${url.substring(0, 70)}... - ${err.message}`);
+      manifest.set(url, {
+        status: 'failed',
+        attempts: attempts + (fetched ? fetched.attempts : err.attempts || 1),
+        error: err.message
+      });
+      return 'failed';
+    }
+  }
+}
+
+module.exports = {
+  HttpError,
+  ImageDownloader,
+  ImageManifest,
+  legacyFilename,
+  detectImageType,
+  fetchBuffer,
+  fetchWithRetry,
+  sha256
+};
@@ -0,0 +1,212 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { HttpError, ImageDownloader, ImageManifest, detectImageType, fetchWithRetry } = require('./image-download');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const png = (label) => Buffer.concat([PNG_SIGNATURE, Buffer.from(label)]);
+const GIF = Buffer.from('GIF89a-test');
+const FETCH_OPTIONS = { maxAttempts: 3, baseDelay: 20, timeout: 2000 };
+const SILENT = { log() {}, error() {} };
+
+// Local stand-in for the S3 bucket. Routes:
+//   /image/<label>.<ext>     a PNG whatever the extension (/image/gif.png is a GIF)
+//   /copy/<anything>         the same PNG for every path
+//   /redirect/<status>       redirects to /image/redirected.png
+//   /loop                    redirects to itself
+//   /status/<code>           always answers <code>
+//   /flaky/<code>/<n>/<key>  answers <code> n times, then a PNG
+//   /toggle/<key>            fails until `healthy` has the key
+//   /not-an-image            HTML with status 200
+const hits = new Map();
+const hitTimes = new Map();
+const healthy = new Set();
+const server = http.createServer((request, response) => {
+  const url = request.url;
+  hits.set(url, (hits.get(url) || 0) + 1);
+  hitTimes.set(url, [...(hitTimes.get(url) || []), Date.now()]);
+  const [, route, ...rest] = url.split('/');
+
+  if (route === 'image') {
+    response.end(rest[0] === 'gif.png' ? GIF : png(rest.join('/')));
+  } else if (route === 'copy') {
+    response.end(png('copy'));
+  } else if (route === 'redirect') {
+    response.writeHead(Number(rest[0]), { Location: '/image/redirected.png' }).end();
+  } else if (route === 'loop') {
+    response.writeHead(302, { Location: '/loop' }).end();
+  } else if (route === 'status') {
+    response.writeHead(Number(rest[0])).end();
+  } else if (route === 'flaky') {
+    const [code, failures] = rest.map(Number);
+    if (hits.get(url) <= failures) {
+      response.writeHead(code).end();
+    } else {
+      response.end(png(url));
+    }
+  } else if (route === 'toggle') {
+    if (healthy.has(rest[0])) {
+      response.end(png(url));
+    } else {
+      response.writeHead(503).end();
+    }
+  } else if (route === 'not-an-image') {
+    response.writeHead(200, { 'Content-Type': 'image/png' }).end('<html>Access denied</html>');
+  } else {
+    response.writeHead(404).end();
+  }
+});
+
+let baseUrl;
+let tempDir;
+
+test.before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-download-'));
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+function createDownloader(name, options = {}) {
+  const manifest = options.manifest || new ImageManifest(path.join(tempDir, name, 'manifest.json'));
+  return new ImageDownloader({
+    imageDir: path.join(tempDir, name, 'images'),
+    manifest,
+    fetchOptions: FETCH_OPTIONS,
+    log: SILENT,
+    ...options
+  });
+}
+
+test('redirects are followed for 301, 302, 303, 307 and 308', async () => {
+  for (const status of [301, 302, 303, 307, 308]) {
+    const { buffer, attempts } = await fetchWithRetry(`${baseUrl}/redirect/${status}`, FETCH_OPTIONS);
+    assert.deepEqual(buffer, png('redirected.png'), `status ${status}`);
+    assert.equal(attempts, 1);
+  }
+});
+
+test('a redirect loop fails once instead of being retried', async () => {
+  hits.delete('/loop');
+  await assert.rejects(fetchWithRetry(`${baseUrl}/loop`, FETCH_OPTIONS), (err) => {
+    assert.ok(err instanceof HttpError);
+    assert.match(err.message, /Too many redirects/);
+    assert.equal(err.attempts, 1);
+    return true;
+  });
+  // The first request plus MAX_REDIRECTS (5) follow-ups, in a single attempt
+  assert.equal(hits.get('/loop'), 6);
+});
+
+test('5xx, 408 and 429 responses are retried with growing delays', async () => {
+  for (const code of [500, 503, 408, 429]) {
+    const url = `/flaky/${code}/2/retry`;
+    const { buffer, attempts } = await fetchWithRetry(`${baseUrl}${url}`, FETCH_OPTIONS);
+    assert.deepEqual(buffer, png(url));
+    assert.equal(attempts, 3, `status ${code}`);
+
+    const [first, second, third] = hitTimes.get(url);
+    assert.ok(second - first >= FETCH_OPTIONS.baseDelay, 'first retry waits baseDelay');
+    assert.ok(third - second >= FETCH_OPTIONS.baseDelay * 2, 'second retry waits twice as long');
+  }
+});
+
+test('retries stop after maxAttempts', async () => {
+  await assert.rejects(fetchWithRetry(`${baseUrl}/status/502`, FETCH_OPTIONS), { statusCode: 502, attempts: 3 });
+  assert.equal(hits.get('/status/502'), 3);
+});
+
+test('other 4xx responses are not retried', async () => {
+  for (const code of [400, 403, 404, 410]) {
+    await assert.rejects(fetchWithRetry(`${baseUrl}/status/${code}`, FETCH_OPTIONS), { statusCode: code, attempts: 1 });
+    assert.equal(hits.get(`/status/${code}`), 1, `status ${code}`);
+  }
+});
+
+test('URLs that can\'t be requested are not retried', async () => {
+  for (const url of ['data:image/png;base64,AAAA', '/images/local.png', 'https://']) {
+    await assert.rejects(fetchWithRetry(url, FETCH_OPTIONS), (err) => {
+      assert.ok(err instanceof TypeError, url);
+      assert.equal(err.attempts, 1, url);
+      return true;
+    });
+  }
+});
+
+test('the file extension comes from the bytes, not the URL', async () => {
+  const downloader = createDownloader('extensions');
+  assert.equal(await downloader.process(`${baseUrl}/image/photo.jpg`), 'downloaded');
+  assert.equal(await downloader.process(`${baseUrl}/image/gif.png`), 'downloaded');
+
+  const jpgEntry = downloader.manifest.get(`${baseUrl}/image/photo.jpg`);
+  assert.match(jpgEntry.localPath, /^\/images\/[0-9a-f]{12}\.png$/);
+  assert.equal(jpgEntry.mime, 'image/png');
+  assert.match(downloader.manifest.get(`${baseUrl}/image/gif.png`).localPath, /\.gif$/);
+
+  assert.equal(await downloader.process(`${baseUrl}/not-an-image`), 'failed');
+  assert.match(downloader.manifest.get(`${baseUrl}/not-an-image`).error, /not a recognized image/);
+  assert.equal(detectImageType(Buffer.from('<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg"/>')).ext, '.svg');
+});
+
+test('identical bytes under different URLs are stored once', async () => {
+  const downloader = createDownloader('dedupe');
+  const first = `${baseUrl}/copy/first.jpg`;
+  const second = `${baseUrl}/copy/second.png`;
+  assert.equal(await downloader.process(first), 'downloaded');
+  assert.equal(await downloader.process(second), 'deduplicated');
+
+  assert.equal(downloader.manifest.get(second).localPath, downloader.manifest.get(first).localPath);
+  assert.deepEqual(fs.readdirSync(path.join(tempDir, 'dedupe', 'images')), [path.basename(downloader.manifest.get(first).localPath)]);
+});
+
+test('--retry-failed only retries failed entries', async () => {
+  const manifestPath = path.join(tempDir, 'retry', 'manifest.json');
+  const failing = `${baseUrl}/toggle/a`;
+  const fresh = `${baseUrl}/image/new.png`;
+
+  const firstRun = createDownloader('retry', { manifest: new ImageManifest(manifestPath) });
+  assert.equal(await firstRun.process(failing), 'failed');
+  assert.equal(await firstRun.process(`${baseUrl}/image/kept.png`), 'downloaded');
+  firstRun.manifest.save();
+  assert.equal(firstRun.manifest.get(failing).attempts, FETCH_OPTIONS.maxAttempts);
+
+  // A normal rerun leaves the failure alone
+  healthy.add('a');
+  const rerun = createDownloader('retry', { manifest: new ImageManifest(manifestPath) });
+  assert.equal(await rerun.process(failing), 'skipped');
+
+  hits.clear();
+  const retry = createDownloader('retry', { manifest: new ImageManifest(manifestPath), retryFailed: true });
+  assert.equal(await retry.process(failing), 'downloaded');
+  assert.equal(await retry.process(`${baseUrl}/image/kept.png`), 'skipped');
+  assert.equal(await retry.process(fresh), 'skipped');
+  assert.equal(retry.manifest.get(failing).attempts, FETCH_OPTIONS.maxAttempts + 1);
+  assert.equal(retry.manifest.get(fresh), undefined);
+  assert.deepEqual(Array.from(hits.keys()), ['/toggle/a']);
+});
+
+test('a rerun skips everything already downloaded', async () => {
+  const manifestPath = path.join(tempDir, 'rerun', 'manifest.json');
+  const urls = ['one', 'two', 'three'].map(label => `${baseUrl}/image/rerun-${label}.png`);
+
+  const firstRun = createDownloader('rerun', { manifest: new ImageManifest(manifestPath) });
+  for (const url of urls) assert.equal(await firstRun.process(url), 'downloaded');
+  firstRun.manifest.save();
+
+  hits.clear();
+  const rerun = createDownloader('rerun', { manifest: new ImageManifest(manifestPath) });
+  for (const url of urls) assert.equal(await rerun.process(url), 'skipped');
+  assert.equal(hits.size, 0);
+
+  // A file deleted from disk is downloaded again
+  fs.unlinkSync(path.join(tempDir, 'rerun', 'images', path.basename(rerun.manifest.get(urls[0]).localPath)));
+  assert.equal(await rerun.process(urls[0]), 'downloaded');
+  assert.equal(hits.size, 1);
+});
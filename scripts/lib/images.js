@@ -0,0 +1,239 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { escapeHtml } = require('./template-engine');
+
+// Widths cover the 800px content column at 1x and 2x, and small screens
+const VARIANT_WIDTHS = [400, 800, 1200, 1600];
+const VARIANT_FORMATS = [
+  { format: 'avif', type: 'image/avif', options: { quality: 50, effort: 3 } },
+  { format: 'webp', type: 'image/webp', options: { quality: 75 } }
+];
+// Bump when the settings above change so cached variants are regenerated
+const PIPELINE_VERSION = 1;
+
+const CONTENT_WIDTH = 800;
+const CONTENT_SIZES = `(max-width: ${CONTENT_WIDTH}px) 100vw, ${CONTENT_WIDTH}px`;
+const VARIANTS_URL = '/images/variants';
+
+/**
+ * Whether src points at a migrated image that the pipeline can process
+ */
+function isLocalImage(src) {
+  return typeof src === 'string' && src.startsWith('/images/') && !src.startsWith(`${VARIANTS_URL}/`);
+}
+
+/**
+ * Creates resized AVIF/WebP variants of local images and records their
+ * intrinsic dimensions. Results are cached in cachePath (outside publicDir, so
+ * it isn't deployed) by file size and modification time, so unchanged images
+ * are not reprocessed.
+ *
+ * Animated GIFs get a single animated WebP (AVIF and resizing would drop
+ * frames or take too long); SVGs only get their dimensions since they scale.
+ */
+class ImagePipeline {
+  constructor({ publicDir, cachePath }) {
+    this.publicDir = publicDir;
+    this.outputDir = path.join(publicDir, VARIANTS_URL);
+    this.cachePath = cachePath;
+    this.cache = this.loadCache();
+    this.results = new Map();
+    this.stats = { processed: 0, cached: 0, missing: 0, failed: 0 };
+  }
+
+  loadCache() {
+    try {
+      const cache = JSON.parse(fs.readFileSync(this.cachePath, 'utf-8'));
+      return cache.version === PIPELINE_VERSION ? cache.images : {};
+    } catch (err) {
+      return {};
+    }
+  }
+
+  /**
+   * Describe a local image: { src, width, height, sources: [{ type, srcset }] }.
+   * Returns null for remote, missing or unreadable images.
+   */
+  process(src) {
+    if (!isLocalImage(src)) return Promise.resolve(null);
+    if (!this.results.has(src)) {
+      this.results.set(src, this.describe(src).catch(err => {
+        this.stats.failed++;
+        console.warn(`   ⚠️  Could not process ${src}: ${err.message}`);
+        return null;
+      }));
+    }
+    return this.results.get(src);
+  }
+
+  async describe(src) {
+    const file = path.join(this.publicDir, decodeURIComponent(src.split(/[?#]/)[0]));
+    if (!fs.existsSync(file)) {
+      this.stats.missing++;
+      return null;
+    }
+
+    const stat = fs.statSync(file);
+    const key = `${stat.size}:${Math.round(stat.mtimeMs)}`;
+    const cached = this.cache[src];
+    if (cached && cached.key === key && this.variantsExist(cached)) {
+      this.stats.cached++;
+      return toImage(src, cached);
+    }
+
+    const entry = await this.createVariants(src, file, key);
+    this.cache[src] = entry;
+    this.stats.processed++;
+    return toImage(src, entry);
+  }
+
+  variantsExist(entry) {
+    return entry.variants.every(variant => fs.existsSync(path.join(this.publicDir, variant.url)));
+  }
+
+  async createVariants(src, file, key) {
+    const metadata = await sharp(file, { animated: true }).metadata();
+    // EXIF orientations 5-8 are rotated by 90°, so the displayed size is swapped
+    const rotated = metadata.orientation >= 5;
+    const frameHeight = metadata.pageHeight || metadata.height;
+    const width = rotated ? frameHeight : metadata.width;
+    const height = rotated ? metadata.width : frameHeight;
+    const entry = { key, width, height, variants: [] };
+
+    if (metadata.format === 'svg') return entry;
+
+    const baseName = path.join(this.outputDir, src.slice('/images/'.length).replace(/\.[^./]+$/, ''));
+    fs.mkdirSync(path.dirname(baseName), { recursive: true });
+    const variantUrl = (outputFile) => `/${path.relative(this.publicDir, outputFile).split(path.sep).join('/')}`;
+
+    if ((metadata.pages || 1) > 1) {
+      const outputFile = `${baseName}-${width}.webp`;
+      await sharp(file, { animated: true }).webp({ quality: 75 }).toFile(outputFile);
+      entry.variants.push({ url: variantUrl(outputFile), type: 'image/webp', width });
+      return entry;
+    }
+
+    const widths = VARIANT_WIDTHS.filter(w => w < width);
+    if (width <= VARIANT_WIDTHS[VARIANT_WIDTHS.length - 1]) widths.push(width);
+
+    for (const { format, type, options } of VARIANT_FORMATS) {
+      for (const variantWidth of widths) {
+        const outputFile = `${baseName}-${variantWidth}.${format}`;
+        await sharp(file)
+          .rotate()
+          .resize({ width: variantWidth, withoutEnlargement: true })
+          .toFormat(format, options)
+          .toFile(outputFile);
+        entry.variants.push({ url: variantUrl(outputFile), type, width: variantWidth });
+      }
+    }
+
+    return entry;
+  }
+
+  /**
+   * Persist the cache, dropping images that no longer exist along with their variants
+   */
+  save() {
+    for (const [src, entry] of Object.entries(this.cache)) {
+      if (fs.existsSync(path.join(this.publicDir, decodeURIComponent(src.split(/[?#]/)[0])))) continue;
+      entry.variants.forEach(variant => fs.rmSync(path.join(this.publicDir, variant.url), { force: true }));
+      delete this.cache[src];
+    }
+
+    fs.mkdirSync(path.dirname(this.cachePath), { recursive: true });
+    fs.writeFileSync(this.cachePath, JSON.stringify({ version: PIPELINE_VERSION, images: this.cache }));
+  }
+}
+
+// Group a cache entry's variants into one <source> per format
+function toImage(src, entry) {
+  const sources = [];
+  entry.variants.forEach(variant => {
+    let source = sources.find(s => s.type === variant.type);
+    if (!source) {
+      source = { type: variant.type, candidates: [] };
+      sources.push(source);
+    }
+    source.candidates.push(`${variant.url} ${variant.width}w`);
+  });
+
+  return {
+    src,
+    width: entry.width,
+    height: entry.height,
+    sources: sources.map(source => ({ type: source.type, srcset: source.candidates.join(', ') }))
+  };
+}
+
+/**
+ * List the local image sources referenced by <img> tags in html
+ */
+function findLocalImages(html) {
+  const sources = new Set();
+  for (const match of html.matchAll(/<img\b[^>]*?\ssrc="([^"]+)"/gi)) {
+    if (isLocalImage(match[1])) sources.add(match[1]);
+  }
+  return Array.from(sources);
+}
+
+function parseAttributes(tag) {
+  const attributes = {};
+  for (const match of tag.matchAll(/([\w-]+)(?:="([^"]*)")?/g)) {
+    attributes[match[1].toLowerCase()] = match[2] === undefined ? '' : match[2];
+  }
+  delete attributes.img;
+  return attributes;
+}
+
+/**
+ * Render an image as <picture> with AVIF/WebP sources. `attributes` are
+ * already-escaped <img> attributes; a width given there is kept and the
+ * height follows the image's aspect ratio. Images narrower than the content
+ * column get matching `sizes` so browsers don't fetch a larger variant.
+ */
+function renderPicture(image, attributes = {}) {
+  const attrs = { ...attributes, src: image.src };
+  const givenWidth = Number(attrs.width);
+  if (givenWidth > 0 && !attrs.height) {
+    attrs.height = String(Math.round(givenWidth * image.height / image.width));
+  } else if (!attrs.width && !attrs.height && image.width && image.height) {
+    attrs.width = String(image.width);
+    attrs.height = String(image.height);
+  }
+  const displayWidth = Math.min(Number(attrs.width) || image.width || CONTENT_WIDTH, CONTENT_WIDTH);
+  const sizes = `(max-width: ${displayWidth}px) 100vw, ${displayWidth}px`;
+
+  if (!attrs.loading) attrs.loading = 'lazy';
+  if (!attrs.decoding) attrs.decoding = 'async';
+
+  const img = `<img ${Object.entries(attrs).map(([name, value]) => `${name}="${value}"`).join(' ')}>`;
+  if (!image.sources.length) return img;
+
+  const sources = image.sources
+    .map(source => `<source type="${source.type}" srcset="${escapeHtml(source.srcset)}" sizes="${sizes}">`)
+    .join('');
+  return `<picture>${sources}${img}</picture>`;
+}
+
+/**
+ * Replace <img> tags pointing at processed images with responsive markup.
+ * `images` maps src -> result of ImagePipeline#process.
+ */
+function rewriteImages(html, images) {
+  return html.replace(/<img\b[^>]*>/gi, (tag) => {
+    const attributes = parseAttributes(tag.replace(/\/?>$/, ''));
+    const image = images.get(attributes.src);
+    return image ? renderPicture(image, attributes) : tag;
+  });
+}
+
+module.exports = {
+  CONTENT_SIZES,
+  ImagePipeline,
+  isLocalImage,
+  findLocalImages,
+  renderPicture,
+  rewriteImages
+};
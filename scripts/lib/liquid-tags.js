@@ -0,0 +1,334 @@
+const katex = require('katex');
+
+// What the renderings below need to survive sanitizeHtml, merged into the
+// build's sanitizer options
+const MATHML_TAGS = [
+  'math', 'semantics', 'annotation', 'mrow', 'mi', 'mo', 'mn', 'ms', 'mtext', 'mspace',
+  'msup', 'msub', 'msubsup', 'mfrac', 'msqrt', 'mroot', 'mover', 'munder', 'munderover',
+  'mtable', 'mtr', 'mtd', 'mstyle', 'mpadded', 'mphantom', 'menclose'
+];
+const MATHML_ATTRIBUTES = [
+  'xmlns', 'display', 'encoding', 'mathvariant', 'stretchy', 'fence', 'separator', 'lspace', 'rspace',
+  'width', 'height', 'depth', 'scriptlevel', 'displaystyle', 'columnalign', 'rowspacing',
+  'columnspacing', 'accent', 'accentunder', 'minsize', 'maxsize', 'movablelimits', 'notation',
+  'linethickness', 'mathcolor', 'mathbackground', 'mathsize'
+];
+const SANITIZE_ALLOWLIST = {
+  tags: ['details', 'summary', 'span', ...MATHML_TAGS],
+  attributes: {
+    a: ['class'],
+    span: ['class', 'title'],
+    details: ['class'],
+    ...Object.fromEntries(MATHML_TAGS.map(tag => [tag, MATHML_ATTRIBUTES]))
+  },
+  iframeHostnames: ['www.youtube.com', 'youtube.com', 'player.vimeo.com']
+};
+
+// Text of the renderings, in English unless the build passes the site's
+// (see liquidLabels)
+const DEFAULT_LABELS = {
+  youtube: 'Watch on YouTube',
+  vimeo: 'Watch on Vimeo',
+  tweet: 'View post on X',
+  link: 'Link',
+  article: 'Article',
+  details: 'Details'
+};
+
+/**
+ * Labels in the site's locale, from its translator (the `embeds` strings)
+ */
+function liquidLabels(t) {
+  return Object.fromEntries(Object.keys(DEFAULT_LABELS).map(key => [key, t(`embeds.${key}`)]));
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#0*39;|&#x27;/g, "'")
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Plain text of a tag's arguments. In HTML bodies URLs may have been
+ * auto-linked (<a href="url">url</a>), so prefer the href.
+ */
+function tagArgument(raw) {
+  const href = /href=["']([^"']+)["']/.exec(raw);
+  const text = href ? href[1] : raw.replace(/<[^>]*>/g, ' ');
+  return decodeEntities(text).trim().replace(/^["']|["']$/g, '');
+}
+
+function parseUrl(value) {
+  try {
+    return new URL(value);
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Static stand-in for an embed: a card linking to the original
+ */
+function embedCard(kind, source, url, title) {
+  const parsed = parseUrl(url);
+  const display = parsed ? `${parsed.host}${parsed.pathname.replace(/\/$/, '')}` : url;
+  return `<div class="liquid-embed liquid-${kind}"><a class="liquid-embed-link" href="${escapeHtml(url)}" target="_blank" rel="noopener">` +
+    `<span class="liquid-embed-source">${escapeHtml(source)}</span>` +
+    `<span class="liquid-embed-title">${escapeHtml(title || display)}</span>` +
+    `<span class="liquid-embed-url">${escapeHtml(display)}</span>` +
+    '</a></div>';
+}
+
+function youtube(arg, labels) {
+  const url = arg.split(/\s+/)[0];
+
+  // Extract video ID from various YouTube URL formats
+  let videoId = null;
+
+  // Format: https://youtube.com/watch?v=VIDEO_ID
+  // Format: https://www.youtube.com/watch?v=VIDEO_ID
+  // Format: https://youtu.be/VIDEO_ID
+  // Format: https://youtube.com/VIDEO_ID (direct ID after domain)
+  // Format: https://www.youtube.com/embed/VIDEO_ID
+
+  const patterns = [
+    /(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/)([a-zA-Z0-9_-]+)/,
+    /(?:youtube\.com|www\.youtube\.com)\/([a-zA-Z0-9_-]{11})$/,  // Direct ID after domain
+    /^([a-zA-Z0-9_-]{11})$/ // Just the video ID
+  ];
+
+  for (const pattern of patterns) {
+    const match = url.match(pattern);
+    if (match && match[1]) {
+      videoId = match[1];
+      break;
+    }
+  }
+
+  if (videoId) {
+    return `<div class="video-embed" style="position: relative; padding-bottom: 56.25%; height: 0; overflow: hidden; max-width: 100%; margin: 2rem 0;">
+  <iframe
+    style="position: absolute; top: 0; left: 0; width: 100%; height: 100%;"
+    src="https://www.youtube.com/embed/${videoId}"
+    frameborder="0"
+    allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture"
+    allowfullscreen
+    loading="lazy"
+  ></iframe>
+</div>`;
+  }
+
+  // If we can't parse the video ID, return a link
+  return `<p><a href="${escapeHtml(url)}" target="_blank" rel="noopener">${escapeHtml(labels.youtube)}</a></p>`;
+}
+
+function vimeo(arg, labels) {
+  const match = /(?:vimeo\.com\/(?:video\/)?)?(\d+)/.exec(arg);
+  if (!match) return embedCard('vimeo', 'Vimeo', arg, labels.vimeo);
+  return `<div class="video-embed" style="position: relative; padding-bottom: 56.25%; height: 0; overflow: hidden; max-width: 100%; margin: 2rem 0;">
+  <iframe
+    style="position: absolute; top: 0; left: 0; width: 100%; height: 100%;"
+    src="https://player.vimeo.com/video/${match[1]}"
+    frameborder="0"
+    allow="autoplay; fullscreen; picture-in-picture"
+    allowfullscreen
+    loading="lazy"
+  ></iframe>
+</div>`;
+}
+
+// {% github owner/repo %}, {% github https://github.com/owner/repo/issues/1 no-readme %}
+function github(arg) {
+  const target = arg.split(/\s+/)[0];
+  const url = /^https?:\/\//.test(target) ? target : `https://github.com/${target.replace(/^\/+/, '')}`;
+  const parsed = parseUrl(url);
+  const parts = parsed ? parsed.pathname.split('/').filter(Boolean) : [];
+  let title = parts.slice(0, 2).join('/');
+  if (['issues', 'pull'].includes(parts[2]) && parts[3]) title += `#${parts[3]}`;
+  return embedCard('github', 'GitHub', url, title);
+}
+
+// {% gist https://gist.github.com/user/id file=name.sol %}
+function gist(arg) {
+  const [target, ...options] = arg.split(/\s+/);
+  const url = /^https?:\/\//.test(target) ? target : `https://gist.github.com/${target}`;
+  const file = options.map(option => /^file=(.+)$/.exec(option)).find(Boolean);
+  const parsed = parseUrl(url);
+  const title = parsed ? parsed.pathname.split('/').filter(Boolean).join('/') : url;
+  return embedCard('gist', 'GitHub Gist', url, file ? `${title} · ${file[1]}` : title);
+}
+
+// {% twitter 1234567890 %} or a status URL
+function twitter(arg, labels) {
+  const match = /(?:status(?:es)?\/)?(\d{5,})/.exec(arg);
+  if (!match) return embedCard('twitter', 'X (Twitter)', arg);
+  return embedCard('twitter', 'X (Twitter)', `https://twitter.com/i/web/status/${match[1]}`, labels.tweet);
+}
+
+// Code playgrounds: the argument is a URL or an ID on the service
+function playground(kind, source, baseUrl) {
+  return (arg) => {
+    const target = arg.split(/\s+/)[0];
+    const url = /^https?:\/\//.test(target) ? target : `${baseUrl}${target.replace(/^\/+/, '')}`;
+    return embedCard(kind, source, url);
+  };
+}
+
+const PLAYGROUNDS = {
+  codepen: playground('codepen', 'CodePen', 'https://codepen.io/'),
+  replit: playground('replit', 'Replit', 'https://replit.com/'),
+  stackblitz: playground('stackblitz', 'StackBlitz', 'https://stackblitz.com/edit/'),
+  codesandbox: playground('codesandbox', 'CodeSandbox', 'https://codesandbox.io/s/'),
+  jsfiddle: playground('jsfiddle', 'JSFiddle', 'https://jsfiddle.net/')
+};
+
+// {% link user/slug %} points at another post: keep Forem paths on this site
+function link(arg, labels) {
+  const target = arg.split(/\s+/)[0];
+  if (/^https?:\/\//.test(target)) return embedCard('link', labels.link, target);
+  const path = `/${target.replace(/^\/+/, '')}`;
+  return `<div class="liquid-embed liquid-link"><a class="liquid-embed-link" href="${escapeHtml(path)}">` +
+    `<span class="liquid-embed-source">${escapeHtml(labels.article)}</span><span class="liquid-embed-title">${escapeHtml(path)}</span></a></div>`;
+}
+
+// {% embed URL %} picks the renderer for the URL's site
+function embed(arg, labels) {
+  const url = arg.split(/\s+/)[0];
+  const parsed = parseUrl(url);
+  const host = parsed ? parsed.host.replace(/^www\./, '') : '';
+
+  if (['youtube.com', 'youtu.be'].includes(host)) return youtube(url, labels);
+  if (['vimeo.com', 'player.vimeo.com'].includes(host)) return vimeo(url, labels);
+  if (host === 'gist.github.com') return gist(arg);
+  if (host === 'github.com') return github(arg);
+  if (['twitter.com', 'x.com'].includes(host)) return twitter(url, labels);
+  if (host === 'codepen.io') return PLAYGROUNDS.codepen(url);
+  if (host === 'replit.com' || host === 'repl.it') return PLAYGROUNDS.replit(url);
+  return embedCard('link', host || labels.link, url);
+}
+
+const INLINE_TAGS = {
+  youtube,
+  vimeo,
+  github,
+  gist,
+  twitter,
+  tweet: twitter,
+  ...PLAYGROUNDS,
+  link,
+  embed
+};
+
+// Tags wrapping content: {% details Summary %}...{% enddetails %}
+const DETAILS_TAGS = ['details', 'spoiler', 'collapsible'];
+
+/**
+ * Pre-render TeX to MathML, which browsers display without scripts or
+ * fonts. Invalid TeX is shown as source, marked with .katex-error.
+ */
+function renderMath(tex, displayMode) {
+  return katex.renderToString(tex, { output: 'mathml', displayMode, throwOnError: false });
+}
+
+/**
+ * Apply fn to the parts of source outside code, so tags shown as examples
+ * in code blocks stay as they are
+ */
+function outsideCode(source, codePattern, fn) {
+  let result = '';
+  let last = 0;
+  for (const match of source.matchAll(codePattern)) {
+    result += fn(source.slice(last, match.index)) + match[0];
+    last = match.index + match[0].length;
+  }
+  return result + fn(source.slice(last));
+}
+
+const MARKDOWN_CODE = /(^|\n)(```|~~~)[^\n]*\n[\s\S]*?\n\2[^\n]*|`[^`\n]+`/g;
+const HTML_CODE = /<pre\b[\s\S]*?<\/pre>|<code\b[\s\S]*?<\/code>/gi;
+
+/**
+ * Replace Forem liquid tags with static HTML.
+ *
+ * format 'html' is for Forem's rendered bodies, where a tag can be wrapped
+ * in <p> and its arguments auto-linked; 'markdown' is for Markdown bodies,
+ * before they are parsed (block renderings are surrounded by blank lines so
+ * the Markdown inside {% details %} is still rendered).
+ *
+ * labels are the texts of the renderings (see DEFAULT_LABELS).
+ *
+ * Returns { html, unknownTags } where unknownTags lists the names of tags
+ * that were removed because they have no rendering.
+ */
+function convertLiquidTags(source, format = 'html', labels = DEFAULT_LABELS) {
+  const unknownTags = [];
+  const markdown = format === 'markdown';
+  const block = (html) => markdown ? `\n\n${html}\n\n` : html;
+  const text = (raw) => markdown ? raw.trim() : decodeEntities(raw.replace(/<[^>]*>/g, '')).trim();
+
+  const convert = (part) => {
+    let converted = part;
+
+    // A tag alone in a paragraph replaces the paragraph
+    if (!markdown) {
+      converted = converted.replace(/<p>\s*(\{%(?:(?!%\})[\s\S])*%\})\s*<\/p>/gi, '$1');
+    }
+
+    // {% raw %}...{% endraw %}: shown as-is, without converting tags inside
+    const raws = [];
+    converted = converted.replace(/\{%\s*raw\s*%\}([\s\S]*?)\{%\s*endraw\s*%\}/gi, (match, content) => {
+      raws.push(content);
+      return `\u0000raw${raws.length - 1}\u0000`;
+    });
+
+    // {% katex %}...{% endkatex %} and {% katex inline %}...{% endkatex %}
+    converted = converted.replace(/\{%\s*katex(\s+inline)?\s*%\}([\s\S]*?)\{%\s*endkatex\s*%\}/gi, (match, inline, tex) => {
+      const math = renderMath(text(tex), !inline);
+      return inline ? math : block(`<div class="katex-block">${math}</div>`);
+    });
+
+    converted = converted.replace(/\{%\s*(\w+)([\s\S]*?)%\}/g, (match, rawName, rawArgs) => {
+      const name = rawName.toLowerCase();
+      const arg = tagArgument(rawArgs);
+
+      if (DETAILS_TAGS.includes(name)) {
+        return block(`<details class="liquid-details"><summary>${escapeHtml(arg || labels.details)}</summary>`);
+      }
+      if (name.startsWith('end') && DETAILS_TAGS.includes(name.slice(3))) {
+        return block('</details>');
+      }
+      if (INLINE_TAGS[name]) {
+        return block(INLINE_TAGS[name](arg, labels));
+      }
+
+      // Closing tags of unknown block tags are reported through their opening tag
+      if (!name.startsWith('end')) unknownTags.push(name);
+      return '';
+    });
+
+    return converted.replace(/\u0000raw(\d+)\u0000/g, (match, i) => raws[Number(i)]);
+  };
+
+  const html = outsideCode(source, markdown ? MARKDOWN_CODE : HTML_CODE, convert);
+  return { html, unknownTags };
+}
+
+module.exports = {
+  DEFAULT_LABELS,
+  SANITIZE_ALLOWLIST,
+  convertLiquidTags,
+  liquidLabels
+};
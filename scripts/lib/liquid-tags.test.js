@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_LABELS, convertLiquidTags, liquidLabels } = require('./liquid-tags');
+const { createTranslator, loadStrings } = require('./site-config');
+
+const EMBEDS = '{% youtube https://example.com/not-a-video %} {% twitter 1234567890 %} {% link ana/post %} {% details %}x{% enddetails %}';
+
+test('embed labels are in English by default', () => {
+  const { html } = convertLiquidTags(EMBEDS);
+  for (const label of ['Watch on YouTube', 'View post on X', '>Article<', '<summary>Details</summary>']) {
+    assert.ok(html.includes(label), label);
+  }
+});
+
+test('embed labels come from the site locale', () => {
+  const t = createTranslator('pt-BR', loadStrings('pt-BR'));
+  const { html } = convertLiquidTags(EMBEDS, 'html', liquidLabels(t));
+  for (const label of ['Assistir no YouTube', 'Ver post no X', '>Artigo<', '<summary>Detalhes</summary>']) {
+    assert.ok(html.includes(label), label);
+  }
+});
+
+test('every locale has every embed label', () => {
+  const localesDir = path.join(__dirname, '../../locales');
+  for (const file of fs.readdirSync(localesDir)) {
+    const { embeds = {} } = JSON.parse(fs.readFileSync(path.join(localesDir, file), 'utf-8'));
+    assert.deepEqual(Object.keys(embeds).sort(), Object.keys(DEFAULT_LABELS).sort(), file);
+  }
+});
@@ -0,0 +1,143 @@
+const TurndownService = require('turndown');
+const { tables, strikethrough } = require('turndown-plugin-gfm');
+const { absolutizeUrls, toIso } = require('./feeds');
+
+let converter = null;
+
+function textOf(node, selector) {
+  const element = node.querySelector(selector);
+  return element ? element.textContent.trim() : '';
+}
+
+/**
+ * Turndown with rules for what the article pipeline produces: highlighted
+ * code blocks, KaTeX math, video iframes, link embeds and <details>
+ */
+function createConverter() {
+  const service = new TurndownService({
+    headingStyle: 'atx',
+    hr: '---',
+    bulletListMarker: '-',
+    codeBlockStyle: 'fenced',
+    emDelimiter: '_'
+  });
+  service.use([tables, strikethrough]);
+
+  // <pre class="code-block" data-language="solidity"> from ./highlight; the
+  // text drops the highlighter's spans and line wrappers
+  service.addRule('codeBlock', {
+    filter: node => node.nodeName === 'PRE',
+    replacement: (content, node) => {
+      const code = node.textContent.replace(/\n$/, '');
+      const longestFence = Math.max(2, ...(code.match(/`{3,}/g) || []).map(fence => fence.length));
+      const fence = '`'.repeat(longestFence + 1);
+      return `\n\n${fence}${node.getAttribute('data-language') || ''}\n${code}\n${fence}\n\n`;
+    }
+  });
+
+  // KaTeX MathML keeps its TeX source in an annotation
+  service.addRule('math', {
+    filter: node => node.nodeName.toLowerCase() === 'math',
+    replacement: (content, node) => {
+      const tex = textOf(node, 'annotation').trim();
+      if (!tex) return node.textContent;
+      return node.getAttribute('display') === 'block' ? `\n\n$$\n${tex}\n$$\n\n` : `$${tex}$`;
+    }
+  });
+
+  service.addRule('iframe', {
+    filter: 'iframe',
+    replacement: (content, node) => {
+      const src = node.getAttribute('src');
+      return src ? `\n\n<${src}>\n\n` : '';
+    }
+  });
+
+  // Link embeds (./liquid-tags): "Source: [Title](url)"
+  service.addRule('linkEmbed', {
+    filter: node => node.nodeName === 'A' && /\bliquid-embed-link\b/.test(node.getAttribute('class') || ''),
+    replacement: (content, node) => {
+      const source = textOf(node, '.liquid-embed-source');
+      const title = textOf(node, '.liquid-embed-title') || node.getAttribute('href');
+      return `${source ? `${source}: ` : ''}[${title}](${node.getAttribute('href')})`;
+    }
+  });
+
+  // GitHub-flavored Markdown renders <details> as HTML
+  service.addRule('summary', {
+    filter: 'summary',
+    replacement: content => `<summary>${content.trim()}</summary>\n\n`
+  });
+  service.addRule('details', {
+    filter: 'details',
+    replacement: content => `\n\n<details>\n${content.trim()}\n\n</details>\n\n`
+  });
+
+  return service;
+}
+
+/**
+ * Markdown for article HTML (sanitized, with code blocks highlighted).
+ * Root-relative links and images are made absolute with siteUrl, so the
+ * text stands on its own outside the site.
+ */
+function htmlToMarkdown(html, siteUrl) {
+  if (!converter) converter = createConverter();
+  return converter.turndown(absolutizeUrls(html, siteUrl)).trim();
+}
+
+/**
+ * Text on one line, for headings and link texts (titles may contain newlines)
+ */
+function singleLine(text) {
+  return String(text).replace(/\s+/g, ' ').trim();
+}
+
+function yamlValue(value) {
+  if (Array.isArray(value)) return `[${value.map(yamlValue).join(', ')}]`;
+  // JSON strings and numbers are valid YAML scalars
+  return JSON.stringify(value);
+}
+
+/**
+ * YAML front matter block; empty values are left out
+ */
+function frontMatter(fields) {
+  const lines = Object.entries(fields)
+    .filter(([key, value]) => value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0))
+    .map(([key, value]) => `${key}: ${yamlValue(value)}`);
+  return `---\n${lines.join('\n')}\n---\n`;
+}
+
+/**
+ * Markdown twin of an article page: front matter, title and body.
+ *
+ * article: rendered article data (title, author, username, description,
+ *          canonicalUrl, publishedAt, updatedAt, tags, readingTime, series)
+ * body:    the article converted with htmlToMarkdown
+ */
+function articleMarkdown(article, body, { siteUrl, locale }) {
+  const fields = {
+    title: article.title,
+    description: article.description,
+    author: article.author,
+    username: article.username,
+    url: article.canonicalUrl,
+    language: locale,
+    published_at: toIso(article.publishedAt),
+    updated_at: toIso(article.updatedAt),
+    tags: article.tags.map(tag => tag.name),
+    reading_time_minutes: article.readingTime,
+    series: article.series ? article.series.title : '',
+    series_url: article.series ? `${siteUrl}${article.series.url}` : '',
+    series_part: article.series ? article.series.position : null
+  };
+  return `${frontMatter(fields)}\n# ${singleLine(article.title)}\n\n${body}\n`;
+}
+
+module.exports = {
+  articleMarkdown,
+  frontMatter,
+  htmlToMarkdown,
+  singleLine
+};
@@ -0,0 +1,226 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { hashFiles } = require('./build-manifest');
+
+const CARD_WIDTH = 1200;
+const CARD_HEIGHT = 630;
+const PADDING = 80;
+const CONTENT_WIDTH = CARD_WIDTH - PADDING * 2;
+
+// Book covers (npm run export-book): 2:3 portrait, the usual e-book size
+const COVER_WIDTH = 1600;
+const COVER_HEIGHT = 2400;
+const COVER_PADDING = 140;
+
+const BRAND_DIR = path.join(__dirname, '../../brand');
+const LOGO_FILE = path.join(BRAND_DIR, 'horizontal.png');
+const FONTS = {
+  bold: { file: path.join(BRAND_DIR, 'Typography-Barlow/Barlow-Bold.ttf'), name: 'Barlow Bold' },
+  semibold: { file: path.join(BRAND_DIR, 'Typography-Barlow/Barlow-SemiBold.ttf'), name: 'Barlow SemiBold' },
+  medium: { file: path.join(BRAND_DIR, 'Typography-Barlow/Barlow-Medium.ttf'), name: 'Barlow Medium' }
+};
+
+// Brand colors, taken from the logo
+const COLORS = {
+  background: '#ffffff',
+  text: '#333333',
+  muted: '#666666',
+  tag: '#1e9bff',
+  stripes: ['#98e34f', '#1e9bff', '#7b5ce6']
+};
+
+const brandHashes = new Map();
+
+/**
+ * Hash of the logo and fonts, so cards are redrawn when the brand assets change
+ */
+function brandAssetsHash(logoFile) {
+  const file = logoFile || LOGO_FILE;
+  if (!brandHashes.has(file)) {
+    brandHashes.set(file, hashFiles([file, ...Object.values(FONTS).map(font => font.file)]));
+  }
+  return brandHashes.get(file);
+}
+
+// Pango markup is XML: escape text before wrapping it in <span>
+function escapeMarkup(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Render a line or paragraph of text to a transparent PNG. Text taller than
+ * maxHeight is rendered again, shrunk to fit the box.
+ */
+async function renderText(text, { font, size, color, width = CONTENT_WIDTH, maxHeight }) {
+  const options = {
+    text: `<span foreground="${color}">${escapeMarkup(text)}</span>`,
+    font: `${font.name} ${size}`,
+    fontfile: font.file,
+    width,
+    rgba: true,
+    wrap: 'word'
+  };
+
+  let result = await sharp({ text: options }).png().toBuffer({ resolveWithObject: true });
+  if (maxHeight && result.info.height > maxHeight) {
+    result = await sharp({ text: { ...options, height: maxHeight } }).png().toBuffer({ resolveWithObject: true });
+  }
+  return { input: result.data, width: result.info.width, height: result.info.height };
+}
+
+/**
+ * The three logo colors as a stripe across the top of the card
+ */
+function brandStripe(width = CARD_WIDTH, height = 12) {
+  const stripeWidth = Math.ceil(width / COLORS.stripes.length);
+  const rects = COLORS.stripes
+    .map((color, i) => `<rect x="${i * stripeWidth}" y="0" width="${stripeWidth}" height="${height}" fill="${color}"/>`)
+    .join('');
+  return Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${rects}</svg>`);
+}
+
+async function renderLogo(width, file) {
+  const { data, info } = await sharp(file || LOGO_FILE).resize({ width }).png().toBuffer({ resolveWithObject: true });
+  return { input: data, width: info.width, height: info.height };
+}
+
+/**
+ * Crop an avatar into a circle; returns null if the file can't be read
+ */
+async function renderAvatar(file, size) {
+  if (!file || !fs.existsSync(file)) return null;
+  const mask = Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}"><circle cx="${size / 2}" cy="${size / 2}" r="${size / 2}"/></svg>`
+  );
+  try {
+    const input = await sharp(file)
+      .resize(size, size, { fit: 'cover' })
+      .composite([{ input: mask, blend: 'dest-in' }])
+      .png()
+      .toBuffer();
+    return { input, width: size, height: size };
+  } catch (err) {
+    return null;
+  }
+}
+
+function compose(layers, width = CARD_WIDTH, height = CARD_HEIGHT) {
+  return sharp({
+    create: { width, height, channels: 4, background: COLORS.background }
+  })
+    .composite(layers.map(({ input, left, top }) => ({ input, left: Math.round(left), top: Math.round(top) })))
+    .png()
+    .toBuffer();
+}
+
+/**
+ * Share card for one article: logo, title, tags and author.
+ *
+ * card: { title, author, avatarFile, tags: [names], siteName, logoFile }
+ * (logoFile defaults to brand/horizontal.png)
+ */
+async function renderArticleCard(card) {
+  const footerSize = 64;
+  const footerTop = CARD_HEIGHT - PADDING - footerSize;
+  const layers = [{ input: brandStripe(), left: 0, top: 0 }];
+
+  const logo = await renderLogo(220, card.logoFile);
+  layers.push({ ...logo, left: PADDING, top: 56 });
+
+  let top = 56 + logo.height + 32;
+  const tagText = card.tags.slice(0, 4).map(tag => `#${tag}`).join('   ');
+  const tags = tagText ? await renderText(tagText, { font: FONTS.medium, size: 30, color: COLORS.tag }) : null;
+  const titleMaxHeight = footerTop - 32 - top - (tags ? tags.height + 16 : 0);
+
+  const title = await renderText(card.title, { font: FONTS.bold, size: 60, color: COLORS.text, maxHeight: titleMaxHeight });
+  layers.push({ ...title, left: PADDING, top });
+  top += title.height + 16;
+
+  if (tags) layers.push({ ...tags, left: PADDING, top });
+
+  let authorLeft = PADDING;
+  const avatar = await renderAvatar(card.avatarFile, footerSize);
+  if (avatar) {
+    layers.push({ ...avatar, left: PADDING, top: footerTop });
+    authorLeft += footerSize + 20;
+  }
+
+  const site = await renderText(card.siteName, { font: FONTS.medium, size: 28, color: COLORS.muted, width: 400 });
+  const author = await renderText(card.author, {
+    font: FONTS.semibold,
+    size: 34,
+    color: COLORS.text,
+    width: CARD_WIDTH - PADDING - authorLeft - site.width - 40,
+    maxHeight: footerSize
+  });
+  layers.push({ ...author, left: authorLeft, top: footerTop + (footerSize - author.height) / 2 });
+  layers.push({ ...site, left: CARD_WIDTH - PADDING - site.width, top: footerTop + (footerSize - site.height) / 2 });
+
+  return compose(layers);
+}
+
+/**
+ * Site-wide card for listing pages: centered logo with a tagline
+ *
+ * card: { tagline, siteName, logoFile }
+ */
+async function renderDefaultCard(card) {
+  const logo = await renderLogo(560, card.logoFile);
+  const tagline = await renderText(card.tagline, { font: FONTS.semibold, size: 44, color: COLORS.text });
+  const site = await renderText(card.siteName, { font: FONTS.medium, size: 30, color: COLORS.muted });
+
+  const blockHeight = logo.height + 24 + tagline.height + 16 + site.height;
+  const top = (CARD_HEIGHT - blockHeight) / 2;
+
+  return compose([
+    { input: brandStripe(), left: 0, top: 0 },
+    { ...logo, left: (CARD_WIDTH - logo.width) / 2, top },
+    { ...tagline, left: (CARD_WIDTH - tagline.width) / 2, top: top + logo.height + 24 },
+    { ...site, left: (CARD_WIDTH - site.width) / 2, top: top + logo.height + 24 + tagline.height + 16 }
+  ]);
+}
+
+/**
+ * Front cover of an exported book: logo, title, subtitle and site name
+ *
+ * cover: { title, subtitle, siteName, logoFile }
+ */
+async function renderBookCover(cover) {
+  const width = COVER_WIDTH - COVER_PADDING * 2;
+  const logo = await renderLogo(640, cover.logoFile);
+  const site = await renderText(cover.siteName, { font: FONTS.medium, size: 48, color: COLORS.muted, width });
+  const siteTop = COVER_HEIGHT - COVER_PADDING - site.height;
+
+  let top = COVER_PADDING + 40 + logo.height + 240;
+  const subtitle = cover.subtitle
+    ? await renderText(cover.subtitle, { font: FONTS.medium, size: 56, color: COLORS.tag, width, maxHeight: 400 })
+    : null;
+  const titleMaxHeight = siteTop - 120 - top - (subtitle ? subtitle.height + 60 : 0);
+  const title = await renderText(cover.title, { font: FONTS.bold, size: 120, color: COLORS.text, width, maxHeight: titleMaxHeight });
+
+  const layers = [
+    { input: brandStripe(COVER_WIDTH, 32), left: 0, top: 0 },
+    { ...logo, left: COVER_PADDING, top: COVER_PADDING + 40 },
+    { ...title, left: COVER_PADDING, top }
+  ];
+  top += title.height + 60;
+  if (subtitle) layers.push({ ...subtitle, left: COVER_PADDING, top });
+  layers.push({ ...site, left: COVER_PADDING, top: siteTop });
+
+  return compose(layers, COVER_WIDTH, COVER_HEIGHT);
+}
+
+module.exports = {
+  CARD_WIDTH,
+  CARD_HEIGHT,
+  brandAssetsHash,
+  renderArticleCard,
+  renderBookCover,
+  renderDefaultCard
+};
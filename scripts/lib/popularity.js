@@ -0,0 +1,78 @@
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Default ranking formula:
+ *
+ *   score = (reactions × weights.reactions + comments × weights.comments
+ *            + page views × weights.pageViews) / (years since publication + 1) ^ gravity
+ *
+ * With gravity 0 articles rank by their totals, so evergreen posts keep
+ * their place; higher values let recent posts catch up with older ones.
+ */
+const DEFAULT_POPULARITY = {
+  weights: {
+    reactions: 1,
+    comments: 2,
+    pageViews: 0.01
+  },
+  gravity: 0
+};
+
+/**
+ * Merge a partial formula ({ weights: { comments: 5 } }) over the defaults
+ * and check it, so a typo fails the build instead of silently ranking by 0
+ */
+function popularityFormula(overrides = {}) {
+  const formula = {
+    weights: { ...DEFAULT_POPULARITY.weights, ...(overrides.weights || {}) },
+    gravity: overrides.gravity === undefined ? DEFAULT_POPULARITY.gravity : overrides.gravity
+  };
+
+  for (const [name, value] of Object.entries(formula.weights)) {
+    if (!(name in DEFAULT_POPULARITY.weights)) {
+      throw new Error(`Unknown popularity weight "${name}" (expected one of: ${Object.keys(DEFAULT_POPULARITY.weights).join(', ')})`);
+    }
+    if (typeof value !== 'number' || value < 0) {
+      throw new Error(`Popularity weight "${name}" must be a number of at least 0`);
+    }
+  }
+  if (typeof formula.gravity !== 'number' || formula.gravity < 0) {
+    throw new Error('Popularity gravity must be a number of at least 0');
+  }
+  return formula;
+}
+
+/**
+ * Score of one article ({ reactionCount, commentCount, pageViews, publishedAt })
+ */
+function popularityScore(article, formula, now = Date.now()) {
+  const { weights, gravity } = formula;
+  const engagement = article.reactionCount * weights.reactions +
+    article.commentCount * weights.comments +
+    article.pageViews * weights.pageViews;
+  if (gravity === 0) return engagement;
+
+  const published = new Date(article.publishedAt).getTime();
+  const years = Number.isNaN(published) ? 0 : Math.max(0, now - published) / (365 * DAY);
+  return engagement / Math.pow(years + 1, gravity);
+}
+
+/**
+ * The `limit` highest-scoring items that have any engagement at all.
+ * `score` maps an item to its score; ties go to the newer item.
+ */
+function mostPopular(items, score, limit) {
+  return items
+    .map(item => ({ item, score: score(item) }))
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score || new Date(b.item.publishedAt) - new Date(a.item.publishedAt))
+    .slice(0, limit)
+    .map(entry => entry.item);
+}
+
+module.exports = {
+  DEFAULT_POPULARITY,
+  mostPopular,
+  popularityFormula,
+  popularityScore
+};
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_POPULARITY, mostPopular, popularityFormula, popularityScore } = require('./popularity');
+
+const NOW = Date.parse('2024-01-01T00:00:00Z');
+const article = (reactionCount, commentCount, pageViews, publishedAt) => ({ reactionCount, commentCount, pageViews, publishedAt });
+
+test('overrides are merged over the default formula', () => {
+  assert.deepEqual(popularityFormula(), DEFAULT_POPULARITY);
+  assert.deepEqual(popularityFormula({ weights: { comments: 5 }, gravity: 1 }), {
+    weights: { ...DEFAULT_POPULARITY.weights, comments: 5 },
+    gravity: 1
+  });
+});
+
+test('unknown weights and negative or non-numeric values fail', () => {
+  assert.throws(() => popularityFormula({ weights: { coments: 5 } }), /^Error: Unknown popularity weight "coments" \(expected one of: reactions, comments, pageViews\)/);
+  assert.throws(() => popularityFormula({ weights: { reactions: -1 } }), /weight "reactions" must be a number of at least 0/);
+  assert.throws(() => popularityFormula({ weights: { pageViews: '0.5' } }), /weight "pageViews" must be a number/);
+  assert.throws(() => popularityFormula({ gravity: -0.5 }), /gravity must be a number of at least 0/);
+  assert.throws(() => popularityFormula({ gravity: null }), /gravity must be a number/);
+});
+
+test('without gravity an article scores its weighted engagement, whatever its age', () => {
+  const formula = popularityFormula();
+  assert.equal(popularityScore(article(10, 3, 500, '2018-01-01'), formula, NOW), 10 + 3 * 2 + 500 * 0.01);
+  assert.equal(popularityScore(article(10, 3, 500, '2023-12-31'), formula, NOW), 21);
+});
+
+test('gravity divides the score by (years since publication + 1) ^ gravity', () => {
+  const formula = popularityFormula({ gravity: 2 });
+  const published = new Date(NOW - 365 * 24 * 60 * 60 * 1000).toISOString();
+  assert.equal(popularityScore(article(20, 0, 0, published), formula, NOW), 20 / 4);
+  // Future and unparseable dates count as brand new
+  assert.equal(popularityScore(article(20, 0, 0, '2030-01-01'), formula, NOW), 20);
+  assert.equal(popularityScore(article(20, 0, 0, 'not a date'), formula, NOW), 20);
+});
+
+test('with gravity, a recent article overtakes an older one with more engagement', () => {
+  const old = article(100, 0, 0, '2014-01-01');
+  const recent = article(40, 0, 0, '2023-06-01');
+  const byScore = (formula) => mostPopular([old, recent], item => popularityScore(item, formula, NOW), 2);
+  assert.deepEqual(byScore(popularityFormula()), [old, recent]);
+  assert.deepEqual(byScore(popularityFormula({ gravity: 1 })), [recent, old]);
+});
+
+test('most popular skips articles without engagement and breaks ties by date', () => {
+  const older = article(5, 0, 0, '2022-01-01');
+  const newer = article(5, 0, 0, '2023-01-01');
+  const none = article(0, 0, 0, '2023-06-01');
+  const formula = popularityFormula();
+  assert.deepEqual(mostPopular([older, none, newer], item => popularityScore(item, formula, NOW), 5), [newer, older]);
+  assert.deepEqual(mostPopular([older, newer], item => popularityScore(item, formula, NOW), 1), [newer]);
+});
@@ -0,0 +1,104 @@
+// Forem usernames and slugs are plain path segments; anything else can't be a legacy URL
+const PATH_SEGMENT = /^[A-Za-z0-9_.-]+$/;
+
+/**
+ * Collect redirects from legacy Forem URLs to the archive's pages:
+ *   - profiles and articles under former usernames (old_username, ...)
+ *   - articles under their previous slug (old_slug)
+ *   - /<username>/comments, which Forem served for every user
+ *   - /t/<tag> for Forem tag names that don't match the archive's tag slug
+ *
+ * articles:      [{ username, slug, oldSlugs: [] }]
+ * authors:       [{ username, aliases: [] }]
+ * tags:          [{ name, slug }]
+ * reservedPaths: Set of URL paths that are real pages and must not be replaced
+ *
+ * Returns { redirects: [{ from, to, file }], conflicts } where `file` is the
+ * stub page to write, relative to the public directory. Paths claimed by
+ * two different targets are ambiguous and left out (counted in `conflicts`).
+ */
+function collectRedirects({ articles, authors, tags, reservedPaths }) {
+  const targets = new Map();
+  const ambiguous = new Set();
+
+  const add = (from, to, file) => {
+    if (from === to || reservedPaths.has(from) || ambiguous.has(from)) return;
+    const existing = targets.get(from);
+    if (existing && existing.to !== to) {
+      targets.delete(from);
+      ambiguous.add(from);
+      return;
+    }
+    targets.set(from, { from, to, file });
+  };
+
+  const aliasesByUser = new Map();
+  authors.forEach(author => {
+    const aliases = author.aliases.filter(alias => PATH_SEGMENT.test(alias));
+    aliasesByUser.set(author.username, aliases);
+
+    aliases.forEach(alias => add(`/${alias}`, `/${author.username}`, `${alias}/index.html`));
+    [author.username, ...aliases].forEach(name => {
+      add(`/${name}/comments`, `/${author.username}`, `${name}/comments.html`);
+    });
+  });
+
+  articles.forEach(article => {
+    const usernames = [article.username, ...(aliasesByUser.get(article.username) || [])];
+    const slugs = [article.slug, ...article.oldSlugs.filter(slug => PATH_SEGMENT.test(slug))];
+    const to = `/${article.username}/${article.slug}`;
+
+    usernames.forEach(username => {
+      slugs.forEach(slug => add(`/${username}/${slug}`, to, `${username}/${slug}.html`));
+    });
+  });
+
+  tags.forEach(tag => {
+    // Forem lowercases tag names and uses them as-is in /t/<tag>
+    const foremName = tag.name.toLowerCase();
+    if (PATH_SEGMENT.test(foremName)) {
+      add(`/t/${foremName}`, `/t/${tag.slug}`, `t/${foremName}/index.html`);
+    }
+  });
+
+  return { redirects: Array.from(targets.values()), conflicts: ambiguous.size };
+}
+
+// Route patterns for hosts that support placeholders; static hosts rely on the stubs.
+// Only subpaths that Forem had and the archive doesn't generate: nginx applies
+// the map before looking for files, so a broader /t/<tag>/... rule would
+// redirect the tag's feeds, pagination and "most popular" page too.
+const PATTERN_RULES = [
+  { netlify: '/t/:tag/top/*', target: '/t/:tag', nginx: '~^/t/([^/]+)/top/.+$', nginxTarget: '/t/$1' },
+  { netlify: '/t/:tag/latest', target: '/t/:tag', nginx: '~^/t/([^/]+)/latest/?$', nginxTarget: '/t/$1' },
+  { netlify: '/:username/:slug/comments', target: '/:username/:slug#comments', nginx: '~^/([^/]+)/([^/]+)/comments/?$', nginxTarget: '/$1/$2#comments' }
+];
+
+/**
+ * Netlify / Cloudflare Pages `_redirects` file
+ */
+function renderRedirectsFile(redirects) {
+  const lines = ['# Legacy Forem URLs (generated by scripts/build.js)'];
+  redirects.forEach(({ from, to }) => lines.push(`${from} ${to} 301`));
+  PATTERN_RULES.forEach(rule => lines.push(`${rule.netlify} ${rule.target} 301`));
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Entries for an nginx `map`, e.g.:
+ *   map $uri $legacy_redirect { include /etc/nginx/redirects.map; }
+ *   if ($legacy_redirect) { return 301 $legacy_redirect; }
+ */
+function renderNginxMap(redirects) {
+  const lines = ['# Legacy Forem URLs (generated by scripts/build.js)'];
+  // Quoted, since `#` would otherwise start a comment
+  redirects.forEach(({ from, to }) => lines.push(`"${from}" "${to}";`));
+  PATTERN_RULES.forEach(rule => lines.push(`"${rule.nginx}" "${rule.nginxTarget}";`));
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  collectRedirects,
+  renderRedirectsFile,
+  renderNginxMap
+};
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { collectRedirects, renderRedirectsFile, renderNginxMap } = require('./redirects');
+
+const AUTHORS = [
+  { username: 'ana', aliases: ['ana_old', 'not a path'] },
+  { username: 'bruno', aliases: [] }
+];
+const ARTICLES = [
+  { username: 'ana', slug: 'hello-1a2b', oldSlugs: ['hello-old', 'bad/slug'] },
+  { username: 'bruno', slug: 'intro-3c4d', oldSlugs: [] }
+];
+const TAGS = [
+  { name: 'Smart Contracts', slug: 'smart-contracts' },
+  { name: 'DeFi', slug: 'defi' },
+  { name: 'c++', slug: 'c' },
+  { name: 'Web3.js', slug: 'web3-js' }
+];
+
+function collect(options = {}) {
+  return collectRedirects({
+    articles: ARTICLES,
+    authors: AUTHORS,
+    tags: TAGS,
+    reservedPaths: new Set(['/', '/ana', '/ana/hello-1a2b', '/bruno', '/bruno/intro-3c4d']),
+    ...options
+  });
+}
+
+// nginx map regexes ("~^...$") as JavaScript ones
+function nginxRules(map) {
+  return Array.from(map.matchAll(/^"~(.+)" "(.+)";$/gm), ([, pattern, target]) => ({ pattern: new RegExp(pattern), target }));
+}
+
+function nginxRedirect(map, uri) {
+  const rule = nginxRules(map).find(candidate => candidate.pattern.test(uri));
+  return rule ? uri.replace(rule.pattern, rule.target) : null;
+}
+
+test('former usernames, old slugs, comments pages and Forem tag names redirect', () => {
+  const { redirects, conflicts } = collect();
+  assert.equal(conflicts, 0);
+  assert.deepEqual(redirects.map(({ from, to }) => `${from} -> ${to}`).sort(), [
+    '/ana/comments -> /ana',
+    '/ana/hello-old -> /ana/hello-1a2b',
+    '/ana_old -> /ana',
+    '/ana_old/comments -> /ana',
+    '/ana_old/hello-1a2b -> /ana/hello-1a2b',
+    '/ana_old/hello-old -> /ana/hello-1a2b',
+    '/bruno/comments -> /bruno',
+    '/t/web3.js -> /t/web3-js'
+  ]);
+
+  const alias = redirects.find(redirect => redirect.from === '/ana_old');
+  assert.equal(alias.file, 'ana_old/index.html');
+  assert.equal(redirects.find(redirect => redirect.from === '/ana/hello-old').file, 'ana/hello-old.html');
+});
+
+test('reserved paths are never replaced by a redirect', () => {
+  const { redirects } = collect({
+    reservedPaths: new Set(['/ana/comments', '/ana_old'])
+  });
+  const froms = redirects.map(redirect => redirect.from);
+  assert.ok(!froms.includes('/ana/comments'));
+  assert.ok(!froms.includes('/ana_old'));
+  assert.ok(froms.includes('/ana_old/comments'));
+});
+
+test('a path claimed by two targets is left out as ambiguous', () => {
+  const { redirects, conflicts } = collect({
+    authors: [{ username: 'ana', aliases: ['shared'] }, { username: 'bruno', aliases: ['shared'] }]
+  });
+  assert.equal(conflicts, 2);
+  assert.ok(!redirects.some(redirect => redirect.from === '/shared' || redirect.from === '/shared/comments'));
+});
+
+test('the _redirects file lists every redirect and the pattern rules', () => {
+  const file = renderRedirectsFile([{ from: '/ana_old', to: '/ana' }]);
+  const lines = file.trim().split('\n');
+  assert.match(lines[0], /^# /);
+  assert.ok(lines.includes('/ana_old /ana 301'));
+  assert.ok(lines.includes('/t/:tag/top/* /t/:tag 301'));
+  assert.ok(lines.includes('/t/:tag/latest /t/:tag 301'));
+  assert.ok(!lines.includes('/t/:tag/* /t/:tag 301'));
+  lines.slice(1).forEach(line => assert.match(line, /^\S+ \S+ 301$/));
+});
+
+test('the nginx map quotes paths and only redirects Forem-only tag subpaths', () => {
+  const map = renderNginxMap([{ from: '/ana_old', to: '/ana' }, { from: '/x/y', to: '/a/b#comments' }]);
+  assert.ok(map.includes('"/ana_old" "/ana";'));
+  assert.ok(map.includes('"/x/y" "/a/b#comments";'));
+
+  assert.equal(nginxRedirect(map, '/t/defi/top/week'), '/t/defi');
+  assert.equal(nginxRedirect(map, '/t/defi/latest'), '/t/defi');
+  assert.equal(nginxRedirect(map, '/ana/hello-1a2b/comments'), '/ana/hello-1a2b#comments');
+
+  // Pages the archive generates under /t/<tag>
+  for (const uri of ['/t/defi/', '/t/defi/page/2', '/t/defi/feed.xml', '/t/defi/atom.xml', '/t/defi/feed.json', '/t/defi/mais-populares/']) {
+    assert.equal(nginxRedirect(map, uri), null, uri);
+  }
+});
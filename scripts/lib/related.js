@@ -0,0 +1,118 @@
+const { tokenize } = require('./search-analyzer');
+
+// How much each signal adds to the score of a candidate (all range 0..1)
+const WEIGHTS = {
+  tags: 0.45,
+  text: 0.4,
+  author: 0.15
+};
+
+// Only the most distinctive terms of each article are compared
+const MAX_TERMS_PER_DOCUMENT = 40;
+// Terms in more than this share of the articles say nothing about a topic
+const MAX_DOCUMENT_FREQUENCY = 0.5;
+// Candidates below this score are left out rather than padding the list
+const MIN_SCORE = 0.1;
+
+/**
+ * TF-IDF vector of each document's most distinctive terms, normalized to
+ * unit length so a dot product is the cosine similarity
+ */
+function termVectors(documents) {
+  const counts = documents.map(doc => {
+    const terms = new Map();
+    tokenize(doc.text).forEach(term => terms.set(term, (terms.get(term) || 0) + 1));
+    return terms;
+  });
+
+  const documentFrequency = new Map();
+  counts.forEach(terms => {
+    for (const term of terms.keys()) documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+  });
+
+  const maxFrequency = Math.max(2, documents.length * MAX_DOCUMENT_FREQUENCY);
+  return counts.map(terms => {
+    const weights = [];
+    for (const [term, count] of terms) {
+      const df = documentFrequency.get(term);
+      // Terms of a single article can't link it to another one
+      if (df < 2 || df > maxFrequency) continue;
+      weights.push([term, (1 + Math.log(count)) * Math.log(documents.length / df)]);
+    }
+    weights.sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1));
+    const top = weights.slice(0, MAX_TERMS_PER_DOCUMENT);
+    const norm = Math.sqrt(top.reduce((sum, [, weight]) => sum + weight * weight, 0)) || 1;
+    return new Map(top.map(([term, weight]) => [term, weight / norm]));
+  });
+}
+
+/**
+ * Rank related articles for every document by tag overlap (Jaccard), text
+ * similarity (TF-IDF cosine) and a shared author. Documents are
+ * { key, username, tags, text, publishedAt, series }; articles of the same
+ * series are skipped, since the series navigation already links them.
+ *
+ * Only pairs sharing a tag, an author or a distinctive term are scored, so
+ * the cost grows with those overlaps rather than with every pair.
+ *
+ * Returns Map(key -> [key]) with up to `limit` keys, best match first.
+ */
+function findRelatedArticles(documents, { limit = 3 } = {}) {
+  const vectors = termVectors(documents);
+  const tagSets = documents.map(doc => new Set(doc.tags.map(tag => tag.toLowerCase())));
+
+  // Postings: which documents have each tag, author and term
+  const postings = new Map();
+  const post = (name, index, weight) => {
+    if (!postings.has(name)) postings.set(name, []);
+    postings.get(name).push([index, weight]);
+  };
+  documents.forEach((doc, i) => {
+    tagSets[i].forEach(tag => post(`tag:${tag}`, i, 1));
+    if (doc.username) post(`author:${doc.username}`, i, 1);
+    vectors[i].forEach((weight, term) => post(`term:${term}`, i, weight));
+  });
+
+  const related = new Map();
+  documents.forEach((doc, i) => {
+    const sharedTags = new Map();
+    const dotProducts = new Map();
+    const sameAuthor = new Set();
+
+    tagSets[i].forEach(tag => postings.get(`tag:${tag}`).forEach(([j]) => {
+      sharedTags.set(j, (sharedTags.get(j) || 0) + 1);
+    }));
+    vectors[i].forEach((weight, term) => postings.get(`term:${term}`).forEach(([j, otherWeight]) => {
+      dotProducts.set(j, (dotProducts.get(j) || 0) + weight * otherWeight);
+    }));
+    if (doc.username) postings.get(`author:${doc.username}`).forEach(([j]) => sameAuthor.add(j));
+
+    const candidates = new Set([...sharedTags.keys(), ...dotProducts.keys(), ...sameAuthor]);
+    const scored = [];
+    for (const j of candidates) {
+      const other = documents[j];
+      if (j === i || (doc.series && other.series === doc.series && other.username === doc.username)) continue;
+
+      const shared = sharedTags.get(j) || 0;
+      const tagScore = shared ? shared / (tagSets[i].size + tagSets[j].size - shared) : 0;
+      const score = WEIGHTS.tags * tagScore +
+        WEIGHTS.text * Math.min(1, dotProducts.get(j) || 0) +
+        WEIGHTS.author * (sameAuthor.has(j) ? 1 : 0);
+      if (score >= MIN_SCORE) scored.push({ j, score });
+    }
+
+    // Ties go to the newer article, then to the key so builds are stable
+    scored.sort((a, b) =>
+      b.score - a.score ||
+      new Date(documents[b.j].publishedAt) - new Date(documents[a.j].publishedAt) ||
+      (documents[a.j].key < documents[b.j].key ? -1 : 1)
+    );
+    related.set(doc.key, scored.slice(0, limit).map(({ j }) => documents[j].key));
+  });
+
+  return related;
+}
+
+module.exports = {
+  findRelatedArticles
+};
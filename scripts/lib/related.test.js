@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findRelatedArticles } = require('./related');
+
+const doc = (key, username, tags, text, publishedAt, series = null) => ({ key, username, tags, text, publishedAt, series });
+
+const DOCUMENTS = [
+  doc('ana/parte-1', 'ana', ['solidity', 'defi'], 'contratos inteligentes solidity tokens liquidez', '2022-01-01', '1'),
+  doc('ana/parte-2', 'ana', ['solidity', 'defi'], 'contratos inteligentes solidity tokens liquidez', '2022-02-01', '1'),
+  // Forem collection ids are per author: same id, another series
+  doc('bruno/pools', 'bruno', ['Solidity', 'DeFi'], 'contratos inteligentes liquidez pools', '2022-03-01', '1'),
+  doc('bruno/tokens', 'bruno', ['solidity'], 'tokens solidity padrões', '2022-04-01'),
+  doc('carla/arte', 'carla', ['nft'], 'arte digital colecionáveis', '2022-05-01'),
+  doc('carla/museu', 'carla', ['nft'], 'museu arte digital', '2022-06-01')
+];
+
+test('parts of the same series are never related to each other', () => {
+  const related = findRelatedArticles(DOCUMENTS);
+  assert.deepEqual(related.get('ana/parte-1'), ['bruno/pools', 'bruno/tokens']);
+  assert.deepEqual(related.get('ana/parte-2'), ['bruno/pools', 'bruno/tokens']);
+});
+
+test('shared tags (in any case), terms and author rank candidates; ties go to the newer article', () => {
+  const related = findRelatedArticles(DOCUMENTS);
+  assert.deepEqual(related.get('bruno/pools'), ['ana/parte-2', 'ana/parte-1', 'bruno/tokens']);
+});
+
+test('unrelated articles are left out rather than padding the list', () => {
+  const related = findRelatedArticles(DOCUMENTS);
+  assert.deepEqual(related.get('carla/arte'), ['carla/museu']);
+  assert.ok(!related.get('ana/parte-1').some(key => key.startsWith('carla/')));
+});
+
+test('at most `limit` articles are returned', () => {
+  assert.deepEqual(findRelatedArticles(DOCUMENTS, { limit: 1 }).get('ana/parte-1'), ['bruno/pools']);
+});
@@ -0,0 +1,96 @@
+/**
+ * Text analysis shared by the build-time search indexer and the browser client.
+ *
+ * The build copies this file to /assets/js/search-analyzer.js, so it must stay
+ * dependency-free and run unchanged in both Node and the browser.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SearchAnalyzer = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const COMBINING_MARKS = /[\u0300-\u036f]/g;
+
+  // Common Portuguese and English words that carry no search value
+  const STOPWORDS = new Set([
+    'a', 'ao', 'aos', 'as', 'com', 'como', 'da', 'das', 'de', 'do', 'dos', 'e', 'ela', 'ele',
+    'em', 'entre', 'essa', 'esse', 'esta', 'este', 'eu', 'foi', 'ha', 'isso', 'isto', 'ja',
+    'mais', 'mas', 'na', 'nas', 'nao', 'no', 'nos', 'o', 'os', 'ou', 'para', 'pela', 'pelo',
+    'por', 'qual', 'que', 'se', 'sem', 'ser', 'seu', 'sua', 'sao', 'tem', 'um', 'uma', 'voce',
+    'an', 'and', 'are', 'be', 'by', 'for', 'from', 'in', 'is', 'it', 'of', 'on', 'or', 'that',
+    'the', 'this', 'to', 'with'
+  ]);
+
+  // Light plural/adverb stripping, applied once, longest suffix first.
+  // "transações" -> "transacoes" -> "transacao", "contratos" -> "contrato"
+  const SUFFIXES = [
+    ['mente', '', 7],
+    ['coes', 'cao', 5],
+    ['soes', 'sao', 5],
+    ['oes', 'ao', 4],
+    ['aes', 'ao', 4],
+    ['ais', 'al', 4],
+    ['eis', 'el', 4],
+    ['ois', 'ol', 4],
+    ['res', 'r', 5],
+    ['zes', 'z', 5],
+    ['ns', 'm', 4]
+  ];
+
+  /**
+   * Lowercase and strip accents one character at a time, so offsets in the
+   * folded string line up with the original (used to place snippets).
+   */
+  function foldText(text) {
+    let folded = '';
+    for (const char of String(text)) {
+      const base = char.normalize('NFD').replace(COMBINING_MARKS, '').toLowerCase();
+      folded += base.length === char.length ? base : char.toLowerCase().slice(0, char.length);
+    }
+    return folded;
+  }
+
+  /**
+   * Reduce a folded word to its search stem
+   */
+  function stem(word) {
+    for (const [suffix, replacement, minLength] of SUFFIXES) {
+      if (word.length >= minLength && word.endsWith(suffix)) {
+        return word.slice(0, -suffix.length) + replacement;
+      }
+    }
+    if (word.length > 3 && word.endsWith('s') && !/(ss|us|is)$/.test(word)) {
+      return word.slice(0, -1);
+    }
+    return word;
+  }
+
+  /**
+   * Split text into folded words, with their offsets in the original text
+   */
+  function words(text) {
+    const folded = foldText(text);
+    const pattern = /[a-z0-9]+/g;
+    const result = [];
+    let match;
+    while ((match = pattern.exec(folded)) !== null) {
+      result.push({ word: match[0], start: match.index, end: match.index + match[0].length });
+    }
+    return result;
+  }
+
+  /**
+   * Turn text into the list of stems used as index terms
+   */
+  function tokenize(text) {
+    return words(text)
+      .map(w => w.word)
+      .filter(word => !STOPWORDS.has(word))
+      .map(stem)
+      .filter(term => term.length > 1 || /\d/.test(term));
+  }
+
+  return { foldText, stem, words, tokenize, STOPWORDS };
+});
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+const { tokenize } = require('./search-analyzer');
+
+// Field weights: a title hit must outrank any amount of body hits
+const FIELD_WEIGHTS = {
+  title: 10,
+  tags: 5,
+  author: 3,
+  description: 2,
+  body: 1
+};
+
+// Terms are sharded by their first characters, body text by document number
+const TERM_PREFIX_LENGTH = 2;
+const TEXT_SHARD_SIZE = 50;
+const MAX_TEXT_LENGTH = 20000;
+
+/**
+ * Strip tags and decode the entities sanitize-html leaves in text
+ */
+function htmlToText(html) {
+  return html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#0*39;|&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Score every term of one document across its weighted fields
+ */
+function scoreDocument(doc) {
+  const fields = {
+    title: doc.title,
+    tags: doc.tags.join(' '),
+    author: `${doc.author} ${doc.username}`,
+    description: doc.description,
+    body: doc.text
+  };
+  const scores = new Map();
+
+  for (const [field, value] of Object.entries(fields)) {
+    const counts = new Map();
+    tokenize(value || '').forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+
+    for (const [term, count] of counts) {
+      // Dampen repeated terms so long bodies don't drown out a title hit
+      const score = FIELD_WEIGHTS[field] * (1 + Math.log(count));
+      scores.set(term, (scores.get(term) || 0) + score);
+    }
+  }
+
+  return scores;
+}
+
+/**
+ * Write the sharded search index to outputDir:
+ *   meta.json          - index layout and document count
+ *   docs.json          - result metadata, one entry per document
+ *   terms/<prefix>.json - { term: [docId, score, docId, score, ...] }
+ *   text/<n>.json      - plain body text used for result snippets
+ */
+function writeSearchIndex(docs, outputDir) {
+  fs.rmSync(outputDir, { recursive: true, force: true });
+  fs.mkdirSync(path.join(outputDir, 'terms'), { recursive: true });
+  fs.mkdirSync(path.join(outputDir, 'text'), { recursive: true });
+
+  const shards = {};
+  docs.forEach((doc, docId) => {
+    for (const [term, score] of scoreDocument(doc)) {
+      const prefix = term.slice(0, TERM_PREFIX_LENGTH);
+      if (!shards[prefix]) shards[prefix] = {};
+      if (!shards[prefix][term]) shards[prefix][term] = [];
+      shards[prefix][term].push(docId, Math.round(score * 100) / 100);
+    }
+  });
+
+  for (const [prefix, terms] of Object.entries(shards)) {
+    fs.writeFileSync(path.join(outputDir, 'terms', `${prefix}.json`), JSON.stringify(terms));
+  }
+
+  for (let start = 0; start < docs.length; start += TEXT_SHARD_SIZE) {
+    const texts = docs.slice(start, start + TEXT_SHARD_SIZE).map(doc => doc.text.slice(0, MAX_TEXT_LENGTH));
+    fs.writeFileSync(path.join(outputDir, 'text', `${start / TEXT_SHARD_SIZE}.json`), JSON.stringify(texts));
+  }
+
+  const docList = docs.map(doc => ({
+    t: doc.title,
+    u: doc.url,
+    a: doc.author,
+    d: doc.publishedAt,
+    f: doc.publishedDate,
+    g: doc.tags,
+    s: doc.description
+  }));
+  fs.writeFileSync(path.join(outputDir, 'docs.json'), JSON.stringify(docList));
+
+  const meta = {
+    version: 1,
+    docCount: docs.length,
+    termPrefixLength: TERM_PREFIX_LENGTH,
+    textShardSize: TEXT_SHARD_SIZE,
+    shards: Object.keys(shards).sort()
+  };
+  fs.writeFileSync(path.join(outputDir, 'meta.json'), JSON.stringify(meta));
+
+  return { docCount: docs.length, shardCount: meta.shards.length };
+}
+
+module.exports = {
+  htmlToText,
+  writeSearchIndex
+};
@@ -0,0 +1,82 @@
+// A series needs at least this many published parts to get a page
+const MIN_SERIES_PARTS = 2;
+
+// Part markers at the end of a title: "— Parte 2", "(Parte 2 de 3)", "Part 2/3", "#2"
+const TRAILING_PART = /\s*[-–—:|,]?\s*[([]?\s*(?:parte|part|pt\.?|cap[ií]tulo|chapter|epis[oó]dio|episode|ep\.?)\s*#?\d+(?:\s*(?:\/|de|of)\s*\d+)?\s*[)\]]?\s*$|\s*[-–—:|]?\s*#\d+\s*$/i;
+// ...and at the start: "Parte 2: ", "(Part 2) "
+const LEADING_PART = /^\s*[([]?\s*(?:parte|part|pt\.?|cap[ií]tulo|chapter)\s*#?\d+(?:\s*(?:\/|de|of)\s*\d+)?\s*[)\]]?\s*[-–—:|.]?\s*/i;
+
+function slugify(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * A title without its part marker ("Como usar DeFi — Parte 2" -> "Como usar DeFi"),
+ * or '' when it has none
+ */
+function stripPartMarker(title) {
+  const stripped = title.replace(TRAILING_PART, '').replace(LEADING_PART, '').trim();
+  return stripped !== title.trim() ? stripped : '';
+}
+
+/**
+ * Name for a series without one: the first part's title without its part
+ * marker, else the words all part titles start with, else the first title
+ */
+function deriveSeriesTitle(titles) {
+  const stripped = stripPartMarker(titles[0]);
+  if (stripped) return stripped;
+
+  const words = titles.map(title => title.split(/\s+/));
+  const common = [];
+  for (let i = 0; words.every(list => i < list.length - 1 && list[i] === words[0][i]); i++) {
+    common.push(words[0][i]);
+  }
+  const prefix = common.join(' ').replace(/[\s\-–—:|,]+$/, '');
+  return prefix.length >= 10 ? prefix : titles[0];
+}
+
+/**
+ * Group published articles into series. Forem collections belong to one
+ * author, so a series is keyed by username and series id, and its parts are
+ * ordered by publication date like on Forem.
+ *
+ * Returns [{ key, username, slug, title, articles }] where `key` is
+ * "username/series" and the page lives at /username/series/slug.
+ */
+function groupSeries(articles) {
+  const groups = new Map();
+  articles.forEach(article => {
+    if (!article.series || !article.username) return;
+    const key = `${article.username}/${article.series}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(article);
+  });
+
+  const series = [];
+  for (const [key, parts] of groups) {
+    if (parts.length < MIN_SERIES_PARTS) continue;
+    parts.sort((a, b) => new Date(a.publishedAt) - new Date(b.publishedAt));
+
+    const first = parts[0];
+    const named = parts.find(part => part.seriesTitle);
+    series.push({
+      key,
+      username: first.username,
+      slug: slugify(first.series) || 'series',
+      title: named ? named.seriesTitle : deriveSeriesTitle(parts.map(part => part.title || 'Untitled')),
+      articles: parts
+    });
+  }
+  return series;
+}
+
+module.exports = {
+  deriveSeriesTitle,
+  groupSeries
+};
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { deriveSeriesTitle, groupSeries } = require('./series');
+
+test('part markers are stripped from the end or the start of the first title', () => {
+  const cases = {
+    'Como usar DeFi — Parte 2': 'Como usar DeFi',
+    'Guia Solidity (Parte 1 de 3)': 'Guia Solidity',
+    'Smart contracts Part 2/3': 'Smart contracts',
+    'Tutorial Hardhat #3': 'Tutorial Hardhat',
+    'Web3 Episódio 2': 'Web3',
+    'Parte 1: Introdução ao Ethereum': 'Introdução ao Ethereum',
+    '(Part 2) Wallets': 'Wallets',
+    'Capítulo 4 - Tokens': 'Tokens'
+  };
+  for (const [title, expected] of Object.entries(cases)) {
+    assert.equal(deriveSeriesTitle([title, 'Outro título']), expected, title);
+  }
+});
+
+test('numbers that aren\'t part markers stay in the title', () => {
+  assert.equal(deriveSeriesTitle(['Top 10 ferramentas', 'Outro título']), 'Top 10 ferramentas');
+});
+
+test('without a marker, the words all titles start with name the series', () => {
+  assert.equal(
+    deriveSeriesTitle(['Aprendendo Solidity do zero: variáveis', 'Aprendendo Solidity do zero: funções']),
+    'Aprendendo Solidity do zero'
+  );
+  // A prefix this short isn't a name, so the first title is used
+  assert.equal(deriveSeriesTitle(['Solidity: tipos', 'Solidity: funções']), 'Solidity: tipos');
+});
+
+test('series are grouped per author, ordered by date and need two parts', () => {
+  const article = (username, series, title, publishedAt, seriesTitle) => ({ username, series, title, publishedAt, seriesTitle });
+  const series = groupSeries([
+    article('ana', 'DeFi 101', 'DeFi — Parte 2', '2022-02-01'),
+    article('ana', 'DeFi 101', 'DeFi — Parte 1', '2022-01-01'),
+    article('bruno', 'DeFi 101', 'Sozinho', '2022-01-01'),
+    article('bruno', '7', 'Um', '2022-01-01', 'Série do Bruno'),
+    article('bruno', '7', 'Dois', '2022-01-02'),
+    article('ana', null, 'Avulso', '2022-01-01')
+  ]);
+
+  assert.deepEqual(series.map(({ key, slug, title }) => ({ key, slug, title })), [
+    { key: 'ana/DeFi 101', slug: 'defi-101', title: 'DeFi' },
+    { key: 'bruno/7', slug: '7', title: 'Série do Bruno' }
+  ]);
+  assert.deepEqual(series[0].articles.map(part => part.title), ['DeFi — Parte 1', 'DeFi — Parte 2']);
+});
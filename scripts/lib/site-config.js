@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+
+const LOCALES_DIR = path.join(__dirname, '../../locales');
+// Strings missing from a bundle fall back to this one
+const FALLBACK_LOCALE = 'en';
+const DEFAULT_SITE = 'sites/pt.json';
+
+const ANALYTICS_PROVIDERS = ['none', 'google', 'plausible'];
+
+/**
+ * Config file given as `--site <file>` or `--site=<file>`, else sites/pt.json
+ */
+function siteArgument(argv) {
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--site') {
+      if (!argv[i + 1]) throw new Error('--site needs a config file');
+      return argv[i + 1];
+    }
+    if (argv[i].startsWith('--site=')) return argv[i].slice('--site='.length);
+  }
+  return DEFAULT_SITE;
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Could not read ${file}: ${error.message}`);
+  }
+}
+
+function mergeStrings(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    const nested = value && typeof value === 'object' && !isPlural(value);
+    merged[key] = nested ? mergeStrings(base[key] || {}, value) : value;
+  }
+  return merged;
+}
+
+function isPlural(value) {
+  return typeof value === 'object' && 'other' in value;
+}
+
+/**
+ * Bundle files of a locale, most general first: "pt-BR" -> en, pt, pt-BR
+ */
+function localeFiles(locale) {
+  const names = [FALLBACK_LOCALE, locale.split('-')[0], locale];
+  return [...new Set(names)]
+    .map(name => path.join(LOCALES_DIR, `${name}.json`))
+    .filter(file => fs.existsSync(file));
+}
+
+/**
+ * UI strings of a locale: its bundle over its language's bundle over English
+ */
+function loadStrings(locale) {
+  return localeFiles(locale).reduce((strings, file) => mergeStrings(strings, readJson(file)), {});
+}
+
+/**
+ * t(key, params) for a bundle. Keys are dotted ("article.readingTime"),
+ * {name} is replaced by params.name, and { one, other } entries pick a
+ * form by params.count. A missing key throws, so a typo fails the build.
+ */
+function createTranslator(locale, strings) {
+  const plurals = new Intl.PluralRules(locale);
+
+  return function t(key, params = {}) {
+    let value = key.split('.').reduce((node, part) => node && typeof node === 'object' ? node[part] : undefined, strings);
+    if (value && isPlural(value)) {
+      value = value[plurals.select(Number(params.count) || 0)] || value.other;
+    }
+    if (typeof value !== 'string') {
+      throw new Error(`Missing UI string "${key}" for locale ${locale}`);
+    }
+    return value.replace(/\{(\w+)\}/g, (match, name) => params[name] === undefined ? match : String(params[name]));
+  };
+}
+
+/**
+ * Normalize the analytics block to one entry per provider, so templates can
+ * test {{#if site.analytics.google}}
+ */
+function analyticsConfig(analytics = {}) {
+  const provider = analytics.provider || 'none';
+  if (!ANALYTICS_PROVIDERS.includes(provider)) {
+    throw new Error(`Unknown analytics provider "${provider}" (expected one of: ${ANALYTICS_PROVIDERS.join(', ')})`);
+  }
+  if (provider === 'google' && !analytics.measurementId) {
+    throw new Error('Google Analytics needs a "measurementId"');
+  }
+  if (provider === 'plausible' && !analytics.domain) {
+    throw new Error('Plausible needs a "domain"');
+  }
+
+  return {
+    google: provider === 'google' ? { measurementId: analytics.measurementId } : null,
+    plausible: provider === 'plausible'
+      ? { domain: analytics.domain, scriptUrl: analytics.scriptUrl || 'https://plausible.io/js/script.js' }
+      : null
+  };
+}
+
+/**
+ * Load a site config. One config describes one archive:
+ *
+ *   {
+ *     "url": "https://pt.w3d.community",      base URL, no trailing slash
+ *     "locale": "pt-BR",                      UI strings (locales/), dates and feeds
+ *     "name": "WEB3DEV",                      short name (titles, og:site_name)
+ *     "title": "...", "tagline": "...",       homepage and feed title, share card tagline
+ *     "description": "...",                   homepage and feed description
+ *     "branding": { "logo", "symbol", "favicon", "cardLogo", "assetsDir" },
+ *     "analytics": { "provider": "google" | "plausible" | "none", ... },
+ *     "footerLinks": [{ "label", "url", "icon" }],
+ *     "paths": { "archive", "search", "popular" },   overrides the locale's paths
+ *     "outputDir": "public",
+ *     "cacheDir": ".cache",                   build state kept between builds, not deployed
+ *     "sources": [...],                       see ./sources
+ *     "imageManifest": "data/image-manifest.json",   written by migrate-images
+ *     "popularity": {...}                     see ./popularity
+ *   }
+ *
+ * Files (outputDir, cacheDir, cardLogo, assetsDir, imageManifest, source paths) are
+ * relative to rootDir. Returns the config with absolute paths, defaults
+ * filled in and `strings` / `t` for its locale.
+ */
+function loadSiteConfig(file, { rootDir }) {
+  const configFile = path.resolve(rootDir, file);
+  if (!fs.existsSync(configFile)) {
+    throw new Error(`Site config ${configFile} not found`);
+  }
+  const config = readJson(configFile);
+
+  for (const field of ['url', 'locale', 'name']) {
+    if (!config[field]) throw new Error(`${file}: "${field}" is required`);
+  }
+  if (!/^https?:\/\/[^/]+/.test(config.url)) {
+    throw new Error(`${file}: "url" must be an http(s) URL`);
+  }
+  if (!Array.isArray(config.sources) || config.sources.length === 0) {
+    throw new Error(`${file}: "sources" must list at least one content source`);
+  }
+
+  const language = config.locale.split('-')[0];
+  if (language !== FALLBACK_LOCALE && localeFiles(config.locale).length < 2) {
+    throw new Error(`${file}: no UI strings for locale ${config.locale} in ${LOCALES_DIR}`);
+  }
+  const strings = loadStrings(config.locale);
+  const branding = config.branding || {};
+
+  return {
+    file: configFile,
+    url: config.url.replace(/\/+$/, ''),
+    locale: config.locale,
+    name: config.name,
+    title: config.title || config.name,
+    tagline: config.tagline || '',
+    description: config.description || '',
+    branding: {
+      logo: branding.logo || '/logo.png',
+      symbol: branding.symbol || '',
+      favicon: branding.favicon || '/favicon.svg',
+      cardLogo: branding.cardLogo ? path.resolve(rootDir, branding.cardLogo) : '',
+      assetsDir: branding.assetsDir ? path.resolve(rootDir, branding.assetsDir) : ''
+    },
+    analytics: analyticsConfig(config.analytics),
+    footerLinks: config.footerLinks || [],
+    paths: { ...strings.paths, ...(config.paths || {}) },
+    outputDir: path.resolve(rootDir, config.outputDir || 'public'),
+    cacheDir: path.resolve(rootDir, config.cacheDir || '.cache'),
+    sources: config.sources,
+    imageManifest: path.resolve(rootDir, config.imageManifest || 'data/image-manifest.json'),
+    popularity: config.popularity || {},
+    // Bundles the strings came from, so a change to them rebuilds the pages
+    localeFiles: localeFiles(config.locale),
+    strings,
+    t: createTranslator(config.locale, strings)
+  };
+}
+
+module.exports = {
+  createTranslator,
+  loadSiteConfig,
+  loadStrings,
+  siteArgument
+};
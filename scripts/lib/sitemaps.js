@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const { escapeXml, toIso } = require('./feeds');
+
+// Limits of one sitemap file (sitemaps.org protocol)
+const MAX_URLS = 50000;
+const MAX_BYTES = 50 * 1024 * 1024;
+// Google reads at most this many images per URL
+const MAX_IMAGES_PER_URL = 1000;
+
+const URLSET_OPEN = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+  '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" ' +
+  'xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">\n';
+const URLSET_CLOSE = '</urlset>\n';
+
+/**
+ * Absolute URL of a page or image path ("/a/b" -> "https://site/a/b");
+ * absolute URLs are returned as they are
+ */
+function absoluteUrl(urlPath, siteUrl) {
+  if (/^https?:\/\//i.test(urlPath)) return urlPath;
+  return urlPath === '/' || urlPath === '' ? siteUrl : `${siteUrl}${urlPath}`;
+}
+
+/**
+ * src of every <img> in HTML, in document order and without duplicates
+ */
+function findImageSources(html) {
+  const sources = new Set();
+  for (const match of (html || '').matchAll(/<img\b[^>]*\bsrc="([^"]+)"/gi)) {
+    sources.add(match[1].replace(/&amp;/g, '&'));
+  }
+  return Array.from(sources);
+}
+
+function renderEntry(entry) {
+  let xml = '  <url>\n';
+  xml += `    <loc>${escapeXml(entry.loc)}</loc>\n`;
+  const lastmod = toIso(entry.lastmod);
+  if (lastmod) xml += `    <lastmod>${lastmod}</lastmod>\n`;
+  if (entry.changefreq) xml += `    <changefreq>${entry.changefreq}</changefreq>\n`;
+  if (entry.priority !== undefined) xml += `    <priority>${entry.priority.toFixed(1)}</priority>\n`;
+  (entry.images || []).slice(0, MAX_IMAGES_PER_URL).forEach(image => {
+    xml += `    <image:image>\n      <image:loc>${escapeXml(image)}</image:loc>\n    </image:image>\n`;
+  });
+  xml += '  </url>\n';
+  return xml;
+}
+
+/**
+ * Split rendered entries into files of at most maxUrls entries and maxBytes
+ */
+function splitEntries(renderedEntries, { maxUrls, maxBytes }) {
+  const frameBytes = Buffer.byteLength(URLSET_OPEN + URLSET_CLOSE);
+  const chunks = [];
+  let current = [];
+  let bytes = frameBytes;
+
+  renderedEntries.forEach(xml => {
+    const size = Buffer.byteLength(xml);
+    if (current.length > 0 && (current.length >= maxUrls || bytes + size > maxBytes)) {
+      chunks.push(current);
+      current = [];
+      bytes = frameBytes;
+    }
+    current.push(xml);
+    bytes += size;
+  });
+  if (current.length > 0) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Write one sitemap per group plus sitemap-index.xml listing them all.
+ *
+ * groups:  [{ name, entries: [{ loc, lastmod, changefreq, priority, images }] }]
+ *          where loc and images are paths or absolute URLs and lastmod is any
+ *          date feeds.parseTimestamp reads (written as W3C datetime)
+ * options: { siteUrl, publicDir, maxUrls, maxBytes }
+ *
+ * A group is written to sitemap-<name>.xml, or sitemap-<name>-1.xml,
+ * sitemap-<name>-2.xml... when it passes maxUrls or maxBytes (the protocol's
+ * 50,000 URLs and 50 MB unless given). Empty groups
+ * are skipped. The index is also written as sitemap.xml, the conventional
+ * location crawlers try first.
+ *
+ * Returns { files (relative to publicDir), sitemaps (index entries), urlCount }
+ */
+function writeSitemaps(groups, { siteUrl, publicDir, maxUrls = MAX_URLS, maxBytes = MAX_BYTES }) {
+  const files = [];
+  const sitemaps = [];
+  let urlCount = 0;
+
+  for (const group of groups) {
+    if (group.entries.length === 0) continue;
+
+    const rendered = group.entries.map(entry => renderEntry({
+      ...entry,
+      loc: absoluteUrl(entry.loc, siteUrl),
+      images: (entry.images || []).map(image => absoluteUrl(image, siteUrl))
+    }));
+    const chunks = splitEntries(rendered, { maxUrls, maxBytes });
+    const newest = group.entries.reduce((max, entry) => {
+      const date = toIso(entry.lastmod);
+      return date > max ? date : max;
+    }, '');
+
+    chunks.forEach((chunk, i) => {
+      const name = chunks.length === 1 ? `sitemap-${group.name}.xml` : `sitemap-${group.name}-${i + 1}.xml`;
+      fs.writeFileSync(path.join(publicDir, name), URLSET_OPEN + chunk.join('') + URLSET_CLOSE);
+      files.push(name);
+      sitemaps.push({ loc: `${siteUrl}/${name}`, lastmod: newest });
+    });
+    urlCount += rendered.length;
+  }
+
+  let index = '<?xml version="1.0" encoding="UTF-8"?>\n';
+  index += '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n';
+  sitemaps.forEach(sitemap => {
+    index += '  <sitemap>\n';
+    index += `    <loc>${escapeXml(sitemap.loc)}</loc>\n`;
+    if (sitemap.lastmod) index += `    <lastmod>${sitemap.lastmod}</lastmod>\n`;
+    index += '  </sitemap>\n';
+  });
+  index += '</sitemapindex>\n';
+
+  for (const name of ['sitemap-index.xml', 'sitemap.xml']) {
+    fs.writeFileSync(path.join(publicDir, name), index);
+    files.push(name);
+  }
+
+  return { files, sitemaps, urlCount };
+}
+
+module.exports = {
+  MAX_URLS,
+  MAX_BYTES,
+  absoluteUrl,
+  findImageSources,
+  writeSitemaps
+};
@@ -0,0 +1,220 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseDocument, DomUtils } = require('htmlparser2');
+const { MAX_BYTES, MAX_URLS, writeSitemaps } = require('./sitemaps');
+
+const SITE_URL = 'https://example.com';
+const SITEMAP_NS = 'http://www.sitemaps.org/schemas/sitemap/0.9';
+const IMAGE_NS = 'http://www.google.com/schemas/sitemap-image/1.1';
+// W3C datetime, the lastmod type of sitemap.xsd
+const W3C_DATETIME = /^\d{4}(-\d{2}(-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?)?)?$/;
+const CHANGEFREQ = ['always', 'hourly', 'daily', 'weekly', 'monthly', 'yearly', 'never'];
+
+let tempDir;
+
+test.before(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sitemaps-'));
+});
+
+test.after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+function write(name, groups, options = {}) {
+  const publicDir = path.join(tempDir, name);
+  fs.mkdirSync(publicDir);
+  const result = writeSitemaps(groups, { siteUrl: SITE_URL, publicDir, ...options });
+  const read = file => fs.readFileSync(path.join(publicDir, file), 'utf8');
+  return { ...result, publicDir, read };
+}
+
+const elements = node => node.children.filter(child => child.type === 'tag');
+const text = node => DomUtils.textContent(node);
+
+function assertLoc(loc) {
+  assert.ok(loc.length <= 2048, 'loc is at most 2048 characters');
+  assert.doesNotThrow(() => new URL(loc), `loc is an absolute URL: ${loc}`);
+}
+
+/**
+ * Parse a <urlset> the way sitemap.xsd and the image extension describe it
+ * and return its entries
+ */
+function parseUrlset(xml) {
+  assert.ok(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n'));
+  const document = parseDocument(xml, { xmlMode: true });
+  const [root] = elements(document);
+  assert.equal(root.name, 'urlset');
+  assert.equal(root.attribs.xmlns, SITEMAP_NS);
+  assert.equal(root.attribs['xmlns:image'], IMAGE_NS);
+
+  return elements(root).map(url => {
+    assert.equal(url.name, 'url');
+    const children = elements(url);
+    const names = children.map(child => child.name);
+    // loc first, then the optional fields in schema order, then extensions
+    const fields = names.filter(name => !name.startsWith('image:'));
+    assert.deepEqual(fields, ['loc', 'lastmod', 'changefreq', 'priority'].filter(name => name === 'loc' || names.includes(name)));
+    assert.deepEqual(names.slice(fields.length), names.filter(name => name === 'image:image'));
+
+    const entry = { images: [] };
+    for (const child of children) {
+      if (child.name === 'image:image') {
+        const [loc] = elements(child);
+        assert.equal(loc.name, 'image:loc');
+        assertLoc(text(loc));
+        entry.images.push(text(loc));
+      } else {
+        entry[child.name] = text(child);
+      }
+    }
+    assertLoc(entry.loc);
+    if (entry.lastmod) assert.match(entry.lastmod, W3C_DATETIME);
+    if (entry.changefreq) assert.ok(CHANGEFREQ.includes(entry.changefreq), entry.changefreq);
+    if (entry.priority) {
+      assert.match(entry.priority, /^(0(\.\d+)?|1(\.0+)?)$/);
+    }
+    return entry;
+  });
+}
+
+function parseIndex(xml) {
+  const document = parseDocument(xml, { xmlMode: true });
+  const [root] = elements(document);
+  assert.equal(root.name, 'sitemapindex');
+  assert.equal(root.attribs.xmlns, SITEMAP_NS);
+  return elements(root).map(sitemap => {
+    assert.equal(sitemap.name, 'sitemap');
+    const [loc, lastmod, ...rest] = elements(sitemap);
+    assert.equal(loc.name, 'loc');
+    assertLoc(text(loc));
+    assert.deepEqual(rest, []);
+    if (lastmod) {
+      assert.equal(lastmod.name, 'lastmod');
+      assert.match(text(lastmod), W3C_DATETIME);
+    }
+    return { loc: text(loc), lastmod: lastmod && text(lastmod) };
+  });
+}
+
+const entries = (count, prefix = '/post') => Array.from({ length: count }, (_, i) => ({ loc: `${prefix}-${i}` }));
+
+test('sitemaps and the index follow the protocol and the image extension', () => {
+  const { files, read } = write('schema', [
+    { name: 'pages', entries: [{ loc: '/', changefreq: 'daily', priority: 1 }] },
+    {
+      name: 'posts',
+      entries: [{
+        loc: '/ana/hello',
+        lastmod: '2022-03-23 21:11:26.685195',
+        changefreq: 'monthly',
+        priority: 0.7,
+        images: ['/images/cover.png', 'https://cdn.example.org/a.png']
+      }]
+    },
+    { name: 'tags', entries: [] }
+  ]);
+
+  assert.deepEqual(files, ['sitemap-pages.xml', 'sitemap-posts.xml', 'sitemap-index.xml', 'sitemap.xml']);
+  assert.deepEqual(parseUrlset(read('sitemap-pages.xml')), [
+    { loc: SITE_URL, changefreq: 'daily', priority: '1.0', images: [] }
+  ]);
+  assert.deepEqual(parseUrlset(read('sitemap-posts.xml')), [{
+    loc: `${SITE_URL}/ana/hello`,
+    lastmod: '2022-03-23T21:11:26.685Z',
+    changefreq: 'monthly',
+    priority: '0.7',
+    images: [`${SITE_URL}/images/cover.png`, 'https://cdn.example.org/a.png']
+  }]);
+
+  assert.deepEqual(parseIndex(read('sitemap-index.xml')), [
+    { loc: `${SITE_URL}/sitemap-pages.xml`, lastmod: undefined },
+    { loc: `${SITE_URL}/sitemap-posts.xml`, lastmod: '2022-03-23T21:11:26.685Z' }
+  ]);
+  assert.equal(read('sitemap.xml'), read('sitemap-index.xml'));
+});
+
+test('lastmod is a W3C datetime whatever the source timestamp looks like', () => {
+  const { read } = write('lastmod', [{
+    name: 'posts',
+    entries: [
+      { loc: '/csv', lastmod: '2022-03-23 21:11:26.685195' },
+      { loc: '/csv-no-fraction', lastmod: '2021-01-05 08:00:00' },
+      { loc: '/offset', lastmod: '2023-07-01T12:00:00-03:00' },
+      { loc: '/date-only', lastmod: '2020-02-29' },
+      { loc: '/garbage', lastmod: 'not a date' },
+      { loc: '/missing' }
+    ]
+  }]);
+
+  const lastmods = parseUrlset(read('sitemap-posts.xml')).map(entry => entry.lastmod);
+  assert.deepEqual(lastmods, [
+    '2022-03-23T21:11:26.685Z',
+    '2021-01-05T08:00:00.000Z',
+    '2023-07-01T15:00:00.000Z',
+    '2020-02-29T00:00:00.000Z',
+    undefined,
+    undefined
+  ]);
+});
+
+test('loc and image:loc are XML-escaped', () => {
+  const { read } = write('escaping', [{
+    name: 'pages',
+    entries: [{ loc: '/search?q=a&b=<c>', images: ["/images/it's \"quoted\".png"] }]
+  }]);
+
+  const xml = read('sitemap-pages.xml');
+  assert.ok(xml.includes('<loc>https://example.com/search?q=a&amp;b=&lt;c&gt;</loc>'));
+  assert.ok(xml.includes('<image:loc>https://example.com/images/it&apos;s &quot;quoted&quot;.png</image:loc>'));
+
+  const [entry] = parseUrlset(xml);
+  assert.equal(entry.loc, `${SITE_URL}/search?q=a&b=<c>`);
+  assert.deepEqual(entry.images, [`${SITE_URL}/images/it's "quoted".png`]);
+});
+
+test('a group is split at 50,000 URLs', () => {
+  const { files, read } = write('split-count', [{ name: 'posts', entries: entries(MAX_URLS + 1) }]);
+
+  assert.deepEqual(files, ['sitemap-posts-1.xml', 'sitemap-posts-2.xml', 'sitemap-index.xml', 'sitemap.xml']);
+  assert.equal((read('sitemap-posts-1.xml').match(/<url>/g) || []).length, MAX_URLS);
+  assert.deepEqual(parseUrlset(read('sitemap-posts-2.xml')), [{ loc: `${SITE_URL}/post-${MAX_URLS}`, images: [] }]);
+  assert.deepEqual(
+    parseIndex(read('sitemap-index.xml')).map(sitemap => sitemap.loc),
+    [`${SITE_URL}/sitemap-posts-1.xml`, `${SITE_URL}/sitemap-posts-2.xml`]
+  );
+});
+
+test('a group is split before a file passes the byte limit', () => {
+  // The 50 MB limit scaled down: the same rule, without writing 50 MB
+  assert.equal(MAX_BYTES, 50 * 1024 * 1024);
+  const maxBytes = 2048;
+  const { files, publicDir, read } = write('split-bytes', [{ name: 'posts', entries: entries(40) }], { maxBytes });
+
+  const parts = files.filter(file => file.startsWith('sitemap-posts-'));
+  assert.ok(parts.length > 1);
+  const locs = [];
+  for (const file of parts) {
+    assert.ok(fs.statSync(path.join(publicDir, file)).size <= maxBytes, `${file} fits in ${maxBytes} bytes`);
+    locs.push(...parseUrlset(read(file)).map(entry => entry.loc));
+  }
+  assert.deepEqual(locs, entries(40).map(entry => `${SITE_URL}${entry.loc}`));
+
+  // An entry bigger than the limit still gets a file of its own
+  const huge = write('split-huge', [{ name: 'posts', entries: [{ loc: `/${'x'.repeat(4000)}` }, { loc: '/small' }] }], { maxBytes });
+  assert.deepEqual(huge.files.slice(0, 2), ['sitemap-posts-1.xml', 'sitemap-posts-2.xml']);
+});
+
+test('profile locs have no trailing slash', () => {
+  const { read } = write('profiles', [{
+    name: 'users',
+    entries: [{ loc: '/ana' }, { loc: '/ana/page/2' }, { loc: '/ana/series/intro' }]
+  }]);
+
+  const locs = parseUrlset(read('sitemap-users.xml')).map(entry => entry.loc);
+  assert.deepEqual(locs, [`${SITE_URL}/ana`, `${SITE_URL}/ana/page/2`, `${SITE_URL}/ana/series/intro`]);
+  locs.forEach(loc => assert.ok(!loc.endsWith('/'), loc));
+});
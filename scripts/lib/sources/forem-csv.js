@@ -0,0 +1,61 @@
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+const { foremArticle, foremComments, foremUsers } = require('./forem');
+
+function loadCSV(filePath) {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    fs.createReadStream(filePath)
+      .pipe(csv())
+      .on('data', (row) => rows.push(row))
+      .on('end', () => resolve(rows))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Forem database export as CSV files (the archive's original source).
+ * The output of "npm run migrate-images" is used instead when it exists.
+ * The comments table export is optional.
+ *
+ * options: { articles, users, migratedArticles, migratedUsers, comments } (paths)
+ */
+async function load(options, { resolvePath }) {
+  const warnings = [];
+  const pick = (migrated, original) => {
+    if (migrated && fs.existsSync(resolvePath(migrated))) return resolvePath(migrated);
+    return resolvePath(original);
+  };
+
+  const articlesFile = pick(options.migratedArticles, options.articles);
+  if (options.migratedArticles && articlesFile !== resolvePath(options.migratedArticles)) {
+    warnings.push('Using original CSV (run "npm run migrate-images" first to use local images)');
+  }
+  const usersFile = options.users ? pick(options.migratedUsers, options.users) : null;
+
+  const articles = (await loadCSV(articlesFile)).map(row => foremArticle(row, 'forem-csv'));
+  const { authors, privateValues } = usersFile ? foremUsers(await loadCSV(usersFile)) : { authors: [], privateValues: new Map() };
+
+  let commentsFile = options.comments ? resolvePath(options.comments) : null;
+  if (commentsFile && !fs.existsSync(commentsFile)) {
+    warnings.push(`No comments export at ${options.comments}, building without comments`);
+    commentsFile = null;
+  }
+  if (commentsFile) {
+    const threads = foremComments(await loadCSV(commentsFile), new Map(authors.map(author => [author.id, author])));
+    articles.forEach(article => {
+      article.comments = threads.get(article.id) || [];
+    });
+  }
+
+  return {
+    articles,
+    authors,
+    privateValues,
+    files: [articlesFile, usersFile, commentsFile].filter(Boolean).map(file => path.basename(file)),
+    warnings
+  };
+}
+
+module.exports = { load };
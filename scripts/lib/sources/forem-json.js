@@ -0,0 +1,46 @@
+const fs = require('fs');
+const path = require('path');
+const { foremArticle, foremUsers } = require('./forem');
+
+/**
+ * Records from a JSON array or NDJSON (one object per line) file
+ */
+function loadRecords(filePath) {
+  const content = fs.readFileSync(filePath, 'utf-8').trim();
+  if (!content) return [];
+  if (content.startsWith('[')) return JSON.parse(content);
+
+  return content.split('\n').filter(line => line.trim()).map((line, i) => {
+    try {
+      return JSON.parse(line);
+    } catch (err) {
+      throw new Error(`${path.basename(filePath)}:${i + 1}: ${err.message}`);
+    }
+  });
+}
+
+/**
+ * Forem data as JSON or NDJSON: articles from the Forem API
+ * (/api/articles?username=...) or rows of the articles table
+ * (e.g. `\copy (select row_to_json(a) from articles a) to 'articles.ndjson'`),
+ * and optionally rows of the users table.
+ *
+ * options: { articles, users } (paths)
+ */
+async function load(options, { resolvePath }) {
+  const articlesFile = resolvePath(options.articles);
+  const usersFile = options.users ? resolvePath(options.users) : null;
+
+  const articles = loadRecords(articlesFile).map(record => foremArticle(record, 'forem-json'));
+  const { authors, privateValues } = usersFile ? foremUsers(loadRecords(usersFile)) : { authors: [], privateValues: new Map() };
+
+  return {
+    articles,
+    authors,
+    privateValues,
+    files: [articlesFile, usersFile].filter(Boolean).map(file => path.basename(file)),
+    warnings: []
+  };
+}
+
+module.exports = { load };
@@ -0,0 +1,140 @@
+const { toAuthor, collectPrivateValues } = require('../authors');
+
+// Forem's Postgres booleans come out as 't'/'f' in CSV, true/false in JSON
+// and 1/0 (or 'true'/'false') after conversion to SQLite
+function isTrue(value) {
+  return value === true || value === 1 || ['t', 'true', '1'].includes(String(value).toLowerCase());
+}
+
+function text(value) {
+  return value === null || value === undefined ? '' : String(value).trim();
+}
+
+/**
+ * Tag names from cached_tag_list ("DeFi, Ethereum") or the API's tag_list/tags,
+ * which are arrays or comma-separated strings depending on the endpoint
+ */
+function tagNames(value) {
+  const names = Array.isArray(value) ? value : text(value).split(',');
+  return names.map(text).filter(Boolean);
+}
+
+/**
+ * Convert a Forem article to the normalized article model. Accepts rows of
+ * the articles table (CSV, NDJSON or SQLite exports) as well as articles from
+ * the Forem API (/api/articles), which nest the author under `user`.
+ */
+function foremArticle(record, source) {
+  const user = record.user || {};
+  const publishedAt = text(record.published_at || record.published_timestamp);
+  const published = record.published === undefined ? Boolean(publishedAt) : isTrue(record.published);
+
+  return {
+    source,
+    id: text(record.id),
+    username: text(record.cached_user_username || user.username),
+    authorName: text(record.cached_user_name || user.name),
+    title: text(record.title),
+    slug: text(record.slug),
+    oldSlugs: [record.old_slug, record.old_old_slug].map(text).filter(Boolean),
+    description: text(record.description),
+    bodyHtml: record.body_html || '',
+    bodyMarkdown: record.body_markdown || '',
+    mainImage: text(record.main_image || record.cover_image),
+    tags: tagNames(record.cached_tag_list || record.tag_list || record.tags),
+    publishedAt,
+    updatedAt: text(record.updated_at || record.edited_at),
+    readingTime: Number(record.reading_time || record.reading_time_minutes) || 0,
+    // Forem only exports the collection id; the series name is derived from the part titles
+    series: text(record.collection_id),
+    seriesTitle: '',
+    comments: [],
+    // Engagement counts, for the popularity rankings
+    reactionCount: Number(record.public_reactions_count || record.positive_reactions_count) || 0,
+    commentCount: Number(record.comments_count) || 0,
+    pageViews: Number(record.page_views_count) || 0,
+    published: published && !isTrue(record.archived) && !record.deleted_at
+  };
+}
+
+/**
+ * Authors and private values from rows of Forem's users table. Values are
+ * stringified first, since JSON and SQLite exports keep numbers and nulls.
+ */
+function foremUsers(records) {
+  const rows = records.map(record => {
+    const row = {};
+    for (const [column, value] of Object.entries(record)) {
+      row[column] = typeof value === 'object' && value !== null ? JSON.stringify(value) : text(value);
+    }
+    return row;
+  });
+
+  return {
+    authors: rows.filter(row => row.username).map(toAuthor),
+    privateValues: collectPrivateValues(rows)
+  };
+}
+
+/**
+ * Comment threads from rows of Forem's comments table, keyed by article id.
+ * Deleted comments and those hidden by the article's author are left out
+ * together with their replies. `authors` maps user ids to public author
+ * models (see toAuthor); commenters that aren't in it get author null.
+ *
+ * Comment: { id, idCode, author, bodyHtml, bodyMarkdown, createdAt, editedAt, replies }
+ */
+function foremComments(records, authors) {
+  const comments = new Map();
+  const removed = new Set();
+
+  records.forEach(record => {
+    if (text(record.commentable_type || 'Article') !== 'Article') return;
+    const id = text(record.id);
+    if (isTrue(record.deleted) || isTrue(record.hidden_by_commentable_user)) {
+      removed.add(id);
+      return;
+    }
+
+    comments.set(id, {
+      articleId: text(record.commentable_id),
+      // "12/34": ids of the comment's ancestors, root first
+      ancestors: text(record.ancestry).split('/').filter(Boolean),
+      node: {
+        id,
+        // Forem's comment permalinks use the id in base 36
+        idCode: text(record.id_code) || Number(id).toString(36),
+        author: authors.get(text(record.user_id)) || null,
+        bodyHtml: record.body_html || '',
+        bodyMarkdown: record.body_markdown || '',
+        createdAt: text(record.created_at),
+        editedAt: isTrue(record.edited) ? text(record.edited_at || record.updated_at) : '',
+        replies: []
+      }
+    });
+  });
+
+  const threads = new Map();
+  const sorted = Array.from(comments.values()).sort((a, b) => new Date(a.node.createdAt) - new Date(b.node.createdAt));
+  for (const { articleId, ancestors, node } of sorted) {
+    if (ancestors.some(ancestor => removed.has(ancestor))) continue;
+
+    // Replies hang off the closest ancestor in the export; others start a thread
+    const parentId = ancestors.slice().reverse().find(ancestor => comments.has(ancestor));
+    if (parentId) {
+      comments.get(parentId).node.replies.push(node);
+    } else {
+      if (!threads.has(articleId)) threads.set(articleId, []);
+      threads.get(articleId).push(node);
+    }
+  }
+  return threads;
+}
+
+module.exports = {
+  foremArticle,
+  foremComments,
+  foremUsers,
+  isTrue,
+  tagNames
+};
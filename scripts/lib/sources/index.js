@@ -0,0 +1,84 @@
+const path = require('path');
+
+/**
+ * Content source adapters. Each one exports load(options, context) and
+ * resolves {
+ *   articles:      [Article]
+ *   authors:       [Author] (see toAuthor in ../authors.js)
+ *   privateValues: Map of account values that must never reach the output
+ *   files:         names of the files read, for the build log
+ *   warnings:      [string]
+ * }
+ *
+ * Article is the normalized model every build step works with:
+ *   { source, id, username, authorName, title, slug, oldSlugs, description,
+ *     bodyHtml, bodyMarkdown, mainImage, tags (names), publishedAt, updatedAt,
+ *     readingTime (0 = estimate), series (Forem collection id or a name, '' = none),
+ *     seriesTitle ('' = derive from the part titles), comments (threads, see
+ *     foremComments in ./forem.js), reactionCount, commentCount, pageViews,
+ *     published }
+ */
+const ADAPTERS = {
+  'forem-csv': require('./forem-csv'),
+  'forem-json': require('./forem-json'),
+  'sqlite': require('./sqlite'),
+  'markdown': require('./markdown')
+};
+
+/**
+ * Load every configured source ({ type, ...options }) and merge them.
+ * Articles are keyed by username/slug: a later source replaces an article
+ * from an earlier one (e.g. a Markdown file fixing an imported post).
+ * Authors keep the first source that describes them.
+ *
+ * Returns { articles, authors: Map(username -> Author), privateValues, sources }
+ * where `sources` summarizes each source for the build log.
+ */
+async function loadSources(sources, { rootDir }) {
+  const context = { resolvePath: (file) => path.resolve(rootDir, file) };
+  const articles = new Map();
+  const authors = new Map();
+  const privateValues = new Map();
+  const summaries = [];
+
+  for (const source of sources) {
+    const adapter = ADAPTERS[source.type];
+    if (!adapter) {
+      throw new Error(`Unknown source type "${source.type}" (expected one of: ${Object.keys(ADAPTERS).join(', ')})`);
+    }
+
+    const result = await adapter.load(source, context);
+    let replaced = 0;
+    result.articles.forEach((article, i) => {
+      // Articles without a slug can't get a page; keep them apart by position
+      const key = article.slug ? `${article.username}/${article.slug}` : `${source.type}#${summaries.length}:${i}`;
+      if (articles.has(key)) replaced++;
+      articles.set(key, article);
+    });
+    result.authors.forEach(author => {
+      if (!authors.has(author.username)) authors.set(author.username, author);
+    });
+    result.privateValues.forEach((column, value) => privateValues.set(value, column));
+
+    summaries.push({
+      type: source.type,
+      files: result.files,
+      articleCount: result.articles.length,
+      authorCount: result.authors.length,
+      replaced,
+      warnings: result.warnings
+    });
+  }
+
+  return {
+    articles: Array.from(articles.values()),
+    authors,
+    privateValues,
+    sources: summaries
+  };
+}
+
+module.exports = {
+  ADAPTERS,
+  loadSources
+};
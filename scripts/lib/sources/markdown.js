@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+const { isTrue, tagNames } = require('./forem');
+const { slugifyTag } = require('../tags');
+
+// Usernames and slugs become folder and file names under the output directory
+const URL_SEGMENT = /^[A-Za-z0-9_-]+$/;
+
+// Parse a front matter scalar: quoted strings, booleans, numbers and [a, b] lists
+function parseValue(raw) {
+  const value = raw.trim();
+  if (/^\[.*\]$/.test(value)) {
+    return value.slice(1, -1).split(',').map(parseValue).filter(item => item !== '');
+  }
+  const quoted = /^(["'])(.*)\1$/.exec(value);
+  if (quoted) {
+    return quoted[1] === '"' ? quoted[2].replace(/\\"/g, '"') : quoted[2].replace(/''/g, "'");
+  }
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  return value;
+}
+
+/**
+ * Split a Markdown file into its YAML front matter and body. Supports the
+ * subset used for posts: `key: value` pairs, [inline] and `- item` lists
+ * and comments.
+ */
+function parseFrontMatter(content) {
+  const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/.exec(content.replace(/^﻿/, ''));
+  if (!match) return { data: {}, body: content };
+
+  const data = {};
+  let listKey = null;
+  match[1].split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+
+    const item = /^\s*-\s+(.*)$/.exec(line);
+    if (item && listKey) {
+      data[listKey].push(parseValue(item[1]));
+      return;
+    }
+
+    const pair = /^([\w-]+):\s*(.*)$/.exec(line);
+    if (!pair) throw new Error(`Invalid front matter on line ${i + 2}: ${line}`);
+    const [, key, raw] = pair;
+    if (raw.trim() === '') {
+      data[key] = [];
+      listKey = key;
+    } else {
+      data[key] = parseValue(raw.replace(/\s+#.*$/, ''));
+      listKey = null;
+    }
+  });
+
+  return { data, body: content.slice(match[0].length) };
+}
+
+/**
+ * Throw unless every value can be used as one URL path segment, so a post
+ * can't write outside its author's folder (e.g. `username: ../..`)
+ */
+function checkSegments(relative, field, values) {
+  values.forEach(value => {
+    if (!URL_SEGMENT.test(value)) {
+      throw new Error(`${relative}: invalid ${field} "${value}" (use only letters, digits, "-" and "_")`);
+    }
+  });
+}
+
+function listMarkdownFiles(dir) {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...listMarkdownFiles(fullPath));
+    } else if (entry.name.endsWith('.md')) {
+      files.push(fullPath);
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * A folder of Markdown posts with front matter, for articles written after
+ * the Forem shutdown. Posts live at <dir>/<username>/<slug>.md, or anywhere
+ * in <dir> with `username` (and optionally `slug`) set in the front matter.
+ * Slugs taken from file names are slugified ("Meu Post.md" -> meu-post);
+ * usernames and front matter slugs must already be URL-safe:
+ *
+ *   ---
+ *   title: Meu novo artigo
+ *   username: fabianadop
+ *   date: 2025-03-01
+ *   tags: [solidity, web3]
+ *   series: Solidity do zero
+ *   description: Optional summary
+ *   cover_image: /images/cover.png
+ *   published: true
+ *   ---
+ *
+ * A missing folder is not an error: it just has no posts yet.
+ *
+ * options: { dir }
+ */
+async function load(options, { resolvePath }) {
+  const dir = resolvePath(options.dir);
+  if (!fs.existsSync(dir)) {
+    return { articles: [], authors: [], privateValues: new Map(), files: [], warnings: [] };
+  }
+
+  const files = listMarkdownFiles(dir);
+  const articles = files.map(file => {
+    const relative = path.relative(dir, file);
+    let parsed;
+    try {
+      parsed = parseFrontMatter(fs.readFileSync(file, 'utf-8'));
+    } catch (err) {
+      throw new Error(`${relative}: ${err.message}`);
+    }
+
+    const { data, body } = parsed;
+    const folders = path.dirname(relative).split(path.sep).filter(part => part !== '.');
+    const username = String(data.username || folders[0] || '');
+    if (!username) {
+      throw new Error(`${relative}: set "username" in the front matter or move the file to a folder named after the author`);
+    }
+    const slug = data.slug ? String(data.slug) : slugifyTag(path.basename(file, '.md'));
+    if (!slug) {
+      throw new Error(`${relative}: set "slug" in the front matter, the file name has no letters or digits`);
+    }
+    const oldSlugs = tagNames(data.old_slugs);
+    checkSegments(relative, 'username', [username]);
+    checkSegments(relative, 'slug', [slug, ...oldSlugs]);
+
+    const publishedAt = String(data.date || data.published_at || '');
+    const published = data.published === undefined ? Boolean(publishedAt) : isTrue(data.published);
+    if (published && !publishedAt) {
+      throw new Error(`${relative}: published posts need a "date"`);
+    }
+
+    return {
+      source: 'markdown',
+      id: `markdown:${relative.split(path.sep).join('/')}`,
+      username,
+      authorName: String(data.author || ''),
+      title: String(data.title || ''),
+      slug,
+      oldSlugs,
+      description: String(data.description || ''),
+      bodyHtml: '',
+      bodyMarkdown: body,
+      mainImage: String(data.cover_image || ''),
+      tags: tagNames(data.tags),
+      publishedAt,
+      updatedAt: String(data.updated || data.updated_at || ''),
+      readingTime: Number(data.reading_time) || 0,
+      series: String(data.series || ''),
+      seriesTitle: String(data.series || ''),
+      comments: [],
+      reactionCount: 0,
+      commentCount: 0,
+      pageViews: 0,
+      published
+    };
+  });
+
+  return {
+    articles,
+    authors: [],
+    privateValues: new Map(),
+    files: [`${path.basename(dir)}/ (${files.length} files)`],
+    warnings: []
+  };
+}
+
+module.exports = {
+  load,
+  parseFrontMatter
+};
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { load } = require('./markdown');
+
+let tempDir;
+
+test.before(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'markdown-source-'));
+});
+
+test.after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+/**
+ * Load a folder made of { 'relative/path.md': content } files
+ */
+function loadPosts(name, posts) {
+  const dir = path.join(tempDir, name);
+  for (const [file, content] of Object.entries(posts)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  }
+  return load({ dir }, { resolvePath: file => file });
+}
+
+const post = (frontMatter = '') => `---\ntitle: Post\ndate: 2025-03-01\n${frontMatter}---\nBody\n`;
+
+test('username comes from the folder and slug from the file name', async () => {
+  const { articles } = await loadPosts('defaults', { 'ana/meu-post.md': post() });
+  assert.equal(articles[0].username, 'ana');
+  assert.equal(articles[0].slug, 'meu-post');
+});
+
+test('slugs taken from file names are slugified', async () => {
+  const { articles } = await loadPosts('file-names', {
+    'ana/Meu Post.md': post(),
+    'ana/Ação & Reação!.md': post()
+  });
+  assert.deepEqual(articles.map(article => article.slug), ['acao-reacao', 'meu-post']);
+});
+
+test('usernames that are not one URL segment are rejected', async () => {
+  for (const username of ['../..', 'ana/bruno', 'Ana Souza', '..']) {
+    await assert.rejects(
+      loadPosts(`username-${encodeURIComponent(username)}`, { 'escape.md': post(`username: "${username}"\n`) }),
+      new RegExp(`^Error: escape\\.md: invalid username "${username.replace(/\./g, '\\.')}"`)
+    );
+  }
+});
+
+test('front matter slugs and old slugs must be URL-safe', async () => {
+  await assert.rejects(
+    loadPosts('bad-slug', { 'ana/post.md': post('slug: ../../index\n') }),
+    /^Error: ana\/post\.md: invalid slug "\.\.\/\.\.\/index"/
+  );
+  await assert.rejects(
+    loadPosts('bad-old-slug', { 'ana/post.md': post('old_slugs: [ok-slug, "a b"]\n') }),
+    /^Error: ana\/post\.md: invalid slug "a b"/
+  );
+  await assert.rejects(loadPosts('empty-slug', { 'ana/!!!.md': post() }), /^Error: ana\/!!!\.md: set "slug"/);
+});
@@ -0,0 +1,46 @@
+const fs = require('fs');
+const path = require('path');
+const { foremArticle, foremUsers } = require('./forem');
+
+function queryAll(db, sql) {
+  const statement = db.prepare(sql);
+  const rows = [];
+  while (statement.step()) rows.push(statement.getAsObject());
+  statement.free();
+  return rows;
+}
+
+/**
+ * Forem's Postgres database converted to SQLite (e.g. with pgloader or
+ * db-to-sqlite), read with sql.js so no native module is needed.
+ *
+ * options: { file, articlesTable = 'articles', usersTable = 'users' }
+ */
+async function load(options, { resolvePath }) {
+  // Only needed when a SQLite source is configured
+  const initSqlJs = require('sql.js');
+  const SQL = await initSqlJs();
+  const file = resolvePath(options.file);
+  const db = new SQL.Database(fs.readFileSync(file));
+
+  try {
+    const articlesTable = options.articlesTable || 'articles';
+    const usersTable = options.usersTable || 'users';
+    const articles = queryAll(db, `SELECT * FROM "${articlesTable}"`).map(row => foremArticle(row, 'sqlite'));
+
+    // Only authors of the exported articles: a full dump holds every account
+    const usernames = new Set(articles.map(article => article.username));
+    const users = queryAll(db, `SELECT * FROM "${usersTable}"`).filter(row => usernames.has(row.username));
+
+    return {
+      articles,
+      ...foremUsers(users),
+      files: [path.basename(file)],
+      warnings: []
+    };
+  } finally {
+    db.close();
+  }
+}
+
+module.exports = { load };
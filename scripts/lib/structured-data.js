@@ -0,0 +1,84 @@
+// schema.org JSON-LD nodes. Pages get them as plain objects and templates
+// write them with the `json` helper, which escapes what could end a <script>.
+
+const SCHEMA_CONTEXT = 'https://schema.org';
+
+/**
+ * One JSON-LD document from several nodes; empty nodes are left out
+ */
+function jsonLdGraph(nodes) {
+  return { '@context': SCHEMA_CONTEXT, '@graph': nodes.filter(Boolean) };
+}
+
+/**
+ * Drop undefined, null, '' and [] values so optional fields can be listed inline
+ */
+function compact(node) {
+  return Object.fromEntries(Object.entries(node).filter(([key, value]) =>
+    value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0)
+  ));
+}
+
+/**
+ * Profile URLs of an author's linked accounts (users CSV github_username and
+ * twitter_username)
+ */
+function socialProfiles(author) {
+  const profiles = [];
+  if (author.githubUsername) profiles.push(`https://github.com/${encodeURIComponent(author.githubUsername)}`);
+  if (author.twitterUsername) profiles.push(`https://twitter.com/${encodeURIComponent(author.twitterUsername)}`);
+  return profiles;
+}
+
+/**
+ * Person for an author. `url` is the profile page, `image` an absolute avatar URL.
+ */
+function person({ name, username, url, image, sameAs }) {
+  return compact({
+    '@type': 'Person',
+    '@id': url ? `${url}#person` : undefined,
+    name,
+    alternateName: username,
+    url,
+    image,
+    sameAs
+  });
+}
+
+/**
+ * The site's publisher, referenced by id from every article
+ */
+function organization({ name, url, logo, sameAs }) {
+  return compact({
+    '@type': 'Organization',
+    '@id': `${url}/#organization`,
+    name,
+    url,
+    logo: logo ? { '@type': 'ImageObject', url: logo } : undefined,
+    sameAs
+  });
+}
+
+/**
+ * BreadcrumbList from [{ name, url }], top level first
+ */
+function breadcrumbList(items) {
+  return {
+    '@type': 'BreadcrumbList',
+    itemListElement: items.map((item, i) => ({
+      '@type': 'ListItem',
+      position: i + 1,
+      name: item.name,
+      item: item.url
+    }))
+  };
+}
+
+module.exports = {
+  breadcrumbList,
+  compact,
+  jsonLdGraph,
+  organization,
+  person,
+  socialProfiles
+};
@@ -0,0 +1,33 @@
+/**
+ * URL-safe slug of a tag name ("Smart Contract" -> "smart-contract")
+ */
+function slugifyTag(tag) {
+  return tag
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Unique { name, slug } tags from tag names; names that slug the same are
+ * one tag, named as it first appears
+ */
+function parseTags(tagNames) {
+  const seen = new Set();
+  const tags = [];
+  tagNames.forEach(raw => {
+    const name = raw.trim();
+    const slug = slugifyTag(name);
+    if (!slug || seen.has(slug)) return;
+    seen.add(slug);
+    tags.push({ name, slug });
+  });
+  return tags;
+}
+
+module.exports = {
+  parseTags,
+  slugifyTag
+};
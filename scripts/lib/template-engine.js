@@ -0,0 +1,386 @@
+/**
+ * Small Handlebars-like template engine.
+ *
+ * Supported syntax:
+ *   {{path}} / {{{path}}}          escaped / raw output; paths may be dotted (author.name),
+ *                                  relative (../title), `this`, or loop data (@index, @first, @last, @key)
+ *   {{helper arg "str" 3 key=val}} helper call, escaped unless in triple braces
+ *   {{#if x}}…{{else if y}}…{{else}}…{{/if}}
+ *   {{#unless x}}…{{else}}…{{/unless}}
+ *   {{#each list}}…{{else}}…{{/each}}
+ *   {{> partial}}                  rendered with the current context
+ *   {{#extend "layout"}}{{#content "name"}}…{{/content}}{{/extend}}
+ *   {{#block "name"}}default{{/block}}   (inside layouts)
+ *   {{! comment }} / {{!-- comment --}}
+ *
+ * Lookups walk up the context stack, so fields of the page stay visible
+ * inside loops.
+ */
+
+const TAG_PATTERN = /\{\{!--[\s\S]*?--\}\}|\{\{![\s\S]*?\}\}|\{\{\{\s*([\s\S]+?)\s*\}\}\}|\{\{\s*([\s\S]+?)\s*\}\}/g;
+const ARG_PATTERN = /(\w+)=("[^"]*"|'[^']*'|\S+)|"([^"]*)"|'([^']*)'|(\S+)/g;
+
+const BLOCK_TYPES = new Set(['if', 'unless', 'each', 'extend', 'content', 'block']);
+
+function escapeHtml(text) {
+  const map = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#039;'
+  };
+  return String(text).replace(/[&<>"']/g, m => map[m]);
+}
+
+// Default helpers; the build registers site-specific ones (e.g. formatDate)
+const DEFAULT_HELPERS = {
+  /**
+   * Serialize a value as JSON that is safe inside <script> (use with {{{ }}})
+   */
+  json(value) {
+    return JSON.stringify(value === undefined ? null : value)
+      .replace(/</g, '\\u003c')
+      .replace(/>/g, '\\u003e')
+      .replace(/&/g, '\\u0026')
+      .replace(/\u2028/g, '\\u2028')
+      .replace(/\u2029/g, '\\u2029');
+  },
+
+  /**
+   * Shorten text to at most `length` characters, marking the cut with "..."
+   */
+  truncate(value, length) {
+    const text = value === undefined || value === null ? '' : String(value);
+    const max = Number(length) || 160;
+    return text.length > max ? text.substring(0, max).trimEnd() + '...' : text;
+  }
+};
+
+class TemplateError extends Error {
+  constructor(message) {
+    super(`Template error: ${message}`);
+    this.name = 'TemplateError';
+  }
+}
+
+/**
+ * Split a tag body into its name and arguments
+ */
+function parseExpression(source) {
+  const args = [];
+  const hash = {};
+  let match;
+  ARG_PATTERN.lastIndex = 0;
+
+  while ((match = ARG_PATTERN.exec(source)) !== null) {
+    if (match[1]) {
+      hash[match[1]] = parseArgument(match[2]);
+    } else if (match[3] !== undefined || match[4] !== undefined) {
+      args.push({ type: 'literal', value: match[3] !== undefined ? match[3] : match[4] });
+    } else {
+      args.push(parseArgument(match[5]));
+    }
+  }
+
+  const [head, ...params] = args;
+  return { head, params, hash };
+}
+
+function parseArgument(token) {
+  if (/^"[\s\S]*"$|^'[\s\S]*'$/.test(token)) return { type: 'literal', value: token.slice(1, -1) };
+  if (/^-?\d+(\.\d+)?$/.test(token)) return { type: 'literal', value: Number(token) };
+  if (token === 'true' || token === 'false') return { type: 'literal', value: token === 'true' };
+  if (token === 'null' || token === 'undefined') return { type: 'literal', value: null };
+  return { type: 'path', value: token };
+}
+
+/**
+ * Parse a template into a tree of text, output, partial and block nodes
+ */
+function parse(template) {
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  // Where new nodes go: the children of the innermost block, or its else branch
+  const current = () => {
+    const node = stack[stack.length - 1];
+    return node.inverse ? node.inverse : node.children;
+  };
+
+  let lastIndex = 0;
+  let match;
+  TAG_PATTERN.lastIndex = 0;
+
+  while ((match = TAG_PATTERN.exec(template)) !== null) {
+    if (match.index > lastIndex) {
+      current().push({ type: 'text', value: template.slice(lastIndex, match.index) });
+    }
+    lastIndex = TAG_PATTERN.lastIndex;
+
+    if (match[1] === undefined && match[2] === undefined) continue; // Comment
+
+    if (match[1] !== undefined) {
+      current().push({ type: 'output', raw: true, ...parseExpression(match[1]) });
+      continue;
+    }
+
+    const body = match[2];
+
+    if (body.startsWith('>')) {
+      current().push({ type: 'partial', name: body.slice(1).trim() });
+    } else if (body.startsWith('#')) {
+      const { head, params, hash } = parseExpression(body.slice(1));
+      const blockType = head && head.value;
+      if (!BLOCK_TYPES.has(blockType)) {
+        throw new TemplateError(`unknown block {{#${blockType}}}`);
+      }
+      const node = { type: 'block', block: blockType, params, hash, children: [], inverse: null };
+      current().push(node);
+      stack.push(node);
+    } else if (body.startsWith('/')) {
+      const name = body.slice(1).trim();
+      // Pop the implicit if-blocks opened by {{else if}} along with their parent
+      while (stack.length > 1 && stack[stack.length - 1].chained) stack.pop();
+      const node = stack.pop();
+      if (!node || node.type !== 'block' || node.block !== name) {
+        throw new TemplateError(`unexpected {{/${name}}}`);
+      }
+    } else if (body === 'else' || body.startsWith('else ')) {
+      const node = stack[stack.length - 1];
+      if (node.type !== 'block' || node.inverse) {
+        throw new TemplateError('unexpected {{else}}');
+      }
+      node.inverse = [];
+
+      const rest = body.slice(4).trim();
+      if (rest) {
+        // {{else if x}} opens an if-block inside the else branch
+        const { head, params, hash } = parseExpression(rest);
+        if (!head || (head.value !== 'if' && head.value !== 'unless')) {
+          throw new TemplateError(`unsupported {{else ${rest}}}`);
+        }
+        const chained = { type: 'block', block: head.value, params, hash, children: [], inverse: null, chained: true };
+        node.inverse.push(chained);
+        stack.push(chained);
+      }
+    } else {
+      current().push({ type: 'output', raw: false, ...parseExpression(body) });
+    }
+  }
+
+  if (lastIndex < template.length) {
+    current().push({ type: 'text', value: template.slice(lastIndex) });
+  }
+
+  const unclosed = stack.slice(1).find(node => !node.chained);
+  if (unclosed) {
+    throw new TemplateError(`unclosed {{#${unclosed.block}}}`);
+  }
+
+  return root;
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+class TemplateEngine {
+  constructor() {
+    this.partials = {};
+    this.layouts = {};
+    this.helpers = { ...DEFAULT_HELPERS };
+    this.cache = new Map();
+  }
+
+  loadPartial(name, content) {
+    this.partials[name] = content;
+  }
+
+  loadLayout(name, content) {
+    this.layouts[name] = content;
+  }
+
+  registerHelper(name, fn) {
+    this.helpers[name] = fn;
+  }
+
+  escapeHtml(text) {
+    return escapeHtml(text);
+  }
+
+  compile(template) {
+    if (!this.cache.has(template)) {
+      this.cache.set(template, parse(template));
+    }
+    return this.cache.get(template);
+  }
+
+  render(template, data) {
+    const frame = { contexts: [data || {}], locals: [{}], blocks: {} };
+    return this.renderNodes(this.compile(template).children, frame);
+  }
+
+  renderNodes(nodes, frame) {
+    let output = '';
+    for (const node of nodes) {
+      output += this.renderNode(node, frame);
+    }
+    return output;
+  }
+
+  renderNode(node, frame) {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+
+      case 'output': {
+        const value = this.evaluate(node, frame);
+        if (value === undefined || value === null) return '';
+        return node.raw ? String(value) : escapeHtml(String(value));
+      }
+
+      case 'partial': {
+        const partial = this.partials[node.name];
+        if (partial === undefined) {
+          throw new TemplateError(`unknown partial {{> ${node.name}}}`);
+        }
+        return this.renderNodes(this.compile(partial).children, frame);
+      }
+
+      case 'block':
+        return this.renderBlock(node, frame);
+
+      default:
+        return '';
+    }
+  }
+
+  renderBlock(node, frame) {
+    const arg = node.params[0] ? this.resolveArgument(node.params[0], frame) : undefined;
+
+    switch (node.block) {
+      case 'if':
+        return this.renderNodes(isTruthy(arg) ? node.children : node.inverse || [], frame);
+
+      case 'unless':
+        return this.renderNodes(!isTruthy(arg) ? node.children : node.inverse || [], frame);
+
+      case 'each': {
+        const entries = Array.isArray(arg)
+          ? arg.map((item, index) => [index, item])
+          : arg && typeof arg === 'object' ? Object.entries(arg) : [];
+        if (entries.length === 0) {
+          return this.renderNodes(node.inverse || [], frame);
+        }
+
+        return entries.map(([key, item], index) => {
+          const locals = { index, key, first: index === 0, last: index === entries.length - 1 };
+          const childFrame = {
+            contexts: [...frame.contexts, item],
+            locals: [...frame.locals, locals],
+            blocks: frame.blocks
+          };
+          return this.renderNodes(node.children, childFrame);
+        }).join('');
+      }
+
+      case 'extend': {
+        const layout = this.layouts[arg];
+        if (layout === undefined) {
+          throw new TemplateError(`unknown layout "${arg}"`);
+        }
+        // Collect the page's {{#content}} sections, then render the layout around them
+        const blocks = { ...frame.blocks };
+        node.children
+          .filter(child => child.type === 'block' && child.block === 'content')
+          .forEach(child => {
+            const name = this.resolveArgument(child.params[0], frame);
+            blocks[name] = { nodes: child.children, frame };
+          });
+        return this.renderNodes(this.compile(layout).children, { ...frame, blocks });
+      }
+
+      case 'block': {
+        const content = frame.blocks[arg];
+        return content
+          ? this.renderNodes(content.nodes, content.frame)
+          : this.renderNodes(node.children, frame);
+      }
+
+      case 'content':
+        // Only meaningful directly inside {{#extend}}
+        return '';
+
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Evaluate an output tag: a helper call or a plain lookup
+   */
+  evaluate(node, frame) {
+    const { head, params, hash } = node;
+    if (!head) return undefined;
+
+    if (head.type === 'path' && this.helpers[head.value]) {
+      const args = params.map(param => this.resolveArgument(param, frame));
+      const hashValues = {};
+      for (const [key, value] of Object.entries(hash)) {
+        hashValues[key] = this.resolveArgument(value, frame);
+      }
+      return this.helpers[head.value](...args, { hash: hashValues, context: frame.contexts[frame.contexts.length - 1] });
+    }
+
+    return this.resolveArgument(head, frame);
+  }
+
+  resolveArgument(arg, frame) {
+    return arg.type === 'literal' ? arg.value : this.lookup(arg.value, frame);
+  }
+
+  /**
+   * Resolve a path against the context stack
+   */
+  lookup(pathExpression, frame) {
+    let depth = frame.contexts.length - 1;
+    let expression = pathExpression;
+
+    while (expression.startsWith('../')) {
+      depth = Math.max(0, depth - 1);
+      expression = expression.slice(3);
+    }
+
+    if (expression.startsWith('@')) {
+      const locals = frame.locals[depth] || {};
+      return locals[expression.slice(1)];
+    }
+
+    const explicitThis = expression === 'this' || expression === '.' || expression.startsWith('this.');
+    const segments = expression.replace(/^this\.?/, '').split('.').filter(Boolean);
+    if (segments.length === 0) return frame.contexts[depth];
+
+    // `this.x` and ../x only look at that one context; bare names walk outwards
+    let value;
+    for (let level = depth; level >= 0; level--) {
+      const context = frame.contexts[level];
+      if (context !== null && typeof context === 'object' && segments[0] in context) {
+        value = context[segments[0]];
+        break;
+      }
+      if (explicitThis || pathExpression.startsWith('../')) break;
+    }
+
+    for (const segment of segments.slice(1)) {
+      if (value === undefined || value === null) return undefined;
+      value = value[segment];
+    }
+    return value;
+  }
+}
+
+module.exports = {
+  TemplateEngine,
+  TemplateError,
+  escapeHtml
+};
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TemplateEngine, TemplateError } = require('./template-engine');
+
+function render(template, data, setup) {
+  const engine = new TemplateEngine();
+  if (setup) setup(engine);
+  return engine.render(template, data);
+}
+
+test('if, else if and else pick the first truthy branch', () => {
+  const template = '{{#if a}}A{{else if b}}B{{else if c}}C{{else}}none{{/if}}';
+  assert.equal(render(template, { a: 1, b: 1 }), 'A');
+  assert.equal(render(template, { b: 1 }), 'B');
+  assert.equal(render(template, { c: 1 }), 'C');
+  assert.equal(render(template, {}), 'none');
+});
+
+test('if treats empty arrays as false', () => {
+  assert.equal(render('{{#if items}}yes{{else}}no{{/if}}', { items: [] }), 'no');
+  assert.equal(render('{{#if items}}yes{{else}}no{{/if}}', { items: [1] }), 'yes');
+});
+
+test('unless renders when the value is falsy, else otherwise', () => {
+  const template = '{{#unless hidden}}shown{{else}}hidden{{/unless}}';
+  assert.equal(render(template, { hidden: false }), 'shown');
+  assert.equal(render(template, { hidden: true }), 'hidden');
+  assert.equal(render('{{#if a}}A{{else unless b}}not B{{/if}}', { b: false }), 'not B');
+});
+
+test('blocks nest', () => {
+  const template = '{{#if paginated}}[{{#if prev}}prev{{/if}}|{{#if next}}next{{else}}end{{/if}}]{{/if}}';
+  assert.equal(render(template, { paginated: true, prev: true, next: false }), '[prev|end]');
+  assert.equal(render(template, { paginated: false, prev: true }), '');
+  assert.equal(
+    render('{{#each rows}}{{#each this}}{{this}}{{/each}};{{/each}}', { rows: [[1, 2], [3]] }),
+    '12;3;'
+  );
+});
+
+test('each exposes this, @index, @first, @last and @key', () => {
+  const template = '{{#each items}}{{#if @first}}<{{/if}}{{@index}}:{{this}}{{#unless @last}},{{/unless}}{{#if @last}}>{{/if}}{{/each}}';
+  assert.equal(render(template, { items: ['a', 'b', 'c'] }), '<0:a,1:b,2:c>');
+  assert.equal(render('{{#each obj}}{{@key}}={{this}} {{/each}}', { obj: { x: 1, y: 2 } }), 'x=1 y=2 ');
+  assert.equal(render('{{#each items}}x{{else}}empty{{/each}}', { items: [] }), 'empty');
+});
+
+test('each reaches outer contexts with ../ and by walking up', () => {
+  const data = { title: 'Page', items: [{ name: 'a', title: 'own' }, { name: 'b' }] };
+  assert.equal(render('{{#each items}}{{name}}@{{../title}} {{/each}}', data), 'a@Page b@Page ');
+  assert.equal(render('{{#each items}}{{title}} {{/each}}', data), 'own Page ');
+  assert.equal(render('{{#each items}}{{this.title}}|{{/each}}', data), 'own||');
+});
+
+test('dotted paths resolve nested fields and stop at missing ones', () => {
+  const data = { author: { name: 'Ana', links: { github: 'ana' } } };
+  assert.equal(render('{{author.name}} {{author.links.github}}', data), 'Ana ana');
+  assert.equal(render('[{{author.missing.deeper}}]', data), '[]');
+  assert.equal(render('[{{nothing}}]', {}), '[]');
+});
+
+test('{{ }} escapes HTML and {{{ }}} does not', () => {
+  const data = { html: '<b>"Tom" & \'Jerry\'</b>' };
+  assert.equal(render('{{html}}', data), '&lt;b&gt;&quot;Tom&quot; &amp; &#039;Jerry&#039;&lt;/b&gt;');
+  assert.equal(render('{{{html}}}', data), data.html);
+});
+
+test('comments produce no output', () => {
+  assert.equal(render('a{{! note }}b{{!-- {{ignored}} --}}c', {}), 'abc');
+});
+
+test('json helper output is safe inside <script>', () => {
+  const value = { title: '</script><script>alert(1)</script> &  ' };
+  const output = render('{{{json value}}}', { value });
+  assert.ok(!output.includes('<'));
+  assert.ok(!output.includes('&'));
+  assert.deepEqual(JSON.parse(output), value);
+  assert.equal(render('{{{json missing}}}', {}), 'null');
+});
+
+test('truncate helper cuts long text with an ellipsis', () => {
+  assert.equal(render('{{truncate text 5}}', { text: 'Hello world' }), 'Hello...');
+  assert.equal(render('{{truncate text 50}}', { text: 'Hello world' }), 'Hello world');
+  assert.equal(render('{{truncate text}}', { text: 'x'.repeat(200) }), 'x'.repeat(160) + '...');
+});
+
+test('registered helpers get arguments and hash values', () => {
+  const output = render('{{greet name greeting="Olá"}}', { name: '<Ana>' }, engine => {
+    engine.registerHelper('greet', (name, options) => `${options.hash.greeting}, ${name}`);
+  });
+  assert.equal(output, 'Olá, &lt;Ana&gt;');
+});
+
+test('partials render with the current context', () => {
+  const output = render('{{#each people}}{{> card}}{{/each}}', { people: [{ name: 'a' }, { name: 'b' }] }, engine => {
+    engine.loadPartial('card', '<i>{{name}}</i>');
+  });
+  assert.equal(output, '<i>a</i><i>b</i>');
+  assert.throws(() => render('{{> missing}}', {}), TemplateError);
+});
+
+test('extend fills a layout\'s blocks with content, keeping defaults for the rest', () => {
+  const setup = engine => {
+    engine.loadLayout('base', '<title>{{#block "title"}}Default{{/block}}</title><main>{{#block "main"}}{{/block}}</main><footer>{{#block "footer"}}© {{site}}{{/block}}</footer>');
+  };
+  const page = '{{#extend "base"}}{{#content "title"}}{{title}}{{/content}}{{#content "main"}}<p>{{body}}</p>{{/content}}{{/extend}}';
+  assert.equal(
+    render(page, { title: 'Post', body: 'Text', site: 'W3D' }, setup),
+    '<title>Post</title><main><p>Text</p></main><footer>© W3D</footer>'
+  );
+  assert.throws(() => render('{{#extend "nope"}}{{/extend}}', {}), /unknown layout/);
+});
+
+test('unclosed and mismatched blocks raise TemplateError', () => {
+  assert.throws(() => render('{{#if a}}open', {}), { name: 'TemplateError', message: /unclosed \{\{#if\}\}/ });
+  assert.throws(() => render('{{#if a}}{{#each b}}{{/if}}{{/each}}', {}), { name: 'TemplateError', message: /unexpected \{\{\/if\}\}/ });
+  assert.throws(() => render('{{/each}}', {}), TemplateError);
+  assert.throws(() => render('{{#if a}}{{else}}{{else}}{{/if}}', {}), /unexpected \{\{else\}\}/);
+  assert.throws(() => render('{{#loop a}}{{/loop}}', {}), /unknown block/);
+});
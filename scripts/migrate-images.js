@@ -1,15 +1,27 @@
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
-const http = require('http');
 const csv = require('csv-parser');
-const crypto = require('crypto');
-
-// Configuration
-const DATA_DIR = path.join(__dirname, '../data');
-const IMAGE_DIR = path.join(__dirname, '../public/images');
-const CSV_INPUT = path.join(DATA_DIR, 'forem_articles_filtered_by_outdated.csv');
-const CSV_OUTPUT = path.join(DATA_DIR, 'forem_articles_with_local_images.csv');
+const { profileImageUrl } = require('./lib/authors');
+const { ImageDownloader, ImageManifest } = require('./lib/image-download');
+const { loadSiteConfig, siteArgument } = require('./lib/site-config');
+
+// Configuration: CSV paths come from the forem-csv source of the site config
+// (`npm run migrate-images -- --site sites/<name>.json`, sites/pt.json by default)
+const ROOT_DIR = path.join(__dirname, '..');
+const SITE = loadSiteConfig(siteArgument(process.argv.slice(2)), { rootDir: ROOT_DIR });
+const FOREM_SOURCE = SITE.sources.find(source => source.type === 'forem-csv') || {};
+const missingPaths = ['articles', 'migratedArticles', 'users', 'migratedUsers'].filter(option => !FOREM_SOURCE[option]);
+if (missingPaths.length > 0) {
+  throw new Error(`${SITE.file} needs a forem-csv source with ${missingPaths.join(', ')} to migrate images`);
+}
+const IMAGE_DIR = path.join(SITE.outputDir, 'images');
+const CSV_INPUT = path.resolve(ROOT_DIR, FOREM_SOURCE.articles);
+const CSV_OUTPUT = path.resolve(ROOT_DIR, FOREM_SOURCE.migratedArticles);
+const USERS_CSV_INPUT = path.resolve(ROOT_DIR, FOREM_SOURCE.users);
+const USERS_CSV_OUTPUT = path.resolve(ROOT_DIR, FOREM_SOURCE.migratedUsers);
+const MANIFEST_PATH = SITE.imageManifest;
+const SAVE_EVERY = 50; // Downloads between manifest saves
+const RETRY_FAILED = process.argv.includes('--retry-failed');
 
 // Ensure image directory exists
 if (!fs.existsSync(IMAGE_DIR)) {
@@ -46,94 +58,11 @@ function extractImageUrls(content) {
 }
 
 /**
- * Generate a stable filename from URL
- */
-function urlToFilename(url) {
-  const hash = crypto.createHash('md5').update(url).digest('hex').substring(0, 12);
-  const ext = path.extname(new URL(url).pathname) || '.jpg';
-  return `${hash}${ext}`;
-}
-
-/**
- * Download image from URL
+ * Process images with concurrency limit, saving the manifest as it goes
  */
-function downloadImage(url, timeout = 30000) {
-  return new Promise((resolve, reject) => {
-    const protocol = url.startsWith('https') ? https : http;
-
-    const timeoutId = setTimeout(() => {
-      reject(new Error('Download timeout'));
-    }, timeout);
-
-    protocol.get(url, {timeout: 20000}, (response) => {
-      if (response.statusCode === 301 || response.statusCode === 302) {
-        clearTimeout(timeoutId);
-        return downloadImage(response.headers.location, timeout)
-          .then(resolve)
-          .catch(reject);
-      }
-
-      if (response.statusCode !== 200) {
-        clearTimeout(timeoutId);
-        return reject(new Error(`HTTP ${response.statusCode}`));
-      }
-
-      const chunks = [];
-      response.on('data', (chunk) => chunks.push(chunk));
-      response.on('end', () => {
-        clearTimeout(timeoutId);
-        resolve(Buffer.concat(chunks));
-      });
-      response.on('error', (err) => {
-        clearTimeout(timeoutId);
-        reject(err);
-      });
-    }).on('error', (err) => {
-      clearTimeout(timeoutId);
-      reject(err);
-    });
-  });
-}
-
-/**
- * Download and save a single image
- */
-async function processImage(url, urlMapping) {
-  // Skip if already processed
-  if (urlMapping.has(url)) {
-    return urlMapping.get(url);
-  }
-
-  const filename = urlToFilename(url);
-  const outputPath = path.join(IMAGE_DIR, filename);
-  const localPath = `/images/${filename}`;
-
-  // Skip if file already exists
-  if (fs.existsSync(outputPath)) {
-    console.log(`✓ Exists: ${filename}`);
-    urlMapping.set(url, localPath);
-    return localPath;
-  }
-
-  try {
-    console.log(`⬇ Downloading: ${url.substring(0, 70)}...`);
-    const buffer = await downloadImage(url);
-    fs.writeFileSync(outputPath, buffer);
-    console.log(`✓ Saved: ${filename} (${Math.round(buffer.length / 1024)}KB)`);
-    urlMapping.set(url, localPath);
-    return localPath;
-  } catch (err) {
-    console.error(`✗ Failed: ${url.substring(0, 70)}... - ${err.message}`);
-    urlMapping.set(url, url); // Keep original URL on failure
-    return url;
-  }
-}
-
-/**
- * Process images with concurrency limit
- */
-async function downloadAllImages(urls, concurrency = 15) {
-  const urlMapping = new Map();
+async function downloadAllImages(urls, manifest, concurrency = 15) {
+  const downloader = new ImageDownloader({ imageDir: IMAGE_DIR, manifest, retryFailed: RETRY_FAILED });
+  const results = { skipped: 0, adopted: 0, downloaded: 0, deduplicated: 0, failed: 0 };
   const queue = [...urls];
   let active = 0;
   let completed = 0;
@@ -144,26 +73,30 @@ async function downloadAllImages(urls, concurrency = 15) {
         const url = queue.shift();
         active++;
 
-        processImage(url, urlMapping)
-          .then(() => {
+        downloader.process(url)
+          // Failures are recorded by process(); this catches anything it didn't expect
+          .catch((err) => {
+            const previous = manifest.get(url) || {};
+            manifest.set(url, { ...previous, status: 'failed', attempts: previous.attempts || 0, error: err.message });
+            console.error(`✗ Failed: ${url.substring(0, 70)}... - ${err.message}`);
+            return 'failed';
+          })
+          .then((result) => {
+            results[result]++;
             completed++;
             active--;
 
-            if (completed % 50 === 0) {
+            if (completed % SAVE_EVERY === 0) {
+              manifest.save();
               console.log(`Progress: ${completed}/${urls.length} images`);
             }
 
-            processNext();
-          })
-          .catch(() => {
-            completed++;
-            active--;
             processNext();
           });
       }
 
       if (active === 0 && queue.length === 0) {
-        resolve(urlMapping);
+        resolve(results);
       }
     }
 
@@ -189,6 +122,42 @@ function replaceImageUrls(content, urlMapping) {
   return result;
 }
 
+/**
+ * Load a CSV file into an array of rows
+ */
+function loadCSV(filePath) {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    fs.createReadStream(filePath)
+      .pipe(csv())
+      .on('data', (row) => rows.push(row))
+      .on('end', () => resolve(rows))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Write rows back to CSV, quoting values that need it
+ */
+function writeCSV(filePath, rows) {
+  const headers = Object.keys(rows[0]);
+  const csvContent = [
+    headers.join(','),
+    ...rows.map(row =>
+      headers.map(header => {
+        const value = row[header] || '';
+        // Escape CSV values that contain commas, quotes, or newlines
+        if (value.includes(',') || value.includes('"') || value.includes('\n')) {
+          return `"${value.replace(/"/g, '""')}"`;
+        }
+        return value;
+      }).join(',')
+    )
+  ].join('\n');
+
+  fs.writeFileSync(filePath, csvContent);
+}
+
 /**
  * Main migration function
  */
@@ -225,20 +194,59 @@ async function migrateImages() {
       .on('error', reject);
   });
 
+  // Extract author avatars (profile_image holds only the uploaded file name)
+  const users = await loadCSV(USERS_CSV_INPUT);
+  users.forEach(user => {
+    const avatarUrl = profileImageUrl(user);
+    if (avatarUrl.startsWith('http')) {
+      allImageUrls.add(avatarUrl);
+    }
+  });
+
   console.log(`   Found ${articles.length} articles`);
+  console.log(`   Found ${users.length} users`);
   console.log(`   Found ${allImageUrls.size} unique image URLs\n`);
 
-  // Step 2: Download all images
-  console.log('🖼️  Downloading images...\n');
-  const urlMapping = await downloadAllImages(Array.from(allImageUrls), 15);
+  // Step 2: Download all images, resuming from the manifest
+  const manifest = new ImageManifest(MANIFEST_PATH);
+  // Anything else (data: URIs, paths of already local images) can't be downloaded
+  const urls = Array.from(allImageUrls).filter(url => /^https?:\/\//i.test(url));
+  console.log(RETRY_FAILED ? '🔁 Retrying failed downloads...\n' : '🖼️  Downloading images...\n');
+
+  // Keep progress if the run is interrupted
+  process.on('SIGINT', () => {
+    manifest.save();
+    console.log(`\n⏸  Interrupted; progress saved to ${path.basename(MANIFEST_PATH)}`);
+    process.exit(130);
+  });
+
+  const results = await downloadAllImages(urls, manifest, 15);
+  manifest.save();
 
-  const downloaded = Array.from(urlMapping.values()).filter(v => v.startsWith('/images/')).length;
-  const failed = allImageUrls.size - downloaded;
+  const failures = urls.filter(url => manifest.get(url) && manifest.get(url).status === 'failed');
+  const urlMapping = new Map();
+  urls.forEach(url => {
+    const entry = manifest.get(url);
+    if (entry && entry.status === 'downloaded') urlMapping.set(url, entry.localPath);
+  });
+  const uniqueFiles = new Set(urlMapping.values()).size;
 
   console.log('\n=== Download Summary ===');
-  console.log(`Total images: ${allImageUrls.size}`);
-  console.log(`Downloaded: ${downloaded}`);
-  console.log(`Failed/Skipped: ${failed}\n`);
+  console.log(`Total images: ${urls.length}`);
+  console.log(`Downloaded: ${results.downloaded}`);
+  console.log(`Duplicates of an existing image: ${results.deduplicated}`);
+  console.log(`Adopted from a previous run: ${results.adopted}`);
+  console.log(`Already in manifest: ${results.skipped}`);
+  console.log(`Failed (keeping original URL): ${failures.length}\n`);
+
+  if (failures.length > 0) {
+    failures.slice(0, 20).forEach(url => {
+      const entry = manifest.get(url);
+      console.log(`   ✗ ${url.substring(0, 70)} - ${entry.error} (${entry.attempts} attempts)`);
+    });
+    if (failures.length > 20) console.log(`   ... and ${failures.length - 20} more (see ${path.basename(MANIFEST_PATH)})`);
+    console.log('   Run "npm run migrate-images -- --retry-failed" to try them again\n');
+  }
 
   // Step 3: Update CSV with local image paths
   console.log('📝 Updating CSV with local image paths...');
@@ -264,7 +272,16 @@ async function migrateImages() {
     return updated;
   });
 
-  // Step 4: Write updated CSV
+  const updatedUsers = users.map(user => {
+    const avatarUrl = profileImageUrl(user);
+    const localPath = urlMapping.get(avatarUrl);
+    if (localPath && localPath !== avatarUrl) {
+      return { ...user, profile_image: localPath };
+    }
+    return user;
+  });
+
+  // Step 4: Write updated CSVs
   console.log('💾 Writing updated CSV...');
 
   if (updatedArticles.length === 0) {
@@ -272,39 +289,34 @@ async function migrateImages() {
     return;
   }
 
-  const headers = Object.keys(updatedArticles[0]);
-  const csvContent = [
-    headers.join(','),
-    ...updatedArticles.map(article =>
-      headers.map(header => {
-        const value = article[header] || '';
-        // Escape CSV values that contain commas, quotes, or newlines
-        if (value.includes(',') || value.includes('"') || value.includes('\n')) {
-          return `"${value.replace(/"/g, '""')}"`;
-        }
-        return value;
-      }).join(',')
-    )
-  ].join('\n');
+  writeCSV(CSV_OUTPUT, updatedArticles);
+  console.log(`   ✅ Written to: ${CSV_OUTPUT}`);
 
-  fs.writeFileSync(CSV_OUTPUT, csvContent);
-  console.log(`   ✅ Written to: ${CSV_OUTPUT}\n`);
+  if (updatedUsers.length > 0) {
+    writeCSV(USERS_CSV_OUTPUT, updatedUsers);
+    console.log(`   ✅ Written to: ${USERS_CSV_OUTPUT}`);
+  }
+  console.log('');
 
   // Summary
-  const imageDir = fs.readdirSync(IMAGE_DIR);
-  const totalSize = imageDir.reduce((sum, file) => {
-    const stats = fs.statSync(path.join(IMAGE_DIR, file));
+  // Only count downloaded originals, not the build's variants/ directory
+  const imageDir = fs.readdirSync(IMAGE_DIR, { withFileTypes: true }).filter(entry => entry.isFile());
+  const totalSize = imageDir.reduce((sum, entry) => {
+    const stats = fs.statSync(path.join(IMAGE_DIR, entry.name));
     return sum + stats.size;
   }, 0);
 
   console.log('✨ Migration Complete!\n');
   console.log('📊 Final Summary:');
   console.log(`   - Articles processed: ${articles.length}`);
-  console.log(`   - Images downloaded: ${downloaded}`);
+  console.log(`   - Images migrated: ${urlMapping.size} URLs in ${uniqueFiles} files`);
+  console.log(`   - Failed downloads: ${failures.length}`);
   console.log(`   - Total image size: ${Math.round(totalSize / 1024 / 1024)}MB`);
-  console.log(`   - Image directory: public/images/`);
+  console.log(`   - Image directory: ${path.relative(ROOT_DIR, IMAGE_DIR)}/`);
   console.log(`   - Original CSV: ${path.basename(CSV_INPUT)} (PRESERVED)`);
-  console.log(`   - New CSV with local paths: ${path.basename(CSV_OUTPUT)}\n`);
+  console.log(`   - New CSV with local paths: ${path.basename(CSV_OUTPUT)}`);
+  console.log(`   - Users CSV with local avatars: ${path.basename(USERS_CSV_OUTPUT)}`);
+  console.log(`   - Download manifest: ${path.basename(MANIFEST_PATH)}\n`);
   console.log('🎯 Next steps:');
   console.log('   1. Update scripts/build.js to use the new CSV file');
   console.log('   2. Run "npm run build" to generate static site');
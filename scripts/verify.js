@@ -0,0 +1,301 @@
+const fs = require('fs');
+const path = require('path');
+const { loadSiteConfig, siteArgument } = require('./lib/site-config');
+
+// Configuration: the site built with the same --site config (sites/pt.json by default)
+const SITE = loadSiteConfig(siteArgument(process.argv.slice(2)), { rootDir: path.join(__dirname, '..') });
+const SITE_URL = SITE.url;
+const PUBLIC_DIR = SITE.outputDir;
+const DEFAULT_REPORT_DIR = path.join(__dirname, '../reports');
+const S3_HOST = 'web3dev-forem-production.s3.amazonaws.com';
+const SCANNED_EXTENSIONS = new Set(['.html', '.xml', '.json', '.txt']);
+const MAX_REPORTED_ISSUES = 1000; // Per check, in the JSON report
+const MARKDOWN_EXAMPLES = 20; // Per check, in the Markdown report
+
+// Each check fails the run when it finds more issues than its threshold.
+// Override with --max-<check>=N, e.g. --max-s3-urls=5
+const CHECKS = {
+  'broken-links': 'Internal links that do not resolve to a generated file',
+  'missing-images': '/images/ references with no file on disk',
+  's3-urls': `URLs still pointing at ${S3_HOST}`,
+  'canonical': 'Pages without exactly one <link rel="canonical">',
+  'og-image': 'Pages without exactly one og:image',
+  'json-ld': 'JSON-LD blocks that fail to parse, lack a schema.org @context/@type or hold HTML-escaped text'
+};
+
+/**
+ * Parse --max-<check>=N and --report-dir=<dir> (--site is read with the config)
+ */
+function parseArgs(argv) {
+  const thresholds = {};
+  Object.keys(CHECKS).forEach(check => { thresholds[check] = 0; });
+  let reportDir = DEFAULT_REPORT_DIR;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--site') {
+      i++;
+      continue;
+    }
+    const match = /^--([\w-]+)=(.*)$/.exec(arg);
+    if (!match) throw new Error(`Unknown argument: ${arg}`);
+    const [, name, value] = match;
+
+    if (name === 'site') {
+      continue;
+    } else if (name === 'report-dir') {
+      reportDir = path.resolve(value);
+    } else if (name.startsWith('max-') && name.slice(4) in CHECKS && /^\d+$/.test(value)) {
+      thresholds[name.slice(4)] = Number(value);
+    } else {
+      throw new Error(`Unknown or invalid option: ${arg}`);
+    }
+  }
+
+  return { thresholds, reportDir };
+}
+
+function listFiles(dir) {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...listFiles(fullPath));
+    } else if (SCANNED_EXTENSIONS.has(path.extname(entry.name).toLowerCase())) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+// URL path a generated file is served at: a/b.html -> /a/b, a/index.html -> /a/
+function urlPathForFile(relativeFile) {
+  const posix = relativeFile.split(path.sep).join('/');
+  return `/${posix.replace(/(^|\/)index\.html$/, '$1').replace(/\.html$/, '')}`;
+}
+
+function decodeEntities(value) {
+  return value.replace(/&amp;/g, '&').replace(/&quot;/g, '"').replace(/&#0*39;/g, "'");
+}
+
+/**
+ * Checks generated output, remembering which paths exist
+ */
+class Verifier {
+  constructor(publicDir) {
+    this.publicDir = publicDir;
+    this.origin = new URL(SITE_URL).origin;
+    this.existing = new Map();
+    this.issues = {};
+    Object.keys(CHECKS).forEach(check => { this.issues[check] = []; });
+  }
+
+  report(check, file, detail) {
+    this.issues[check].push({ file, detail });
+  }
+
+  isFile(filePath) {
+    if (!this.existing.has(filePath)) {
+      this.existing.set(filePath, fs.existsSync(filePath) && fs.statSync(filePath).isFile());
+    }
+    return this.existing.get(filePath);
+  }
+
+  // A page exists as public/<path>, public/<path>.html or public/<path>/index.html
+  resolves(urlPath) {
+    let decoded;
+    try {
+      decoded = decodeURIComponent(urlPath);
+    } catch (err) {
+      return false;
+    }
+    const base = path.join(this.publicDir, decoded.replace(/\/+$/, ''));
+    return this.isFile(base) || this.isFile(`${base}.html`) || this.isFile(path.join(base, 'index.html'));
+  }
+
+  // Path of an internal link, or null for external, fragment-only and non-http links
+  internalPath(href, pageUrl) {
+    if (!href || href.startsWith('#')) return null;
+    try {
+      const url = new URL(decodeEntities(href), `${SITE_URL}${pageUrl}`);
+      return url.origin === this.origin ? url.pathname : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  checkFile(file) {
+    const relative = path.relative(this.publicDir, file);
+    const content = fs.readFileSync(file, 'utf-8');
+
+    for (const match of content.matchAll(new RegExp(`https?://${S3_HOST.replace(/\./g, '\\.')}[^\\s"'<>)]*`, 'g'))) {
+      this.report('s3-urls', relative, match[0]);
+    }
+
+    if (path.extname(file) === '.html') {
+      this.checkPage(relative, content);
+    }
+  }
+
+  checkPage(relative, html) {
+    const pageUrl = urlPathForFile(relative);
+
+    const brokenLinks = new Set();
+    for (const match of html.matchAll(/<a\b[^>]*?\shref="([^"]*)"/gi)) {
+      const linkPath = this.internalPath(match[1], pageUrl);
+      if (linkPath && !this.resolves(linkPath)) brokenLinks.add(linkPath);
+    }
+    brokenLinks.forEach(link => this.report('broken-links', relative, link));
+
+    const missingImages = new Set();
+    for (const match of html.matchAll(/(?:["'\s,(]|https?:\/\/[^/"'\s]+)(\/images\/[^"'\s,)<>?#]+)/g)) {
+      const imagePath = match[1];
+      let decoded = imagePath;
+      try {
+        decoded = decodeURIComponent(imagePath);
+      } catch (err) {
+        // Keep the raw path; it will be reported as missing
+      }
+      if (!this.isFile(path.join(this.publicDir, decoded))) missingImages.add(imagePath);
+    }
+    missingImages.forEach(image => this.report('missing-images', relative, image));
+
+    const canonicalCount = (html.match(/<link\b[^>]*\srel="canonical"/gi) || []).length;
+    if (canonicalCount !== 1) {
+      this.report('canonical', relative, `${canonicalCount} canonical links`);
+    }
+
+    // Redirect stubs only need a canonical
+    const isRedirect = /<meta\s+http-equiv="refresh"/i.test(html);
+    const ogImageCount = (html.match(/<meta\b[^>]*\sproperty="og:image"/gi) || []).length;
+    if (!isRedirect && ogImageCount !== 1) {
+      this.report('og-image', relative, `${ogImageCount} og:image tags`);
+    }
+
+    for (const match of html.matchAll(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/gi)) {
+      let data;
+      try {
+        data = JSON.parse(match[1]);
+      } catch (err) {
+        this.report('json-ld', relative, err.message);
+        continue;
+      }
+      jsonLdProblems(data).forEach(problem => this.report('json-ld', relative, problem));
+    }
+  }
+}
+
+/**
+ * Problems in a parsed JSON-LD block: a missing schema.org @context, top-level
+ * nodes without @type, and text that was HTML-escaped before serializing
+ */
+function jsonLdProblems(data) {
+  const problems = [];
+  if (data['@context'] !== 'https://schema.org') {
+    problems.push(`@context is ${JSON.stringify(data['@context'])}`);
+  }
+  const nodes = Array.isArray(data['@graph']) ? data['@graph'] : [data];
+  nodes.forEach((node, i) => {
+    if (!node || !node['@type']) problems.push(`node ${i} has no @type`);
+  });
+
+  const visit = (value, key) => {
+    if (typeof value === 'string') {
+      if (/&(?:quot|amp|lt|gt|#\d+|#x[0-9a-f]+);/i.test(value)) problems.push(`HTML entity in "${key}": ${value.slice(0, 80)}`);
+    } else if (value && typeof value === 'object') {
+      Object.entries(value).forEach(([childKey, child]) => visit(child, Array.isArray(value) ? key : childKey));
+    }
+  };
+  visit(data, '');
+  return problems;
+}
+
+function renderMarkdown(report) {
+  const lines = [
+    '# Build verification report',
+    '',
+    `Generated ${report.generatedAt} · ${report.pagesChecked} pages and ${report.filesScanned} files checked · **${report.passed ? 'PASSED' : 'FAILED'}**`,
+    '',
+    '| Check | Issues | Threshold | Status |',
+    '| --- | ---: | ---: | --- |'
+  ];
+
+  for (const [name, check] of Object.entries(report.checks)) {
+    lines.push(`| ${name} | ${check.count} | ${check.threshold} | ${check.passed ? '✅' : '❌'} |`);
+  }
+
+  for (const [name, check] of Object.entries(report.checks)) {
+    if (check.count === 0) continue;
+    lines.push('', `## ${name}`, '', check.description, '');
+    check.issues.slice(0, MARKDOWN_EXAMPLES).forEach(issue => {
+      lines.push(`- \`${issue.file}\`: ${issue.detail.replace(/[|`]/g, '\\$&')}`);
+    });
+    if (check.count > MARKDOWN_EXAMPLES) {
+      lines.push(`- … and ${check.count - MARKDOWN_EXAMPLES} more (see verify-report.json)`);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+function verify() {
+  const { thresholds, reportDir } = parseArgs(process.argv.slice(2));
+
+  console.log('🔍 Verifying generated site...\n');
+  if (!fs.existsSync(PUBLIC_DIR)) {
+    throw new Error(`${PUBLIC_DIR} does not exist; run "npm run build" first`);
+  }
+
+  const verifier = new Verifier(PUBLIC_DIR);
+  const files = listFiles(PUBLIC_DIR);
+  let pagesChecked = 0;
+
+  files.forEach(file => {
+    verifier.checkFile(file);
+    if (file.endsWith('.html')) pagesChecked++;
+  });
+
+  const checks = {};
+  for (const [name, description] of Object.entries(CHECKS)) {
+    const issues = verifier.issues[name];
+    checks[name] = {
+      description,
+      count: issues.length,
+      threshold: thresholds[name],
+      passed: issues.length <= thresholds[name],
+      issues: issues.slice(0, MAX_REPORTED_ISSUES)
+    };
+  }
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    pagesChecked,
+    filesScanned: files.length,
+    passed: Object.values(checks).every(check => check.passed),
+    checks
+  };
+
+  fs.mkdirSync(reportDir, { recursive: true });
+  fs.writeFileSync(path.join(reportDir, 'verify-report.json'), JSON.stringify(report, null, 2));
+  fs.writeFileSync(path.join(reportDir, 'verify-report.md'), renderMarkdown(report));
+
+  console.log(`   Checked ${pagesChecked} pages and ${files.length} files\n`);
+  for (const [name, check] of Object.entries(checks)) {
+    console.log(`   ${check.passed ? '✅' : '❌'} ${name}: ${check.count} (max ${check.threshold})`);
+  }
+  console.log(`\n📄 Report written to ${path.relative(process.cwd(), reportDir) || '.'}/verify-report.{json,md}`);
+
+  if (!report.passed) {
+    console.error('\n❌ Verification failed: some checks are above their thresholds');
+    process.exit(1);
+  }
+  console.log('\n✨ Verification passed!');
+}
+
+// Run verification
+try {
+  verify();
+} catch (error) {
+  console.error('❌ Verification failed:', error.message);
+  process.exit(1);
+}